@@ -1,4 +1,18 @@
-import { LIMITS, TTL, APP_VERSION, APP_START_TIME } from "./constants.js";
+import {
+  LIMITS,
+  TTL,
+  PASSPHRASE,
+  ENVELOPE,
+  PADDING,
+  RAW_HEADERS,
+  INBOX,
+  RECIPIENT,
+  CANARY,
+  DEADMAN,
+  ACCESS_POLICY,
+  APP_VERSION,
+  APP_START_TIME,
+} from "./constants.js";
 import { corsHeadersFor } from "./cors.js";
 import {
   HttpError,
@@ -8,17 +22,32 @@ import {
   securityHeaders,
   withHeaders,
   readJson,
+  readBinary,
+  isOctetStream,
+  acceptsOctetStream,
+  readBearerToken,
   finalizeResponse,
   generateRequestId,
   createErrorResponse,
 } from "./http.js";
-import { generateId } from "./cryptoId.js";
+import { generateId, generateToken, hashToken } from "./cryptoId.js";
+import {
+  base64Url,
+  base64UrlToBytes,
+  sha256Bytes,
+  getClientIp,
+  parseCidr,
+  policyAllows,
+} from "./ip.js";
 import { checkRateLimit } from "./rateLimit.js";
 import { circuitBreakers } from "./circuitBreaker.js";
 import { deduplicate, secretKey } from "./deduplication.js";
-import { log, getBusinessMetrics, trackMetric } from "./monitoring.js";
+import { log, getBusinessMetrics, trackMetric, alertCanaryAccess } from "./monitoring.js";
+import { parseNotifyUrl } from "./webhook.js";
+import { receiptKeys, receiptPublicKey, signReceipt } from "./receipt.js";
+import { beginIdempotency, completeIdempotency, releaseIdempotency } from "./idempotency.js";
 
-export async function handleApi(request, env, url) {
+export async function handleApi(request, env, url, ctx) {
   const requestId = generateRequestId();
   const cors = corsHeadersFor(request, env);
 
@@ -57,7 +86,7 @@ export async function handleApi(request, env, url) {
     if (url.pathname === "/api/secrets" && request.method === "POST") {
       const rl = await checkRateLimit(request, env, "create");
       if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
-      const res = await createSecret(request, env);
+      const res = await createSecret(request, env, requestId);
       return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
     }
 
@@ -65,7 +94,58 @@ export async function handleApi(request, env, url) {
     if (match && request.method === "GET") {
       const rl = await checkRateLimit(request, env, "read");
       if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
-      const res = await readSecret(match[1], env, requestId);
+      const access = await readerAccess(request);
+      // Link unfurlers and scanners issue GETs, so by default GET only previews
+      const res = legacyGetRead(env)
+        ? await readSecret(match[1], env, requestId, {
+            raw: acceptsOctetStream(request),
+            access,
+            ctx,
+          })
+        : await validateSecret(match[1], env, requestId, { access, ctx });
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const revealMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/reveal$/);
+    if (revealMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await readSecret(revealMatch[1], env, requestId, {
+        raw: acceptsOctetStream(request),
+        access: await readerAccess(request),
+        ctx,
+      });
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const unlockMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/unlock$/);
+    if (unlockMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const body = await readJson(request);
+      if (typeof body?.verifier !== "string" || !PASSPHRASE.VERIFIER_PATTERN.test(body.verifier)) {
+        throw new HttpError(400, "INVALID_VERIFIER", "verifier must be a 32-byte base64url value");
+      }
+      const res = await readSecret(unlockMatch[1], env, requestId, {
+        verifier: body.verifier,
+        raw: acceptsOctetStream(request),
+        access: await readerAccess(request),
+        ctx,
+      });
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    if (match && request.method === "DELETE") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await revokeSecret(match[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    if (match && request.method === "PATCH") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await updateExpiry(match[1], request, env, requestId);
       return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
     }
 
@@ -73,7 +153,127 @@ export async function handleApi(request, env, url) {
     if (validateMatch && request.method === "GET") {
       const rl = await checkRateLimit(request, env, "read");
       if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
-      const res = await validateSecret(validateMatch[1], env, requestId);
+      const res = await validateSecret(validateMatch[1], env, requestId, {
+        access: await readerAccess(request),
+        ctx,
+      });
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const chunkMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/chunks\/(\d{1,3})$/);
+    if (chunkMatch && request.method === "PUT") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const index = Number(chunkMatch[2]);
+      const res = await uploadChunk(chunkMatch[1], index, request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const finalizeMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/finalize$/);
+    if (finalizeMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await finalizeUpload(finalizeMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const statusMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/status$/);
+    if (statusMatch && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await statusSecret(statusMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const receiptMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/receipt$/);
+    if (receiptMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await claimReceipt(receiptMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const checkinMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/checkin$/);
+    if (checkinMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await checkinSecret(checkinMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const hitsMatch = url.pathname.match(/^\/api\/secrets\/([a-zA-Z0-9]+)\/hits$/);
+    if (hitsMatch && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await canaryHits(hitsMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    if (url.pathname === "/api/keys/receipt" && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = json(await receiptPublicKey(env), { status: 200 });
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    if (url.pathname === "/api/bundles" && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "create");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await createBundle(request, env);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const bundleMatch = url.pathname.match(/^\/api\/bundles\/([a-zA-Z0-9]+)\/status$/);
+    if (bundleMatch && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await bundleStatus(bundleMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    if (url.pathname === "/api/inboxes" && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "create");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await createInbox(request, env);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const inboxMatch = url.pathname.match(/^\/api\/inboxes\/([a-zA-Z0-9]+)$/);
+    if (inboxMatch && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await inboxStatus(inboxMatch[1], env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const fillMatch = url.pathname.match(/^\/api\/inboxes\/([a-zA-Z0-9]+)\/fill$/);
+    if (fillMatch && request.method === "POST") {
+      // Filling stores ciphertext, so it counts against the create budget
+      const rl = await checkRateLimit(request, env, "create");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await fillInbox(fillMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const openMatch = url.pathname.match(/^\/api\/inboxes\/([a-zA-Z0-9]+)\/open$/);
+    if (openMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await openInbox(openMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+
+    const recipientMatch = url.pathname.match(/^\/api\/recipients\/([A-Za-z0-9-]+)$/);
+    if (recipientMatch && request.method === "POST") {
+      const rl = await checkRateLimit(request, env, "create");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await registerRecipient(recipientMatch[1], request, env, requestId);
+      return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
+    }
+    if (recipientMatch && request.method === "GET") {
+      const rl = await checkRateLimit(request, env, "read");
+      if (!rl.ok) return finalize(rl.response, cors, commonHeaders);
+      const res = await getRecipient(recipientMatch[1], env, requestId);
       return finalize(withHeaders(res, rl.headers || {}), cors, commonHeaders);
     }
 
@@ -169,42 +369,150 @@ async function getHealthStatus(env) {
   };
 }
 
-async function createSecret(request, env) {
-  const body = await readJson(request);
+/**
+ * POST /api/secrets. With an Idempotency-Key, a retried request replays the
+ * original result instead of storing a second secret.
+ */
+async function createSecret(request, env, requestId) {
+  const claim = await beginIdempotency(request, env, requestId);
+  if (claim?.response) return claim.response;
+
+  let res;
+  try {
+    res = await storeSecret(request, env);
+  } catch (err) {
+    if (claim) await releaseIdempotency(env, claim);
+    throw err;
+  }
+
+  if (claim) await completeIdempotency(env, claim, await res.clone().json());
+  return res;
+}
+
+async function storeSecret(request, env) {
+  const body = isOctetStream(request) ? await readRawSecret(request) : await readJson(request);
   const encrypted = body?.encrypted;
   const iv = body?.iv;
   const ttl = body?.ttl;
 
+  // Chunked uploads open the secret without ciphertext; chunks follow via PUT
+  const chunks = parseChunkCount(body?.chunks);
+  if (chunks && encrypted !== undefined) {
+    throw new HttpError(400, "INVALID_UPLOAD", "Send either encrypted or chunks, not both");
+  }
+
   // Validate presence and non-empty content
-  if (!encrypted || !iv) {
+  if ((!encrypted && !chunks) || !iv) {
     throw new HttpError(400, "MISSING_FIELDS", "Missing encrypted data or IV");
   }
 
   // Validate content is not empty after trimming
-  if (typeof encrypted !== "string" || encrypted.trim().length === 0) {
+  if (!chunks && (typeof encrypted !== "string" || encrypted.trim().length === 0)) {
     throw new HttpError(400, "EMPTY_CONTENT", "Encrypted data cannot be empty");
   }
   if (typeof iv !== "string" || iv.trim().length === 0) {
     throw new HttpError(400, "EMPTY_CONTENT", "IV cannot be empty");
   }
 
-  if (!isBase64Url(encrypted) || !isBase64Url(iv)) {
+  if ((!chunks && !isBase64Url(encrypted)) || !isBase64Url(iv)) {
     throw new HttpError(400, "INVALID_ENCODING", "Encrypted data and IV must be base64url");
   }
 
-  // IV must decode to exactly 12 bytes for AES-GCM-256
-  // 16 base64url chars = 12 bytes (after padding)
-  if (iv.length < 16 || iv.length > 24) {
-    throw new HttpError(400, "INVALID_IV_LENGTH", "IV must be 12 bytes (16-22 base64url chars)");
-  }
+  const envelope = parseEnvelope(body?.envelope);
+  checkIvLength(iv, envelope);
+  const aad = parseAad(body?.aad);
 
-  if (encrypted.length > LIMITS.ENCRYPTED_MAX_CHARS) {
+  if (!chunks && encrypted.length > LIMITS.ENCRYPTED_MAX_CHARS) {
     throw new HttpError(413, "SECRET_TOO_LARGE", "Secret too large (max ~1MB encrypted)");
   }
+  // Chunked uploads arrive in pieces later, so for them only the declared scheme is checked
+  if (strictPadding(env)) checkPadding(envelope, chunks ? undefined : encrypted);
+
+  const kind = parseKind(body?.kind);
+  const maxViews = parseMaxViews(body?.maxViews);
+  const notifyUrl = parseNotifyUrl(body?.notify);
+  const passphrase = await parsePassphrase(body?.passphrase);
+  const canary = parseCanary(body?.canary, { passphrase, chunks });
+  const accessPolicy = parseAccessPolicy(body?.accessPolicy);
+
+  const notBefore = parseNotBefore(body?.notBefore);
+  const checkin = parseCheckinInterval(body?.checkinInterval, { notBefore, canary });
+  // A dead man's switch's TTL is its release window, counted from the check-in deadline
+  const { ttlMs, expiresAt } = clampTtl(ttl, checkin?.deadline ?? notBefore ?? undefined);
+  const deadman = checkin && { ...checkin, window: ttlMs };
+
+  // Only the hash is stored; the token itself is returned once to the creator. A client
+  // that picks its own still has it when an idempotent retry replays the result without it.
+  const deleteToken =
+    parseClientToken(body?.deleteToken, "deleteToken", "INVALID_DELETE_TOKEN") ?? generateToken();
+  const deleteTokenHash = await hashToken(deleteToken);
+
+  // The webhook signing secret has to be kept verbatim so the DO can sign deliveries.
+  // Like the deleteToken, a client may pick it so a replayed create doesn't lose it.
+  const notifySecret = parseClientToken(
+    body?.notifySecret,
+    "notifySecret",
+    "INVALID_NOTIFY_SECRET"
+  );
+  if (notifySecret && !notifyUrl) {
+    throw new HttpError(400, "INVALID_NOTIFY_SECRET", "notifySecret requires a notify URL");
+  }
+  const notify = notifyUrl
+    ? { url: notifyUrl, secret: notifySecret ?? generateToken() }
+    : undefined;
+
+  const id = await insertSecret(env, {
+    encrypted,
+    iv,
+    expiresAt,
+    maxViews,
+    deleteTokenHash,
+    notify,
+    passphrase,
+    kind,
+    chunks,
+    canary,
+    deadman,
+    accessPolicy,
+    notBefore,
+    envelope,
+    aad,
+  });
 
-  const ttlMs = clampTtl(ttl);
-  const expiresAt = Date.now() + ttlMs;
+  trackMetric("create", "success");
+  log("info", "Secret created", {
+    id,
+    ttlMs,
+    maxViews,
+    chunks,
+    notBefore,
+    notify: !!notify,
+    canary,
+    checkinInterval: deadman?.interval,
+    accessPolicy: !!accessPolicy,
+  });
+  return json(
+    {
+      id,
+      expiresAt,
+      maxViews,
+      deleteToken,
+      ...(notBefore && { availableAt: notBefore }),
+      ...(chunks && { chunks }),
+      ...(canary && { canary }),
+      ...(deadman && { checkinDeadline: deadman.deadline }),
+      ...(accessPolicy && { accessPolicy }),
+      ...(notify && { notifySecret: notify.secret }),
+    },
+    { status: 201 }
+  );
+}
 
+/**
+ * Store a new secret under a freshly generated ID, retrying on ID collisions
+ * @returns {Promise<string>} the ID the secret was stored under
+ */
+async function insertSecret(env, record) {
   for (let attempt = 0; attempt < 5; attempt++) {
     const id = generateId();
 
@@ -217,7 +525,7 @@ async function createSecret(request, env) {
           return stub.fetch("http://do/store", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ encrypted, iv, expiresAt }),
+            body: JSON.stringify({ id, ...record }),
           });
         });
       });
@@ -228,9 +536,7 @@ async function createSecret(request, env) {
         throw new HttpError(500, "STORE_FAILED", msg || "Failed to store secret");
       }
 
-      trackMetric("create", "success");
-      log("info", "Secret created", { id, ttlMs, attempt });
-      return json({ id, expiresAt }, { status: 201 });
+      return id;
     } catch (err) {
       log("warn", "Secret creation attempt failed", {
         id,
@@ -256,19 +562,30 @@ async function createSecret(request, env) {
   throw new HttpError(500, "ID_GENERATION_FAILED", "Failed to allocate a unique secret ID");
 }
 
-async function readSecret(id, env, requestId) {
+/**
+ * Consume one view of a secret (POST /reveal, or GET when LEGACY_GET_READ is set)
+ * With a verifier, the read goes through the DO's passphrase gate (POST /unlock)
+ * With raw, the ciphertext is returned as octet-stream bytes and metadata moves to headers
+ */
+async function readSecret(id, env, requestId, { verifier, raw = false, access, ctx } = {}) {
   if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
     trackMetric("read", "failure");
     throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
   }
 
+  const verifierHash = verifier ? await hashToken(verifier) : null;
+
   try {
-    // Use circuit breaker and deduplication for DO access
+    // No deduplication: every consuming read must reach the DO, whose transaction hands
+    // out each view exactly once (and records each canary hit)
     const res = await circuitBreakers.secrets.execute(async () => {
-      return deduplicate(secretKey("read", id), async () => {
-        const doId = env.SECRETS.idFromName(id);
-        const stub = env.SECRETS.get(doId);
-        return stub.fetch("http://do/read");
+      const doId = env.SECRETS.idFromName(id);
+      const stub = env.SECRETS.get(doId);
+      if (!verifierHash) return stub.fetch("http://do/read", { headers: accessHeaders(access) });
+      return stub.fetch("http://do/unlock", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...accessHeaders(access) },
+        body: JSON.stringify({ verifierHash }),
       });
     });
 
@@ -276,14 +593,31 @@ async function readSecret(id, env, requestId) {
     if (!res.ok) {
       trackMetric("read", "failure");
       log("info", "Secret read failed", { id, status: res.status });
+      // A canary opened from outside its access policy still counts as a hit
+      await notifyCanary(res, id, "denied", access, ctx);
       // Try to get error message, but don't fail if parsing fails
       try {
-        const data = await res.json();
-        const errorCode = data?.error || "SECRET_NOT_FOUND";
-        const errorMessage = data?.message || "Secret not found or already read";
-        return json(createErrorResponse(errorCode, errorMessage, res.status, requestId), {
-          status: res.status,
-        });
+        const { error, message, ...details } = (await res.json()) || {};
+        const errorCode = error || "SECRET_NOT_FOUND";
+        const errorMessage = message || "Secret not found or already read";
+        return json(
+          createErrorResponse(
+            errorCode,
+            errorMessage,
+            res.status,
+            requestId,
+            Object.keys(details).length ? details : undefined
+          ),
+          {
+            status: res.status,
+            // Too early: tell clients when to come back
+            ...(details.availableAt && {
+              headers: {
+                "Retry-After": String(Math.ceil((details.availableAt - Date.now()) / 1000)),
+              },
+            }),
+          }
+        );
       } catch {
         return json(
           createErrorResponse(
@@ -301,7 +635,35 @@ async function readSecret(id, env, requestId) {
     const data = await res.json();
     trackMetric("read", "success");
     log("info", "Secret read successfully", { id });
-    return json({ encrypted: data.encrypted, iv: data.iv }, { status: 200 });
+    await notifyCanary(res, id, "read", access, ctx);
+    if (raw) {
+      return new Response(base64UrlToBytes(data.encrypted), {
+        status: 200,
+        headers: {
+          "Content-Type": "application/octet-stream",
+          [RAW_HEADERS.IV]: data.iv,
+          [RAW_HEADERS.VIEWS_REMAINING]: String(data.viewsRemaining ?? 0),
+          [RAW_HEADERS.KIND]: data.kind ?? "text",
+          ...(data.envelope && {
+            [RAW_HEADERS.ENVELOPE]: base64Url(
+              new TextEncoder().encode(JSON.stringify(data.envelope))
+            ),
+          }),
+          ...(data.aad && { [RAW_HEADERS.AAD]: data.aad }),
+        },
+      });
+    }
+    return json(
+      {
+        encrypted: data.encrypted,
+        iv: data.iv,
+        viewsRemaining: data.viewsRemaining ?? 0,
+        kind: data.kind ?? "text",
+        ...(data.envelope && { envelope: data.envelope }),
+        ...(data.aad && { aad: data.aad }),
+      },
+      { status: 200 }
+    );
   } catch (err) {
     // If circuit breaker is open, return service unavailable
     if (err.message.includes("Circuit breaker is OPEN")) {
@@ -313,58 +675,1095 @@ async function readSecret(id, env, requestId) {
   }
 }
 
-function clampTtl(ttl) {
-  const n = Number(ttl);
-  const candidate = Number.isFinite(n) ? n : TTL.DEFAULT_MS;
-  return Math.min(Math.max(candidate, TTL.MIN_MS), TTL.MAX_MS);
+/**
+ * Burn a secret on behalf of its creator
+ * Requires the deleteToken returned at creation as a bearer token
+ */
+async function revokeSecret(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await postToSecretStore(env, id, "/revoke", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  log("info", "Secret revoked", { id });
+  return json({ id, status: "revoked" }, { status: 200 });
 }
 
-async function safeReadError(res) {
-  try {
-    const data = await res.json();
-    return data?.error || data?.message;
-  } catch {
-    return null;
+/**
+ * Report a secret's lifecycle (pending, read, expired, revoked) to its creator
+ * Authorized by the deleteToken; never returns ciphertext
+ */
+async function statusSecret(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
   }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await postToSecretStore(env, id, "/status", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  return json({ id, ...res.data }, { status: 200 });
 }
 
 /**
- * Validate secret status without consuming it
- * Returns metadata about the secret (status, creation time, expiration)
- * FIX: P1 - Only parse JSON when needed
- * FIX: P0 - Added circuit breaker protection for DO access
+ * Release the signed deletion receipt of a burned secret to its creator, once
+ * Authorized by the deleteToken; the receipt carries a digest of the destroyed ciphertext
+ */
+async function claimReceipt(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  // Load the key first: a deployment that cannot sign must not spend the one-time claim
+  const keys = await receiptKeys(env);
+
+  const res = await postToSecretStore(env, id, "/receipt", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  log("info", "Deletion receipt issued", { id, event: res.data.event });
+  return json(await signReceipt(keys, res.data), { status: 200 });
+}
+
+/**
+ * Owner check-in for a dead man's switch: keeps the secret sealed for another interval
+ * Authorized by the deleteToken
+ */
+async function checkinSecret(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await postToSecretStore(env, id, "/checkin", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  log("info", "Dead man's switch check-in", { id });
+  return json({ id, ...res.data }, { status: 200 });
+}
+
+/**
+ * List the accesses recorded on a canary secret (newest first) for its creator
+ * Authorized by the deleteToken
  */
-async function validateSecret(id, env, requestId) {
+async function canaryHits(id, request, env, requestId) {
   if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
     throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
   }
 
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await postToSecretStore(env, id, "/hits", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  return json({ id, ...res.data }, { status: 200 });
+}
+
+/**
+ * Extend or shorten a pending secret's lifetime on behalf of its creator
+ * `ttl` counts from creation (or notBefore, or the check-in deadline) like the creation TTL
+ */
+async function updateExpiry(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const body = await readJson(request);
+  const ttl = body?.ttl;
+
+  if (!Number.isInteger(ttl) || ttl < TTL.MIN_MS || ttl > TTL.MAX_MS) {
+    throw new HttpError(
+      400,
+      "INVALID_TTL",
+      `ttl must be an integer between ${TTL.MIN_MS} and ${TTL.MAX_MS} milliseconds`
+    );
+  }
+
+  const res = await postToSecretStore(env, id, "/expiry", { tokenHash, ttl }, requestId);
+  if (!res.ok) return res.response;
+
+  // The bundle record must outlive its members, or its status would 404 while links still work
+  if (res.data.bundleId) {
+    const extended = await callBundleStore(env, res.data.bundleId, "/extend", {
+      tokenHash,
+      expiresAt: res.data.expiresAt,
+    });
+    if (!extended.ok) {
+      log("warn", "Bundle expiry not extended", { id, bundleId: res.data.bundleId });
+    }
+  }
+
+  log("info", "Secret expiry updated", { id });
+  return json({ id, ttl, expiresAt: res.data.expiresAt }, { status: 200 });
+}
+
+/**
+ * Store one chunk of a chunked upload opened with `chunks` at creation
+ * Authorized by the deleteToken so nobody else can inject ciphertext
+ */
+async function uploadChunk(id, index, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const body = await readJson(request);
+  const data = body?.data;
+
+  if (typeof data !== "string" || data.length === 0 || !isBase64Url(data)) {
+    throw new HttpError(400, "INVALID_ENCODING", "Chunk data must be non-empty base64url");
+  }
+  if (data.length > LIMITS.CHUNK_MAX_CHARS) {
+    throw new HttpError(
+      413,
+      "CHUNK_TOO_LARGE",
+      `Chunk exceeds ${LIMITS.CHUNK_MAX_CHARS} base64url characters`
+    );
+  }
+
+  const res = await postToSecretStore(env, id, "/chunk", { tokenHash, index, data }, requestId);
+  if (!res.ok) return res.response;
+
+  return json({ id, index, ...res.data }, { status: 200 });
+}
+
+/**
+ * Close a chunked upload; the secret becomes readable once every chunk is stored
+ */
+async function finalizeUpload(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await postToSecretStore(env, id, "/finalize", { tokenHash }, requestId);
+  if (!res.ok) return res.response;
+
+  log("info", "Chunked upload finalized", { id });
+  return json({ id, status: "ready" }, { status: 200 });
+}
+
+/**
+ * POST a JSON payload to the secret's Durable Object through the circuit breaker
+ * Returns { ok, data } or { ok: false, response } with DO errors mapped to the API format
+ */
+async function postToSecretStore(env, id, path, payload, requestId) {
   try {
-    // FIX: P0 - Use circuit breaker for DO access (consistent with readSecret)
     const res = await circuitBreakers.secrets.execute(async () => {
       const doId = env.SECRETS.idFromName(id);
       const stub = env.SECRETS.get(doId);
-      return stub.fetch("http://do/validate");
+      return stub.fetch(`http://do${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
     });
 
-    // FIX: P1 - Only parse JSON if response is OK (avoid unnecessary parsing)
-    if (!res.ok) {
-      try {
-        const data = await res.json();
-        const errorCode = data?.error || "SECRET_NOT_FOUND";
-        const errorMessage = data?.message || "Secret not found";
-        return json(createErrorResponse(errorCode, errorMessage, res.status, requestId), {
-          status: res.status,
-        });
-      } catch {
-        return json(
-          createErrorResponse("SECRET_NOT_FOUND", "Secret not found", res.status, requestId),
-          { status: res.status }
-        );
+    const data = await res.json().catch(() => null);
+    if (res.ok) return { ok: true, data };
+
+    const { error, message, ...details } = data || {};
+    return {
+      ok: false,
+      response: json(
+        createErrorResponse(
+          error || "SECRET_NOT_FOUND",
+          message || "Secret not found or already burned",
+          res.status,
+          requestId,
+          Object.keys(details).length ? details : undefined
+        ),
+        { status: res.status }
+      ),
+    };
+  } catch (err) {
+    if (err.message.includes("Circuit breaker is OPEN")) {
+      throw new HttpError(503, "SERVICE_UNAVAILABLE", "Secret store temporarily unavailable");
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create one secret per recipient (each encrypted client-side with its own key)
+ * tied together by a bundle ID. Every secret burns on its own; a single
+ * deleteToken covers revocation and status of all of them.
+ */
+async function createBundle(request, env) {
+  const body = await readJson(request);
+  const recipients = body?.recipients;
+
+  if (
+    !Array.isArray(recipients) ||
+    recipients.length < 1 ||
+    recipients.length > LIMITS.MAX_RECIPIENTS
+  ) {
+    throw new HttpError(
+      400,
+      "INVALID_RECIPIENTS",
+      `recipients must be an array of 1-${LIMITS.MAX_RECIPIENTS} payloads`
+    );
+  }
+  // One envelope describes every recipient's payload: they are all sealed the same way
+  const envelope = parseEnvelope(body?.envelope);
+  recipients.forEach((recipient, index) => {
+    validateRecipient(recipient, index, envelope);
+    if (strictPadding(env)) checkPadding(envelope, recipient.encrypted);
+  });
+
+  const threshold = parseThreshold(body?.threshold, recipients.length);
+  // Shamir shares: every share records the split so /validate can tell readers how many to collect
+  const split = threshold ? { threshold, shares: recipients.length } : undefined;
+
+  const kind = parseKind(body?.kind);
+  const maxViews = parseMaxViews(body?.maxViews);
+  const { ttlMs, expiresAt } = clampTtl(body?.ttl);
+
+  const deleteToken = generateToken();
+  const deleteTokenHash = await hashToken(deleteToken);
+  // Allocated up front so every member records the bundle it belongs to
+  const bundleId = generateId();
+
+  const created = [];
+  try {
+    for (const recipient of recipients) {
+      const id = await insertSecret(env, {
+        encrypted: recipient.encrypted,
+        iv: recipient.iv,
+        aad: recipient.aad ?? null,
+        expiresAt,
+        maxViews,
+        deleteTokenHash,
+        kind,
+        split,
+        envelope,
+        bundleId,
+      });
+      created.push({ id, label: recipient.label });
+    }
+
+    await insertBundle(env, bundleId, {
+      expiresAt,
+      ownerTokenHash: deleteTokenHash,
+      recipients: created,
+      threshold,
+    });
+
+    trackMetric("create", "success");
+    log("info", "Bundle created", { id: bundleId, recipients: created.length, threshold, ttlMs });
+    return json(
+      { id: bundleId, expiresAt, maxViews, deleteToken, threshold, recipients: created },
+      { status: 201 }
+    );
+  } catch (err) {
+    // All or nothing: burn the links already stored so no orphaned recipient survives
+    await Promise.all(
+      created.map(({ id }) =>
+        postToSecretStore(env, id, "/revoke", { tokenHash: deleteTokenHash }).catch(() => null)
+      )
+    );
+    throw err;
+  }
+}
+
+function validateRecipient(recipient, index, envelope) {
+  const { label, encrypted, iv } = recipient || {};
+  const where = `recipients[${index}]`;
+
+  if (typeof label !== "string" || label.trim().length === 0 || label.length > 64) {
+    throw new HttpError(400, "INVALID_LABEL", `${where}.label must be 1-64 characters`);
+  }
+  if (typeof encrypted !== "string" || typeof iv !== "string" || !encrypted || !iv) {
+    throw new HttpError(400, "MISSING_FIELDS", `${where} is missing encrypted data or IV`);
+  }
+  if (!isBase64Url(encrypted) || !isBase64Url(iv)) {
+    throw new HttpError(400, "INVALID_ENCODING", "Encrypted data and IV must be base64url");
+  }
+  checkIvLength(iv, envelope);
+  parseAad(recipient.aad);
+  if (encrypted.length > LIMITS.ENCRYPTED_MAX_CHARS) {
+    throw new HttpError(413, "SECRET_TOO_LARGE", "Secret too large (max ~1MB encrypted)");
+  }
+}
+
+/**
+ * Optional M-of-N threshold for a bundle of Shamir shares; null for plain bundles
+ */
+function parseThreshold(threshold, shares) {
+  if (threshold === undefined || threshold === null) return null;
+  if (!Number.isInteger(threshold) || threshold < 2 || threshold > shares) {
+    throw new HttpError(
+      400,
+      "INVALID_THRESHOLD",
+      `threshold must be an integer from 2 to the number of recipients (${shares})`
+    );
+  }
+  return threshold;
+}
+
+/**
+ * Store the bundle under the ID its members already carry; a collision cannot be retried
+ * under a new ID, so it fails the whole bundle (and its members are burned)
+ */
+async function insertBundle(env, id, record) {
+  const res = await callBundleStore(env, id, "/create", { id, ...record });
+  if (res.status === 409) {
+    throw new HttpError(500, "ID_GENERATION_FAILED", "Failed to allocate a unique bundle ID");
+  }
+  if (!res.ok) throw new HttpError(500, "STORE_FAILED", "Failed to store bundle");
+}
+
+/**
+ * Per-recipient lifecycle for every link in a bundle, authorized by its deleteToken
+ */
+async function bundleStatus(id, request, env, requestId) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid bundle ID");
+  }
+
+  const tokenHash = await hashToken(readBearerToken(request));
+  const res = await callBundleStore(env, id, "/get", { tokenHash });
+  const bundle = await res.json().catch(() => null);
+  if (!res.ok) {
+    return json(
+      createErrorResponse(
+        bundle?.error || "BUNDLE_NOT_FOUND",
+        bundle?.message || "Bundle not found or expired",
+        res.status,
+        requestId
+      ),
+      { status: res.status }
+    );
+  }
+
+  // Each secret is the source of truth for its own reads
+  const recipients = await Promise.all(
+    bundle.recipients.map(async ({ id: secretId, label }) => {
+      const status = await postToSecretStore(env, secretId, "/status", { tokenHash }, requestId);
+      if (!status.ok) return { id: secretId, label, status: "gone" };
+      return { id: secretId, label, ...status.data };
+    })
+  );
+
+  return json({ ...bundle, recipients }, { status: 200 });
+}
+
+async function callBundleStore(env, id, path, payload) {
+  try {
+    return await circuitBreakers.bundles.execute(async () => {
+      const stub = env.BUNDLES.get(env.BUNDLES.idFromName(id));
+      return stub.fetch(`http://do${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+    });
+  } catch (err) {
+    if (err.message.includes("Circuit breaker is OPEN")) {
+      throw new HttpError(503, "SERVICE_UNAVAILABLE", "Bundle store temporarily unavailable");
+    }
+    throw err;
+  }
+}
+
+/**
+ * Open a request-a-secret inbox. The requester's ECDH public key never reaches
+ * the server; it travels in the fragment of the link handed to the responder.
+ */
+async function createInbox(request, env) {
+  const body = await readJson(request);
+  const { ttlMs, expiresAt } = clampTtl(body?.ttl);
+
+  // Only the hash is stored; the requester needs the token to open the inbox
+  const ownerToken = generateToken();
+  const ownerTokenHash = await hashToken(ownerToken);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const id = generateId();
+    const res = await callInboxStore(env, id, "/create", { id, expiresAt, ownerTokenHash });
+    if (res.status === 409) continue;
+    if (!res.ok) {
+      throw new HttpError(500, "STORE_FAILED", "Failed to create inbox");
+    }
+
+    trackMetric("create", "success");
+    log("info", "Inbox created", { id, ttlMs });
+    return json({ id, expiresAt, ownerToken }, { status: 201 });
+  }
+
+  throw new HttpError(500, "ID_GENERATION_FAILED", "Failed to allocate a unique inbox ID");
+}
+
+/**
+ * Whether an inbox is still waiting, has been filled, or is gone (never returns content)
+ */
+async function inboxStatus(id, env, requestId) {
+  validateInboxId(id);
+  const res = await callInboxStore(env, id, "/status");
+  return inboxResponse(res, requestId);
+}
+
+/**
+ * One-time fill by the responder with ciphertext sealed to the inbox public key
+ */
+async function fillInbox(id, request, env, requestId) {
+  validateInboxId(id);
+  const body = await readJson(request);
+  const { encrypted, iv, epk } = body || {};
+
+  if (!encrypted || !iv || !epk) {
+    throw new HttpError(400, "MISSING_FIELDS", "Missing encrypted data, IV or ephemeral key");
+  }
+  if (!isBase64Url(encrypted) || !isBase64Url(iv)) {
+    throw new HttpError(400, "INVALID_ENCODING", "Encrypted data and IV must be base64url");
+  }
+  checkIvLength(iv, null);
+  if (typeof epk !== "string" || !INBOX.EPK_PATTERN.test(epk)) {
+    throw new HttpError(400, "INVALID_EPK", "epk must be a raw P-256 public key in base64url");
+  }
+  if (encrypted.length > LIMITS.ENCRYPTED_MAX_CHARS) {
+    throw new HttpError(413, "SECRET_TOO_LARGE", "Secret too large (max ~1MB encrypted)");
+  }
+  const envelope = parseEnvelope(body.envelope);
+  if (strictPadding(env)) checkPadding(envelope, encrypted);
+
+  const res = await callInboxStore(env, id, "/fill", {
+    encrypted,
+    iv,
+    epk,
+    ...(envelope && { envelope }),
+  });
+  if (res.ok) log("info", "Inbox filled", { id });
+  return inboxResponse(res, requestId);
+}
+
+/**
+ * One-time open by the requester; returns the sealed payload and deletes the inbox
+ */
+async function openInbox(id, request, env, requestId) {
+  validateInboxId(id);
+  const tokenHash = await hashToken(readBearerToken(request));
+
+  const res = await callInboxStore(env, id, "/open", { tokenHash });
+  trackMetric("read", res.ok ? "success" : "failure");
+  if (res.ok) log("info", "Inbox opened", { id });
+  return inboxResponse(res, requestId);
+}
+
+function validateInboxId(id) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid inbox ID");
+  }
+}
+
+/**
+ * Call the inbox's Durable Object through the circuit breaker (GET without a payload)
+ */
+async function callInboxStore(env, id, path, payload) {
+  try {
+    return await circuitBreakers.inboxes.execute(async () => {
+      const stub = env.INBOXES.get(env.INBOXES.idFromName(id));
+      if (payload === undefined) return stub.fetch(`http://do${path}`);
+      return stub.fetch(`http://do${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+    });
+  } catch (err) {
+    if (err.message.includes("Circuit breaker is OPEN")) {
+      throw new HttpError(503, "SERVICE_UNAVAILABLE", "Inbox store temporarily unavailable");
+    }
+    throw err;
+  }
+}
+
+/**
+ * Pass a successful DO body through; map DO errors to the standard error format
+ */
+async function inboxResponse(res, requestId) {
+  const data = await res.json().catch(() => null);
+  if (res.ok) return json(data, { status: 200 });
+
+  return json(
+    createErrorResponse(
+      data?.error || "INBOX_NOT_FOUND",
+      data?.message || "Inbox not found or already opened",
+      res.status,
+      requestId
+    ),
+    { status: res.status }
+  );
+}
+
+/**
+ * Register a recipient's long-lived ECDH public key under a handle. The first call
+ * claims the handle and returns an owner token; sending that token as a bearer
+ * token later rotates the key.
+ */
+async function registerRecipient(handle, request, env, requestId) {
+  validateHandle(handle);
+  const body = await readJson(request);
+  const publicKey = body?.publicKey;
+  if (typeof publicKey !== "string" || !RECIPIENT.PUBLIC_KEY_PATTERN.test(publicKey)) {
+    throw new HttpError(
+      400,
+      "INVALID_PUBLIC_KEY",
+      "publicKey must be a raw P-256 public key in base64url"
+    );
+  }
+
+  const tokenHash = request.headers.has("authorization")
+    ? await hashToken(readBearerToken(request))
+    : null;
+  const ownerToken = generateToken();
+  const newTokenHash = await hashToken(ownerToken);
+
+  const res = await callRecipientStore(env, handle, "/register", {
+    handle,
+    publicKey,
+    tokenHash,
+    newTokenHash,
+  });
+  if (res.status === 201) {
+    const data = await res.json();
+    log("info", "Recipient registered", { handle });
+    return json({ ...data, ownerToken }, { status: 201 });
+  }
+  if (res.ok) log("info", "Recipient key rotated", { handle });
+  return recipientResponse(res, requestId);
+}
+
+/**
+ * Public key lookup for senders sealing to a handle
+ */
+async function getRecipient(handle, env, requestId) {
+  validateHandle(handle);
+  const res = await callRecipientStore(env, handle, "/get");
+  return recipientResponse(res, requestId);
+}
+
+function validateHandle(handle) {
+  if (!RECIPIENT.HANDLE_PATTERN.test(handle)) {
+    throw new HttpError(
+      400,
+      "INVALID_HANDLE",
+      "Handle must be 3-32 lowercase letters, digits or dashes"
+    );
+  }
+}
+
+/**
+ * Call the handle's Durable Object through the circuit breaker (GET without a payload)
+ */
+async function callRecipientStore(env, handle, path, payload) {
+  try {
+    return await circuitBreakers.recipients.execute(async () => {
+      const stub = env.RECIPIENTS.get(env.RECIPIENTS.idFromName(handle));
+      if (payload === undefined) return stub.fetch(`http://do${path}`);
+      return stub.fetch(`http://do${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+    });
+  } catch (err) {
+    if (err.message.includes("Circuit breaker is OPEN")) {
+      throw new HttpError(503, "SERVICE_UNAVAILABLE", "Recipient store temporarily unavailable");
+    }
+    throw err;
+  }
+}
+
+async function recipientResponse(res, requestId) {
+  const data = await res.json().catch(() => null);
+  if (res.ok) return json(data, { status: 200 });
+
+  return json(
+    createErrorResponse(
+      data?.error || "RECIPIENT_NOT_FOUND",
+      data?.message || "No key is registered for this handle",
+      res.status,
+      requestId
+    ),
+    { status: res.status }
+  );
+}
+
+/**
+ * Map an application/octet-stream create request onto the JSON body shape:
+ * the body is the raw ciphertext and the remaining fields come from headers
+ */
+async function readRawSecret(request) {
+  const bytes = await readBinary(request, {
+    maxBytes: Math.floor((LIMITS.ENCRYPTED_MAX_CHARS * 3) / 4),
+  });
+  const header = (name) => request.headers.get(name) ?? undefined;
+
+  let passphrase = header(RAW_HEADERS.PASSPHRASE);
+  if (passphrase !== undefined) {
+    const [salt, iterations, verifier] = passphrase.split(".");
+    passphrase = { salt, iterations: Number(iterations), verifier };
+  }
+  const canary = header(RAW_HEADERS.CANARY);
+  const checkinInterval = header(RAW_HEADERS.CHECKIN_INTERVAL);
+
+  return {
+    encrypted: base64Url(bytes),
+    iv: header(RAW_HEADERS.IV),
+    ttl: header(RAW_HEADERS.TTL),
+    maxViews: header(RAW_HEADERS.MAX_VIEWS),
+    kind: header(RAW_HEADERS.KIND),
+    notify: header(RAW_HEADERS.NOTIFY),
+    notBefore: header(RAW_HEADERS.NOT_BEFORE),
+    envelope: decodeJsonHeader(request, RAW_HEADERS.ENVELOPE, "INVALID_ENVELOPE"),
+    aad: header(RAW_HEADERS.AAD),
+    deleteToken: header(RAW_HEADERS.DELETE_TOKEN),
+    notifySecret: header(RAW_HEADERS.NOTIFY_SECRET),
+    passphrase,
+    // Left as-is when not "true"/"false" so the JSON validation rejects it
+    canary: canary === "true" ? true : canary === "false" ? false : canary,
+    checkinInterval: checkinInterval === undefined ? undefined : Number(checkinInterval),
+    accessPolicy: decodeJsonHeader(request, RAW_HEADERS.ACCESS_POLICY, "INVALID_ACCESS_POLICY"),
+  };
+}
+
+/**
+ * Who is looking at a secret: the client IP (checked against access policies only),
+ * the Cloudflare country and a truncated SHA-256 of the user agent. Canaries record
+ * just the last two, never the IP or the raw header.
+ */
+async function readerAccess(request) {
+  const ua = request.headers.get("User-Agent") || "";
+  return {
+    ip: getClientIp(request),
+    country: request.headers.get("CF-IPCountry") || null,
+    uaHash: base64Url((await sha256Bytes(ua)).slice(0, 12)),
+  };
+}
+
+// SecretStore checks access policies against the IP but never records it in canary hits
+function accessHeaders(access) {
+  if (!access) return {};
+  const { ip, country, uaHash } = access;
+  return { [CANARY.ACCESS_HEADER]: JSON.stringify({ ip, country, uaHash }) };
+}
+
+/**
+ * Raise the canary alert when SecretStore reports a hit. The webhook runs after the
+ * response when the runtime allows it, so a decoy answers as fast as a real secret.
+ */
+async function notifyCanary(res, id, event, access, ctx) {
+  const hits = Number(res.headers.get(CANARY.HIT_HEADER));
+  if (!hits) return;
+
+  const alert = alertCanaryAccess({
+    id,
+    event,
+    hits,
+    country: access?.country,
+    uaHash: access?.uaHash,
+  });
+  if (ctx?.waitUntil) ctx.waitUntil(alert);
+  else await alert;
+}
+
+/**
+ * Compatibility flag: let GET /api/secrets/:id keep consuming the secret
+ * for clients that have not moved to POST /reveal yet
+ */
+function legacyGetRead(env) {
+  return env?.LEGACY_GET_READ === "true" || env?.LEGACY_GET_READ === true;
+}
+
+/**
+ * Deployment flag: refuse payloads that are not length-padded, so the stored size
+ * only reveals a bucket and never the exact secret length
+ */
+function strictPadding(env) {
+  return env?.STRICT_PADDING === "true" || env?.STRICT_PADDING === true;
+}
+
+const PAD_SIZES = {
+  "pad-pow2": (n) => n >= PADDING.MIN_BYTES && (n & (n - 1)) === 0,
+  "pad-4k": (n) => n > 0 && n % PADDING.BLOCK_BYTES === 0,
+};
+
+/**
+ * Require a padding flag in the envelope and, when the ciphertext is at hand,
+ * a plaintext size that matches it. The server cannot see the padding itself.
+ */
+function checkPadding(envelope, encrypted) {
+  const scheme = envelope?.flags?.find((flag) => Object.hasOwn(PAD_SIZES, flag));
+  if (!scheme) {
+    throw new HttpError(
+      400,
+      "PADDING_REQUIRED",
+      `This server only accepts length-padded payloads (envelope flag ${Object.keys(PAD_SIZES).join(" or ")})`
+    );
+  }
+  if (encrypted === undefined) return;
+
+  const padded = Math.floor((encrypted.length * 3) / 4) - ENVELOPE.ALGS[envelope.alg].tagBytes;
+  if (!PAD_SIZES[scheme](padded)) {
+    throw new HttpError(400, "PADDING_REQUIRED", `Payload size does not match ${scheme} padding`);
+  }
+}
+
+/**
+ * Validate the optional passphrase verifier. The client derives `verifier` with
+ * PBKDF2-SHA256(passphrase, salt, iterations); only its hash is stored.
+ */
+async function parsePassphrase(passphrase) {
+  if (passphrase === undefined || passphrase === null) return undefined;
+
+  const { salt, iterations, verifier } = passphrase;
+  if (
+    typeof salt !== "string" ||
+    !PASSPHRASE.SALT_PATTERN.test(salt) ||
+    typeof verifier !== "string" ||
+    !PASSPHRASE.VERIFIER_PATTERN.test(verifier) ||
+    !Number.isInteger(iterations) ||
+    iterations < PASSPHRASE.MIN_ITERATIONS ||
+    iterations > PASSPHRASE.MAX_ITERATIONS
+  ) {
+    throw new HttpError(
+      400,
+      "INVALID_PASSPHRASE_PARAMS",
+      `passphrase needs a base64url salt, a 32-byte verifier and ${PASSPHRASE.MIN_ITERATIONS}-${PASSPHRASE.MAX_ITERATIONS} iterations`
+    );
+  }
+
+  return { salt, iterations, verifierHash: await hashToken(verifier) };
+}
+
+/**
+ * Structurally validate the optional encryption envelope ({v, alg, kdf?, flags?}).
+ * The server never decrypts, so anything beyond the shape is stored as-is for the reader.
+ * Absent means a legacy bare AES-GCM payload.
+ */
+function parseEnvelope(envelope) {
+  if (envelope === undefined || envelope === null) return null;
+
+  const invalid = (message) => new HttpError(400, "INVALID_ENVELOPE", message);
+  if (typeof envelope !== "object" || Array.isArray(envelope)) {
+    throw invalid("envelope must be an object");
+  }
+  if (JSON.stringify(envelope).length > ENVELOPE.MAX_JSON_CHARS) {
+    throw invalid(`envelope must be at most ${ENVELOPE.MAX_JSON_CHARS} characters of JSON`);
+  }
+
+  const { v, alg, kdf, flags, ...rest } = envelope;
+  if (Object.keys(rest).length > 0) {
+    throw invalid(`Unknown envelope field: ${Object.keys(rest)[0]}`);
+  }
+  if (!ENVELOPE.VERSIONS.includes(v)) {
+    throw invalid(`Unsupported envelope version (supported: ${ENVELOPE.VERSIONS.join(", ")})`);
+  }
+  if (!Object.hasOwn(ENVELOPE.ALGS, alg)) {
+    throw invalid(`Unsupported alg (supported: ${Object.keys(ENVELOPE.ALGS).join(", ")})`);
+  }
+
+  if (kdf !== undefined) {
+    const params = kdf && typeof kdf === "object" && !Array.isArray(kdf) ? Object.values(kdf) : [];
+    if (
+      typeof kdf?.name !== "string" ||
+      !ENVELOPE.TOKEN_PATTERN.test(kdf.name) ||
+      params.length > ENVELOPE.MAX_KDF_PARAMS ||
+      !params.every((p) => typeof p === "string" || Number.isFinite(p))
+    ) {
+      throw invalid(
+        `kdf must be a named object of at most ${ENVELOPE.MAX_KDF_PARAMS} string or number params`
+      );
+    }
+  }
+
+  if (flags !== undefined) {
+    if (
+      !Array.isArray(flags) ||
+      flags.length > ENVELOPE.MAX_FLAGS ||
+      new Set(flags).size !== flags.length ||
+      !flags.every((f) => typeof f === "string" && ENVELOPE.TOKEN_PATTERN.test(f))
+    ) {
+      throw invalid(`flags must be up to ${ENVELOPE.MAX_FLAGS} distinct lowercase names`);
+    }
+  }
+
+  return { v, alg, ...(kdf && { kdf }), ...(flags?.length && { flags }) };
+}
+
+/**
+ * Raw uploads carry structured fields (envelope, access policy) as base64url JSON in a header
+ */
+function decodeJsonHeader(request, name, code) {
+  const value = request.headers.get(name);
+  if (value === null) return undefined;
+  try {
+    return JSON.parse(new TextDecoder("utf-8", { fatal: true }).decode(base64UrlToBytes(value)));
+  } catch {
+    throw new HttpError(400, code, `${name} must be base64url JSON`);
+  }
+}
+
+/**
+ * Optional AES-GCM associated data. The client binds it into the ciphertext and checks it
+ * on read; the server only bounds its size and hands it back byte for byte.
+ */
+function parseAad(aad) {
+  if (aad === undefined || aad === null) return null;
+
+  if (typeof aad !== "string" || !aad || aad.length > LIMITS.AAD_MAX_CHARS || !isBase64Url(aad)) {
+    throw new HttpError(
+      400,
+      "INVALID_AAD",
+      `aad must be base64url of at most ${LIMITS.AAD_MAX_CHARS} characters`
+    );
+  }
+  return aad;
+}
+
+/**
+ * Optional client-generated credential (deleteToken, notifySecret), as strong as the
+ * ones the server generates
+ */
+function parseClientToken(token, field, code) {
+  if (token === undefined || token === null) return null;
+
+  const chars = Math.ceil((LIMITS.TOKEN_BYTES * 4) / 3);
+  if (typeof token !== "string" || token.length !== chars || !isBase64Url(token)) {
+    throw new HttpError(
+      400,
+      code,
+      `${field} must be ${chars} base64url characters (${LIMITS.TOKEN_BYTES} random bytes)`
+    );
+  }
+  return token;
+}
+
+/**
+ * The IV size depends on the envelope's cipher; legacy payloads are AES-GCM (12 bytes)
+ */
+function checkIvLength(iv, envelope) {
+  const alg = envelope?.alg ?? ENVELOPE.LEGACY_ALG;
+  const { ivBytes, ivMinChars, ivMaxChars } = ENVELOPE.ALGS[alg];
+  if (iv.length < ivMinChars || iv.length > ivMaxChars) {
+    throw new HttpError(400, "INVALID_IV_LENGTH", `IV must be ${ivBytes} bytes for ${alg}`);
+  }
+}
+
+/**
+ * Validate the optional chunk count that opens a chunked upload (null = inline upload)
+ */
+function parseChunkCount(chunks) {
+  if (chunks === undefined || chunks === null) return null;
+
+  if (!Number.isInteger(chunks) || chunks < 1 || chunks > LIMITS.MAX_CHUNKS) {
+    throw new HttpError(
+      400,
+      "INVALID_CHUNKS",
+      `chunks must be an integer between 1 and ${LIMITS.MAX_CHUNKS}`
+    );
+  }
+  return chunks;
+}
+
+/**
+ * Payload kind is a display hint for the reader; the file name and type stay encrypted
+ */
+function parseKind(kind) {
+  if (kind === undefined || kind === null) return "text";
+  if (kind !== "text" && kind !== "file") {
+    throw new HttpError(400, "INVALID_KIND", 'kind must be "text" or "file"');
+  }
+  return kind;
+}
+
+/**
+ * Validate the optional canary flag. A decoy never burns, so it cannot carry a
+ * passphrase (whose lockout burns) and is always a single inline payload.
+ */
+function parseCanary(canary, { passphrase, chunks }) {
+  if (canary === undefined || canary === null || canary === false) return false;
+  if (canary !== true) {
+    throw new HttpError(400, "INVALID_CANARY", "canary must be a boolean");
+  }
+  if (passphrase || chunks) {
+    throw new HttpError(
+      400,
+      "INVALID_CANARY",
+      "Canary secrets cannot be passphrase protected or chunked"
+    );
+  }
+  return true;
+}
+
+/**
+ * Validate the optional check-in interval that turns a secret into a dead man's switch.
+ * The first deadline is one interval from now; notBefore and canaries don't combine with it.
+ */
+function parseCheckinInterval(interval, { notBefore, canary }) {
+  if (interval === undefined || interval === null) return null;
+
+  if (
+    !Number.isInteger(interval) ||
+    interval < DEADMAN.MIN_INTERVAL_MS ||
+    interval > DEADMAN.MAX_INTERVAL_MS
+  ) {
+    throw new HttpError(
+      400,
+      "INVALID_CHECKIN_INTERVAL",
+      `checkinInterval must be an integer between ${DEADMAN.MIN_INTERVAL_MS} and ${DEADMAN.MAX_INTERVAL_MS} milliseconds`
+    );
+  }
+  if (notBefore || canary) {
+    throw new HttpError(
+      400,
+      "INVALID_CHECKIN_INTERVAL",
+      "checkinInterval cannot be combined with notBefore or canary"
+    );
+  }
+  return { interval, deadline: Date.now() + interval };
+}
+
+/**
+ * Validate the optional reader allowlists: `cidrs` (IPv4/IPv6 ranges) and `countries`
+ * (ISO alpha-2 codes). At least one list is required; both must match when both are set.
+ */
+function parseAccessPolicy(policy) {
+  if (policy === undefined || policy === null) return null;
+
+  const invalid = (message) => new HttpError(400, "INVALID_ACCESS_POLICY", message);
+  if (typeof policy !== "object" || Array.isArray(policy)) {
+    throw invalid("accessPolicy must be an object with cidrs and/or countries");
+  }
+
+  const { cidrs = [], countries = [], ...rest } = policy;
+  if (Object.keys(rest).length) {
+    throw invalid(`Unknown accessPolicy fields: ${Object.keys(rest).join(", ")}`);
+  }
+  if (
+    !Array.isArray(cidrs) ||
+    cidrs.length > ACCESS_POLICY.MAX_CIDRS ||
+    !cidrs.every((cidr) => parseCidr(cidr))
+  ) {
+    throw invalid(`cidrs must be a list of at most ${ACCESS_POLICY.MAX_CIDRS} IP ranges`);
+  }
+  if (
+    !Array.isArray(countries) ||
+    countries.length > ACCESS_POLICY.MAX_COUNTRIES ||
+    !countries.every((c) => typeof c === "string" && ACCESS_POLICY.COUNTRY_PATTERN.test(c))
+  ) {
+    throw invalid(
+      `countries must be a list of at most ${ACCESS_POLICY.MAX_COUNTRIES} two-letter country codes`
+    );
+  }
+  if (!cidrs.length && !countries.length) {
+    throw invalid("accessPolicy must list at least one CIDR or country");
+  }
+
+  return {
+    ...(cidrs.length && { cidrs: cidrs.map((cidr) => cidr.trim()) }),
+    ...(countries.length && { countries: [...new Set(countries)] }),
+  };
+}
+
+/**
+ * Validate the optional view count for a secret (defaults to a single view)
+ */
+function parseMaxViews(maxViews) {
+  if (maxViews === undefined || maxViews === null) return LIMITS.MIN_VIEWS;
+
+  const n = Number(maxViews);
+  if (!Number.isInteger(n) || n < LIMITS.MIN_VIEWS || n > LIMITS.MAX_VIEWS) {
+    throw new HttpError(
+      400,
+      "INVALID_MAX_VIEWS",
+      `maxViews must be an integer between ${LIMITS.MIN_VIEWS} and ${LIMITS.MAX_VIEWS}`
+    );
+  }
+  return n;
+}
+
+/**
+ * Clamp the requested TTL and turn it into an absolute expiry. The TTL runs from
+ * `availableAt` (the notBefore time of a delayed secret), not from creation.
+ */
+function clampTtl(ttl, availableAt = Date.now()) {
+  const n = Number(ttl);
+  const candidate = Number.isFinite(n) ? n : TTL.DEFAULT_MS;
+  const ttlMs = Math.min(Math.max(candidate, TTL.MIN_MS), TTL.MAX_MS);
+  return { ttlMs, expiresAt: availableAt + ttlMs };
+}
+
+/**
+ * Optional availability time (Unix ms). A time already in the past means
+ * "available now"; the delay is capped at TTL.MAX_DELAY_MS.
+ */
+function parseNotBefore(notBefore) {
+  if (notBefore === undefined || notBefore === null) return null;
+
+  const n = Number(notBefore);
+  const now = Date.now();
+  if (!Number.isInteger(n) || n < 0 || n > now + TTL.MAX_DELAY_MS) {
+    throw new HttpError(
+      400,
+      "INVALID_NOT_BEFORE",
+      "notBefore must be a Unix timestamp in milliseconds at most 30 days ahead"
+    );
+  }
+  return n > now ? n : null;
+}
+
+async function safeReadError(res) {
+  try {
+    const data = await res.json();
+    return data?.error || data?.message;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate secret status without consuming it
+ * Returns metadata about the secret (status, creation time, expiration)
+ * FIX: P1 - Only parse JSON when needed
+ * FIX: P0 - Added circuit breaker protection for DO access
+ */
+async function validateSecret(id, env, requestId, { access, ctx } = {}) {
+  if (!/^[A-Za-z0-9]{8,64}$/.test(id)) {
+    throw new HttpError(400, "INVALID_ID", "Invalid secret ID");
+  }
+
+  try {
+    // FIX: P0 - Use circuit breaker for DO access (consistent with readSecret)
+    const res = await circuitBreakers.secrets.execute(async () => {
+      const doId = env.SECRETS.idFromName(id);
+      const stub = env.SECRETS.get(doId);
+      return stub.fetch("http://do/validate", { headers: accessHeaders(access) });
+    });
+
+    // FIX: P1 - Only parse JSON if response is OK (avoid unnecessary parsing)
+    if (!res.ok) {
+      try {
+        const data = await res.json();
+        const errorCode = data?.error || "SECRET_NOT_FOUND";
+        const errorMessage = data?.message || "Secret not found";
+        return json(createErrorResponse(errorCode, errorMessage, res.status, requestId), {
+          status: res.status,
+        });
+      } catch {
+        return json(
+          createErrorResponse("SECRET_NOT_FOUND", "Secret not found", res.status, requestId),
+          { status: res.status }
+        );
       }
     }
 
     const data = await res.json();
+    await notifyCanary(res, id, "validate", access, ctx);
     return json(
       {
         id,
@@ -372,6 +1771,18 @@ async function validateSecret(id, env, requestId) {
         createdAt: data.createdAt,
         expiresAt: data.expiresAt,
         ttl: data.ttl,
+        maxViews: data.maxViews,
+        viewsRemaining: data.viewsRemaining,
+        kind: data.kind ?? "text",
+        availableAt: data.availableAt ?? data.createdAt,
+        ...(data.deadman && { deadman: true }),
+        ...(data.accessPolicy && {
+          accessPolicy: data.accessPolicy,
+          accessAllowed: policyAllows(data.accessPolicy, access),
+        }),
+        ...(data.passphrase && { passphrase: data.passphrase }),
+        ...(data.split && { split: data.split }),
+        ...(data.envelope && { envelope: data.envelope }),
       },
       { status: 200 }
     );
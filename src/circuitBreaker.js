@@ -165,4 +165,8 @@ export class CircuitBreaker {
 export const circuitBreakers = {
   secrets: new CircuitBreaker("SecretStore"),
   rateLimit: new CircuitBreaker("RateLimiter"),
+  idempotency: new CircuitBreaker("IdempotencyStore"),
+  inboxes: new CircuitBreaker("InboxStore"),
+  bundles: new CircuitBreaker("BundleStore"),
+  recipients: new CircuitBreaker("RecipientStore"),
 };
@@ -2,12 +2,21 @@ export const TTL = {
   MIN_MS: 5 * 60 * 1000,
   DEFAULT_MS: 24 * 60 * 60 * 1000,
   MAX_MS: 7 * 24 * 60 * 60 * 1000,
+  TOMBSTONE_GRACE_MS: 24 * 60 * 60 * 1000, // How long status and receipts outlive a burn
+  MAX_DELAY_MS: 30 * 24 * 60 * 60 * 1000, // Furthest in the future a notBefore may lie
 };
 
 export const LIMITS = {
   ENCRYPTED_MAX_CHARS: 1_400_000, // ~1MB base64url payload (includes overhead)
   ID_LEN: 16,
   ID_CHARS: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
+  MIN_VIEWS: 1,
+  MAX_VIEWS: 100, // Upper bound for multi-view secrets (burn after N reads)
+  TOKEN_BYTES: 32, // Entropy of sender tokens (e.g. deleteToken)
+  CHUNK_MAX_CHARS: 1_000_000, // Per-chunk base64url ciphertext for chunked uploads
+  MAX_CHUNKS: 16, // ~12MB ciphertext: fits a 10MB file plus GCM/base64 overhead
+  MAX_RECIPIENTS: 20, // Secrets per multi-recipient bundle
+  AAD_MAX_CHARS: 1024, // Opaque AES-GCM associated data (nonce + envelope), base64url
 };
 
 export const RATE_LIMIT = {
@@ -26,6 +35,97 @@ export const CIRCUIT_BREAKER = {
   RESET_TIMEOUT_MS: 60000, // 1 minute before attempting to close circuit
 };
 
+export const PASSPHRASE = {
+  MAX_ATTEMPTS: 5, // Wrong unlock attempts before the secret is burned
+  MIN_ITERATIONS: 100_000, // PBKDF2 work factor bounds for client-derived verifiers
+  MAX_ITERATIONS: 5_000_000,
+  SALT_PATTERN: /^[A-Za-z0-9_-]{22,86}$/, // 16-64 bytes, base64url
+  VERIFIER_PATTERN: /^[A-Za-z0-9_-]{43}$/, // 32-byte PBKDF2 output, base64url
+};
+
+// Client-side encryption envelope. The API checks its shape and stores it verbatim;
+// only the cipher table is interpreted, to validate the IV length per algorithm.
+export const ENVELOPE = {
+  VERSIONS: [1],
+  ALGS: { "AES-256-GCM": { ivBytes: 12, ivMinChars: 16, ivMaxChars: 24, tagBytes: 16 } },
+  LEGACY_ALG: "AES-256-GCM", // Bare {encrypted, iv} payloads from before envelopes existed
+  TOKEN_PATTERN: /^[a-z0-9][a-z0-9-]{0,31}$/, // Flags and KDF names
+  MAX_FLAGS: 8,
+  MAX_KDF_PARAMS: 8,
+  MAX_JSON_CHARS: 512,
+};
+
+// Length-hiding padding, named by envelope flag. With STRICT_PADDING set the server
+// only accepts payloads whose plaintext size (ciphertext minus tag) fits the scheme.
+export const PADDING = {
+  MIN_BYTES: 256, // "pad-pow2": a power of two, at least this large
+  BLOCK_BYTES: 4096, // "pad-4k": a whole number of blocks
+};
+
+export const WEBHOOK = {
+  MAX_URL_LENGTH: 2048,
+  TIMEOUT_MS: 5000, // Per delivery attempt
+  RETRY_DELAYS_MS: [30_000, 2 * 60_000, 10 * 60_000, 60 * 60_000], // Backoff after each failed attempt
+  USER_AGENT: "volatile.sh-webhook/1.0",
+};
+
+export const INBOX = {
+  EPK_PATTERN: /^[A-Za-z0-9_-]{87}$/, // Responder's ephemeral P-256 public key, raw (65 bytes)
+};
+
+export const RECIPIENT = {
+  HANDLE_PATTERN: /^[a-z0-9][a-z0-9-]{2,31}$/, // Lowercase, 3-32 characters
+  PUBLIC_KEY_PATTERN: /^[A-Za-z0-9_-]{87}$/, // Raw P-256 public key (65 bytes), base64url
+};
+
+// Decoy secrets that never burn and raise an alert on every access
+export const CANARY = {
+  MAX_HITS: 100, // Most recent accesses kept per canary; older ones only count toward the total
+  ACCESS_HEADER: "X-Volatile-Access", // Worker -> SecretStore: JSON {ip, country, uaHash}
+  HIT_HEADER: "X-Volatile-Canary-Hits", // SecretStore -> worker: hit total, never forwarded
+};
+
+// Dead man's switch: sealed while the owner checks in, released once a deadline is missed
+export const DEADMAN = {
+  MIN_INTERVAL_MS: 5 * 60 * 1000,
+  MAX_INTERVAL_MS: 30 * 24 * 60 * 60 * 1000,
+};
+
+// Reader allowlists attached at creation. SecretStore enforces them inside the consuming
+// transaction, after the expiry and upload checks; a denied canary read is still logged as a hit
+export const ACCESS_POLICY = {
+  MAX_CIDRS: 32,
+  MAX_COUNTRIES: 64,
+  COUNTRY_PATTERN: /^[A-Z]{2}$/, // ISO 3166-1 alpha-2, as sent in CF-IPCountry
+};
+
+export const IDEMPOTENCY = {
+  WINDOW_MS: 24 * 60 * 60 * 1000, // How long a key replays its original create response
+  PENDING_TIMEOUT_MS: 60_000, // A claimed key with no outcome after this is treated as abandoned
+  KEY_PATTERN: /^[A-Za-z0-9_-]{16,128}$/, // e.g. a UUID or 128-bit base64url value
+  HEADER: "Idempotency-Key",
+  REPLAYED_HEADER: "Idempotent-Replayed",
+};
+
+// Metadata headers for application/octet-stream uploads and reads (no base64url/JSON wrapping)
+export const RAW_HEADERS = {
+  IV: "X-Volatile-IV",
+  TTL: "X-Volatile-TTL",
+  MAX_VIEWS: "X-Volatile-Max-Views",
+  KIND: "X-Volatile-Kind",
+  NOTIFY: "X-Volatile-Notify",
+  PASSPHRASE: "X-Volatile-Passphrase", // "<salt>.<iterations>.<verifier>"
+  NOT_BEFORE: "X-Volatile-Not-Before", // Unix ms timestamp
+  ENVELOPE: "X-Volatile-Envelope", // base64url-encoded envelope JSON
+  AAD: "X-Volatile-AAD", // base64url associated data, returned unchanged
+  DELETE_TOKEN: "X-Volatile-Delete-Token", // client-chosen deleteToken, stored only as a hash
+  NOTIFY_SECRET: "X-Volatile-Notify-Secret", // client-chosen webhook signing secret
+  CANARY: "X-Volatile-Canary", // "true" or "false"
+  CHECKIN_INTERVAL: "X-Volatile-Checkin-Interval", // milliseconds
+  ACCESS_POLICY: "X-Volatile-Access-Policy", // base64url-encoded access policy JSON
+  VIEWS_REMAINING: "X-Volatile-Views-Remaining",
+};
+
 export const CACHE = {
   RATE_LIMIT_TTL_MS: 1000, // 1 second cache for rate limit checks
   MAX_SIZE: 1000, // Maximum number of cached entries
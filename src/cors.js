@@ -1,4 +1,4 @@
-import { getAllowedOrigins } from "./constants.js";
+import { getAllowedOrigins, RAW_HEADERS, IDEMPOTENCY } from "./constants.js";
 
 /**
  * Rate limit headers that should be exposed to clients
@@ -10,6 +10,35 @@ const EXPOSED_HEADERS = [
   "Retry-After",
   "X-Request-ID",
   "X-API-Version",
+  RAW_HEADERS.IV,
+  RAW_HEADERS.KIND,
+  RAW_HEADERS.VIEWS_REMAINING,
+  RAW_HEADERS.ENVELOPE,
+  RAW_HEADERS.AAD,
+  IDEMPOTENCY.REPLAYED_HEADER,
+].join(", ");
+
+/**
+ * Request headers clients may send (octet-stream uploads carry metadata in headers)
+ */
+const ALLOWED_HEADERS = [
+  "Content-Type",
+  "Authorization",
+  RAW_HEADERS.IV,
+  RAW_HEADERS.TTL,
+  RAW_HEADERS.MAX_VIEWS,
+  RAW_HEADERS.KIND,
+  RAW_HEADERS.NOTIFY,
+  RAW_HEADERS.PASSPHRASE,
+  RAW_HEADERS.NOT_BEFORE,
+  RAW_HEADERS.ENVELOPE,
+  RAW_HEADERS.AAD,
+  RAW_HEADERS.DELETE_TOKEN,
+  RAW_HEADERS.NOTIFY_SECRET,
+  RAW_HEADERS.CANARY,
+  RAW_HEADERS.CHECKIN_INTERVAL,
+  RAW_HEADERS.ACCESS_POLICY,
+  IDEMPOTENCY.HEADER,
 ].join(", ");
 
 export function corsHeadersFor(request, env, { allowMethods, allowHeaders } = {}) {
@@ -17,8 +46,8 @@ export function corsHeadersFor(request, env, { allowMethods, allowHeaders } = {}
   const allowed = parseAllowedOrigins(env);
 
   const base = {
-    "Access-Control-Allow-Methods": allowMethods || "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": allowHeaders || "Content-Type",
+    "Access-Control-Allow-Methods": allowMethods || "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": allowHeaders || ALLOWED_HEADERS,
     "Access-Control-Expose-Headers": EXPOSED_HEADERS,
     "Access-Control-Max-Age": "86400",
     Vary: "Origin",
@@ -1,4 +1,5 @@
 import { LIMITS } from "./constants.js";
+import { base64Url, sha256Bytes } from "./ip.js";
 
 /**
  * Generate a cryptographically secure random ID
@@ -25,3 +26,30 @@ export function generateId() {
 
   return result.join("");
 }
+
+/**
+ * Generate a random bearer token (base64url) handed to the secret's creator
+ */
+export function generateToken() {
+  const bytes = new Uint8Array(LIMITS.TOKEN_BYTES);
+  crypto.getRandomValues(bytes);
+  return base64Url(bytes);
+}
+
+/**
+ * Hash a bearer token for storage; only the hash is ever persisted
+ */
+export async function hashToken(token) {
+  return base64Url(await sha256Bytes(token));
+}
+
+/**
+ * Compare two strings without short-circuiting on the first mismatch
+ */
+export function timingSafeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
@@ -0,0 +1,111 @@
+import { TTL } from "../constants.js";
+import { timingSafeEqual } from "../cryptoId.js";
+
+/**
+ * Multi-recipient bundle: remembers which secrets (one per recipient, each
+ * encrypted with its own key) were created together and under which labels.
+ * Per-recipient read state stays in each secret's SecretStore; this only holds
+ * the membership list so the sender can ask about all of them at once. For a
+ * Shamir split it also records the threshold M of shares needed to reconstruct.
+ */
+export class BundleStore {
+  constructor(state) {
+    this.state = state;
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method !== "POST") return new Response("Not found", { status: 404 });
+
+    if (url.pathname === "/create") return this.create(request);
+    if (url.pathname === "/get") return this.get(request);
+    if (url.pathname === "/extend") return this.extend(request);
+    return new Response("Not found", { status: 404 });
+  }
+
+  async create(request) {
+    const { id, expiresAt, ownerTokenHash, recipients, threshold = null } = await request.json();
+
+    const created = await this.storage.transaction(async (txn) => {
+      if (await txn.get("bundle")) return false;
+      await txn.put("bundle", {
+        id,
+        createdAt: Date.now(),
+        expiresAt,
+        ownerTokenHash,
+        recipients,
+        threshold,
+      });
+      return true;
+    });
+
+    if (!created) return json({ error: "ID_COLLISION" }, 409);
+    // Outlive the secrets by the tombstone grace so status stays answerable after expiry
+    await this.storage.setAlarm(expiresAt + TTL.TOMBSTONE_GRACE_MS);
+    return json({ ok: true }, 201);
+  }
+
+  /**
+   * Return the membership list to the holder of the bundle's deleteToken
+   */
+  async get(request) {
+    const { tokenHash } = await request.json();
+    const bundle = await this.storage.get("bundle");
+
+    if (!bundle) {
+      return json({ error: "BUNDLE_NOT_FOUND", message: "Bundle not found or expired" }, 404);
+    }
+    if (!timingSafeEqual(tokenHash, bundle.ownerTokenHash)) {
+      return json({ error: "INVALID_TOKEN", message: "Token does not match" }, 403);
+    }
+
+    return json({
+      id: bundle.id,
+      createdAt: bundle.createdAt,
+      expiresAt: bundle.expiresAt,
+      threshold: bundle.threshold ?? null,
+      recipients: bundle.recipients,
+    });
+  }
+
+  /**
+   * A member's expiry was pushed out (PATCH with the bundle's deleteToken): keep the
+   * bundle, and its alarm, at least as long as that member
+   */
+  async extend(request) {
+    const { tokenHash, expiresAt } = await request.json();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const bundle = await txn.get("bundle");
+      if (!bundle) {
+        return {
+          status: 404,
+          body: { error: "BUNDLE_NOT_FOUND", message: "Bundle not found or expired" },
+        };
+      }
+      if (!timingSafeEqual(tokenHash, bundle.ownerTokenHash)) {
+        return { status: 403, body: { error: "INVALID_TOKEN", message: "Token does not match" } };
+      }
+
+      if (expiresAt > bundle.expiresAt) {
+        await txn.put("bundle", { ...bundle, expiresAt });
+        await txn.setAlarm(expiresAt + TTL.TOMBSTONE_GRACE_MS);
+      }
+      return { status: 200, body: { expiresAt: Math.max(expiresAt, bundle.expiresAt) } };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
@@ -0,0 +1,121 @@
+import { IDEMPOTENCY } from "../constants.js";
+
+/**
+ * One instance per client IP and Idempotency-Key. Remembers the body fingerprint of the first
+ * create request and, once it succeeds, the public part of its response, so a
+ * retried POST /api/secrets replays the result instead of storing a duplicate.
+ */
+export class IdempotencyStore {
+  constructor(state) {
+    this.state = state;
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    if (request.method !== "POST") return new Response("Not found", { status: 404 });
+
+    if (url.pathname === "/begin") return this.begin(request);
+    if (url.pathname === "/complete") return this.complete(request);
+    if (url.pathname === "/release") return this.release();
+    return new Response("Not found", { status: 404 });
+  }
+
+  /**
+   * Claim the key for a new request, or report what happened to an earlier one
+   */
+  async begin(request) {
+    const { fingerprint } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const entry = await txn.get("entry");
+      const live = entry && now < entry.expiresAt;
+      const abandoned =
+        live &&
+        entry.status === "pending" &&
+        now - entry.startedAt > IDEMPOTENCY.PENDING_TIMEOUT_MS;
+
+      if (!live || abandoned) {
+        await txn.put("entry", {
+          fingerprint,
+          status: "pending",
+          startedAt: now,
+          expiresAt: now + IDEMPOTENCY.WINDOW_MS,
+        });
+        return { status: 200, body: { state: "new" } };
+      }
+
+      if (entry.fingerprint !== fingerprint) {
+        return {
+          status: 422,
+          body: {
+            error: "IDEMPOTENCY_KEY_MISMATCH",
+            message: "Idempotency-Key was already used with a different request body",
+          },
+        };
+      }
+
+      if (entry.status === "pending") {
+        return {
+          status: 409,
+          body: {
+            error: "IDEMPOTENCY_IN_PROGRESS",
+            message: "A request with this Idempotency-Key is still being processed",
+          },
+        };
+      }
+
+      return { status: 200, body: { state: "done", result: entry.result } };
+    });
+
+    if (res.status === 200 && res.body.state === "new") {
+      await this.storage.setAlarm(now + IDEMPOTENCY.WINDOW_MS);
+    }
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Record the outcome of the claimed request so later retries replay it
+   */
+  async complete(request) {
+    const { result } = await request.json();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const entry = await txn.get("entry");
+      if (!entry || entry.status !== "pending") {
+        return { status: 409, body: { error: "NOT_PENDING", message: "Nothing to complete" } };
+      }
+
+      await txn.put("entry", { ...entry, status: "done", result });
+      return { status: 200, body: { ok: true } };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Forget a failed attempt so the client can retry with the same key
+   */
+  async release() {
+    const entry = await this.storage.get("entry");
+    if (entry?.status === "pending") await this.storage.delete("entry");
+    return json({ ok: true });
+  }
+
+  async alarm() {
+    const entry = await this.storage.get("entry");
+    if (entry && Date.now() < entry.expiresAt) {
+      await this.storage.setAlarm(entry.expiresAt);
+      return;
+    }
+    await this.storage.deleteAll();
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
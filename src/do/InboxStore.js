@@ -0,0 +1,164 @@
+import { timingSafeEqual } from "../cryptoId.js";
+
+/**
+ * Request-a-secret inbox: the requester opens it, a responder fills it exactly
+ * once with ciphertext sealed to the requester's ECDH public key (which only
+ * ever lives in the link fragment), and the requester opens it exactly once.
+ */
+export class InboxStore {
+  constructor(state) {
+    this.state = state;
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/create" && request.method === "POST") return this.create(request);
+    if (url.pathname === "/status" && request.method === "GET") return this.status();
+    if (url.pathname === "/fill" && request.method === "POST") return this.fill(request);
+    if (url.pathname === "/open" && request.method === "POST") return this.open(request);
+    return new Response("Not found", { status: 404 });
+  }
+
+  async create(request) {
+    const { id, expiresAt, ownerTokenHash } = await request.json();
+
+    const created = await this.storage.transaction(async (txn) => {
+      if (await txn.get("inbox")) return false;
+      await txn.put("inbox", {
+        id,
+        status: "open",
+        createdAt: Date.now(),
+        expiresAt,
+        ownerTokenHash,
+      });
+      return true;
+    });
+
+    if (!created) return json({ error: "ID_COLLISION" }, 409);
+    await this.storage.setAlarm(expiresAt);
+    return json({ ok: true }, 201);
+  }
+
+  /**
+   * Public state for both sides; never includes ciphertext
+   */
+  async status() {
+    const inbox = await this.storage.get("inbox");
+    const missing = checkLive(inbox, Date.now());
+    if (missing) {
+      if (missing.status === 410) await this.storage.deleteAll();
+      return json(missing.body, missing.status);
+    }
+
+    return json({
+      id: inbox.id,
+      status: inbox.status,
+      createdAt: inbox.createdAt,
+      expiresAt: inbox.expiresAt,
+      filledAt: inbox.filledAt ?? null,
+    });
+  }
+
+  /**
+   * One-time fill by the responder; later attempts get 409
+   */
+  async fill(request) {
+    const { encrypted, iv, epk, envelope } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const inbox = await txn.get("inbox");
+      const missing = checkLive(inbox, now);
+      if (missing) return missing;
+
+      if (inbox.status !== "open") {
+        return {
+          status: 409,
+          body: { error: "INBOX_ALREADY_FILLED", message: "This inbox has already been filled" },
+        };
+      }
+
+      await txn.put("inbox", {
+        ...inbox,
+        status: "filled",
+        filledAt: now,
+        payload: { encrypted, iv, epk, ...(envelope && { envelope }) },
+      });
+      return { status: 200, body: { status: "filled", filledAt: now } };
+    });
+
+    if (res.status === 410) await this.storage.deleteAll();
+    return json(res.body, res.status);
+  }
+
+  /**
+   * One-time open by the requester (bearer ownerToken); the inbox is deleted on success
+   */
+  async open(request) {
+    const { tokenHash } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const inbox = await txn.get("inbox");
+      const missing = checkLive(inbox, now);
+      if (missing) return missing;
+
+      if (!timingSafeEqual(tokenHash, inbox.ownerTokenHash)) {
+        return {
+          status: 403,
+          body: { error: "INVALID_TOKEN", message: "Owner token does not match" },
+        };
+      }
+
+      if (inbox.status !== "filled") {
+        return {
+          status: 409,
+          body: { error: "INBOX_EMPTY", message: "Nothing has been sent to this inbox yet" },
+        };
+      }
+
+      await txn.delete("inbox");
+      return { status: 200, body: inbox.payload, opened: true };
+    });
+
+    if (res.opened || res.status === 410) {
+      await this.storage.deleteAll();
+      await this.storage.deleteAlarm();
+    }
+    return json(res.body, res.status);
+  }
+
+  async alarm() {
+    const inbox = await this.storage.get("inbox");
+    if (inbox && Date.now() < inbox.expiresAt) {
+      await this.storage.setAlarm(inbox.expiresAt);
+      return;
+    }
+    await this.storage.deleteAll();
+  }
+}
+
+/**
+ * 404 for a missing inbox, 410 for an expired one (caller deletes it), else null
+ */
+function checkLive(inbox, now) {
+  if (!inbox) {
+    return {
+      status: 404,
+      body: { error: "INBOX_NOT_FOUND", message: "Inbox not found or already opened" },
+    };
+  }
+  if (now >= inbox.expiresAt) {
+    return { status: 410, body: { error: "INBOX_EXPIRED", message: "Inbox expired" } };
+  }
+  return null;
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
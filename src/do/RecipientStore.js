@@ -0,0 +1,92 @@
+import { timingSafeEqual } from "../cryptoId.js";
+
+/**
+ * Long-lived recipient key directory: one instance per handle, holding the
+ * recipient's ECDH P-256 public key. The first registration claims the handle;
+ * rotating the key later requires the owner token issued at that point.
+ */
+export class RecipientStore {
+  constructor(state) {
+    this.state = state;
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/register" && request.method === "POST") return this.register(request);
+    if (url.pathname === "/get" && request.method === "GET") return this.get();
+    return new Response("Not found", { status: 404 });
+  }
+
+  /**
+   * Claim a free handle (201), or replace its key when `tokenHash` matches the owner (200)
+   */
+  async register(request) {
+    const { handle, publicKey, tokenHash, newTokenHash } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const existing = await txn.get("recipient");
+
+      if (!existing) {
+        await txn.put("recipient", {
+          handle,
+          publicKey,
+          ownerTokenHash: newTokenHash,
+          createdAt: now,
+          updatedAt: now,
+        });
+        return { status: 201, body: { handle, publicKey, createdAt: now, updatedAt: now } };
+      }
+
+      if (!tokenHash) {
+        return {
+          status: 409,
+          body: { error: "HANDLE_TAKEN", message: "This handle is already registered" },
+        };
+      }
+      if (!timingSafeEqual(tokenHash, existing.ownerTokenHash)) {
+        return {
+          status: 403,
+          body: { error: "INVALID_TOKEN", message: "Owner token does not match" },
+        };
+      }
+
+      await txn.put("recipient", { ...existing, publicKey, updatedAt: now });
+      return {
+        status: 200,
+        body: { handle, publicKey, createdAt: existing.createdAt, updatedAt: now },
+      };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Public lookup; never includes the owner token hash
+   */
+  async get() {
+    const recipient = await this.storage.get("recipient");
+    if (!recipient) {
+      return json(
+        { error: "RECIPIENT_NOT_FOUND", message: "No key is registered for this handle" },
+        404
+      );
+    }
+
+    return json({
+      handle: recipient.handle,
+      publicKey: recipient.publicKey,
+      createdAt: recipient.createdAt,
+      updatedAt: recipient.updatedAt,
+    });
+  }
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+  });
+}
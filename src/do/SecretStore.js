@@ -1,3 +1,10 @@
+import { TTL, PASSPHRASE, CANARY } from "../constants.js";
+import { timingSafeEqual } from "../cryptoId.js";
+import { log } from "../monitoring.js";
+import { policyAllows } from "../ip.js";
+import { ciphertextDigest } from "../receipt.js";
+import { createDelivery, deliverWebhook, nextAttemptAt } from "../webhook.js";
+
 export class SecretStore {
   constructor(state, env) {
     this.state = state;
@@ -12,34 +19,169 @@ export class SecretStore {
     }
 
     if (url.pathname === "/read" && request.method === "GET") {
-      return this.read();
+      return this.read(request);
+    }
+
+    if (url.pathname === "/unlock" && request.method === "POST") {
+      return this.unlock(request);
+    }
+
+    if (url.pathname === "/chunk" && request.method === "POST") {
+      return this.chunk(request);
+    }
+
+    if (url.pathname === "/finalize" && request.method === "POST") {
+      return this.finalize(request);
     }
 
     if (url.pathname === "/validate" && request.method === "GET") {
-      return this.validate();
+      return this.validate(request);
+    }
+
+    if (url.pathname === "/revoke" && request.method === "POST") {
+      return this.revoke(request);
+    }
+
+    if (url.pathname === "/status" && request.method === "POST") {
+      return this.status(request);
+    }
+
+    if (url.pathname === "/expiry" && request.method === "POST") {
+      return this.expiry(request);
+    }
+
+    if (url.pathname === "/receipt" && request.method === "POST") {
+      return this.receipt(request);
+    }
+
+    if (url.pathname === "/hits" && request.method === "POST") {
+      return this.hits(request);
+    }
+
+    if (url.pathname === "/checkin" && request.method === "POST") {
+      return this.checkin(request);
     }
 
     return new Response("Not found", { status: 404 });
   }
 
   async store(request) {
-    const { encrypted, iv, expiresAt } = await request.json();
+    const {
+      id,
+      encrypted,
+      iv,
+      expiresAt,
+      maxViews = 1,
+      deleteTokenHash,
+      notify,
+      passphrase,
+      kind = "text",
+      chunks = null,
+      canary = false,
+      deadman = null,
+      accessPolicy = null,
+      notBefore = null,
+      split = null,
+      envelope = null,
+      aad = null,
+      bundleId = null,
+    } = await request.json();
     const createdAt = Date.now();
 
     const res = await this.storage.transaction(async (txn) => {
-      const existing = await txn.get("secret");
-      if (existing) return { status: 409, body: { error: "Secret ID collision" } };
-      await txn.put("secret", { encrypted, iv, expiresAt, createdAt });
+      const existing = await txn.get(["secret", "tombstone"]);
+      if (existing.size > 0) return { status: 409, body: { error: "Secret ID collision" } };
+      await txn.put("secret", {
+        id,
+        encrypted,
+        iv,
+        expiresAt,
+        createdAt,
+        maxViews,
+        viewsRemaining: maxViews,
+        deleteTokenHash,
+        notify,
+        kind,
+        ...(canary && { canary }),
+        // Dead man's switch: sealed until `deadline`, which each owner check-in pushes back
+        ...(deadman && { deadman: { ...deadman, releasedAt: null } }),
+        ...(accessPolicy && { accessPolicy }),
+        ...(notBefore && { notBefore }),
+        ...(split && { split }),
+        ...(envelope && { envelope }),
+        ...(aad && { aad }),
+        // Bundle members report their bundle so an expiry change can carry over to it
+        ...(bundleId && { bundleId }),
+        // Chunked uploads stay unreadable until every chunk arrived and the sender finalized
+        ...(chunks && { chunks, received: [], uploaded: false }),
+        ...(passphrase && {
+          passphrase: { ...passphrase, attemptsRemaining: PASSPHRASE.MAX_ATTEMPTS },
+        }),
+      });
       return { status: 200, body: { ok: true } };
     });
 
     if (res.status === 409) return json(res.body, 409);
 
-    await this.state.storage.setAlarm(expiresAt);
+    await this.reschedule();
     return json(res.body, 200);
   }
 
-  async read() {
+  async read(request) {
+    return this.consume(
+      (secret) =>
+        secret.passphrase
+          ? {
+              status: 401,
+              body: { error: "PASSPHRASE_REQUIRED", message: "Secret is passphrase protected" },
+            }
+          : null,
+      readAccess(request)
+    );
+  }
+
+  /**
+   * Passphrase-gated read. The verifier is checked here, inside the same
+   * transaction as the view decrement, so attempts cannot race the counter.
+   */
+  async unlock(request) {
+    const { verifierHash } = await request.json();
+
+    return this.consume(async (secret, txn, now) => {
+      if (!secret.passphrase) return null;
+      if (timingSafeEqual(verifierHash, secret.passphrase.verifierHash)) return null;
+
+      const attemptsRemaining = secret.passphrase.attemptsRemaining - 1;
+      if (attemptsRemaining > 0) {
+        await txn.put("secret", {
+          ...secret,
+          passphrase: { ...secret.passphrase, attemptsRemaining },
+        });
+      } else {
+        await burn(txn, secret, "locked", now);
+      }
+
+      return {
+        status: 403,
+        changed: true,
+        body: {
+          error: "INVALID_PASSPHRASE",
+          message:
+            attemptsRemaining > 0
+              ? "Passphrase does not match"
+              : "Too many wrong attempts - the secret has been destroyed",
+          attemptsRemaining,
+        },
+      };
+    }, readAccess(request));
+  }
+
+  /**
+   * Consume one view inside a transaction. `gate` may veto the read by returning
+   * a response descriptor; returning null lets the read proceed. Canaries are
+   * never consumed: the read is recorded as a hit instead.
+   */
+  async consume(gate, access = {}) {
     const res = await this.storage.transaction(async (txn) => {
       const secret = await txn.get("secret");
       if (!secret)
@@ -48,30 +190,516 @@ export class SecretStore {
           body: { error: "Secret not found or already read" },
         };
 
-      if (Date.now() > secret.expiresAt) {
-        await txn.delete("secret");
-        return { status: 410, body: { error: "Secret expired" } };
+      const now = Date.now();
+      if (now > secret.expiresAt) {
+        await burn(txn, secret, "expired", now);
+        return { status: 410, changed: true, body: { error: "Secret expired" } };
+      }
+
+      if (secret.chunks && !secret.uploaded) {
+        return {
+          status: 409,
+          body: { error: "UPLOAD_INCOMPLETE", message: "Secret upload has not been finalized" },
+        };
+      }
+
+      // Fails closed: a reader whose address or country is unknown matches no allowlist.
+      // A denied read spends no view or passphrase attempt, but a canary still logs it.
+      if (secret.accessPolicy && !policyAllows(secret.accessPolicy, access)) {
+        return {
+          status: 403,
+          canaryHits: secret.canary ? await recordHit(txn, "denied", access, now) : undefined,
+          body: {
+            error: "ACCESS_POLICY_DENIED",
+            message: "This secret cannot be opened from your network or country",
+          },
+        };
+      }
+
+      // Checked before the passphrase gate so early guesses don't spend attempts
+      if (secret.notBefore && now < secret.notBefore) {
+        return {
+          status: 425,
+          body: {
+            error: "TOO_EARLY",
+            message: "Secret is not available yet",
+            availableAt: secret.notBefore,
+          },
+        };
+      }
+      if (secret.deadman && now < secret.deadman.deadline) {
+        return {
+          status: 423,
+          body: {
+            error: "SECRET_SEALED",
+            message: "Secret stays sealed while its owner keeps checking in",
+            availableAt: secret.deadman.deadline,
+          },
+        };
+      }
+
+      const denied = await gate(secret, txn, now);
+      if (denied) return denied;
+
+      const encrypted = secret.chunks ? await joinChunks(txn, secret.chunks) : secret.encrypted;
+
+      // Records stored before multi-view support have no counter: treat them as single-view
+      const viewsRemaining = (secret.viewsRemaining ?? 1) - 1;
+      let canaryHits;
+      if (secret.canary) {
+        canaryHits = await recordHit(txn, "read", access, now);
+      } else if (viewsRemaining > 0) {
+        await txn.put("secret", { ...secret, viewsRemaining, lastReadAt: now });
+      } else {
+        await burn(txn, secret, "read", now);
+      }
+      await enqueue(txn, secret, "secret.read", now);
+
+      return {
+        status: 200,
+        changed: true,
+        canaryHits,
+        body: {
+          encrypted,
+          iv: secret.iv,
+          viewsRemaining,
+          kind: secret.kind ?? "text",
+          ...(secret.envelope && { envelope: secret.envelope }),
+          ...(secret.aad && { aad: secret.aad }),
+        },
+      };
+    });
+
+    // Re-arm for tombstone purge and any webhook that was just queued
+    if (res.changed) await this.reschedule();
+
+    return json(res.body, res.status, canaryHeaders(res.canaryHits));
+  }
+
+  /**
+   * Store one ciphertext chunk of an open chunked upload (sender-authorized)
+   */
+  async chunk(request) {
+    const { tokenHash, index, data } = await request.json();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      const denied = checkUpload(secret, tokenHash);
+      if (denied) return denied;
+
+      if (!Number.isInteger(index) || index < 0 || index >= secret.chunks) {
+        return {
+          status: 400,
+          body: {
+            error: "INVALID_CHUNK_INDEX",
+            message: `Chunk index must be between 0 and ${secret.chunks - 1}`,
+          },
+        };
+      }
+
+      // Re-uploading a chunk (e.g. a client retry) simply overwrites it
+      const received = secret.received.includes(index)
+        ? secret.received
+        : [...secret.received, index];
+      await txn.put(chunkKey(index), data);
+      await txn.put("secret", { ...secret, received });
+      return { status: 200, body: { received: received.length, chunks: secret.chunks } };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Close a chunked upload once every chunk is present; only then can it be read
+   */
+  async finalize(request) {
+    const { tokenHash } = await request.json();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      // A retry whose first response was lost finds the upload sealed; that is still success
+      if (secret?.uploaded && timingSafeEqual(tokenHash, secret.deleteTokenHash)) {
+        return { status: 200, body: { ok: true } };
+      }
+      const denied = checkUpload(secret, tokenHash);
+      if (denied) return denied;
+
+      if (secret.received.length !== secret.chunks) {
+        const missing = [];
+        for (let i = 0; i < secret.chunks; i++) {
+          if (!secret.received.includes(i)) missing.push(i);
+        }
+        return {
+          status: 409,
+          body: { error: "UPLOAD_INCOMPLETE", message: "Chunks are missing", missing },
+        };
+      }
+
+      await txn.put("secret", { ...secret, uploaded: true });
+      return { status: 200, body: { ok: true } };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  async revoke(request) {
+    const { tokenHash } = await request.json();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      if (!secret) {
+        return {
+          status: 404,
+          body: { error: "SECRET_NOT_FOUND", message: "Secret not found or already burned" },
+        };
       }
 
-      await txn.delete("secret");
+      if (!timingSafeEqual(tokenHash, secret.deleteTokenHash)) {
+        return {
+          status: 403,
+          body: { error: "INVALID_TOKEN", message: "Deletion token does not match" },
+        };
+      }
+
+      await burn(txn, secret, "revoked", Date.now());
+      return { status: 200, changed: true, body: { ok: true } };
+    });
+
+    if (res.changed) await this.reschedule();
+
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Move a pending secret's expiry, counted like the creation TTL from its
+   * availability time. The alarm is re-armed in the same transaction.
+   */
+  async expiry(request) {
+    const { tokenHash, ttl } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      if (!secret) {
+        return {
+          status: 404,
+          body: { error: "SECRET_NOT_FOUND", message: "Secret not found or already burned" },
+        };
+      }
+
+      if (!timingSafeEqual(tokenHash, secret.deleteTokenHash)) {
+        return {
+          status: 403,
+          body: { error: "INVALID_TOKEN", message: "Token does not match" },
+        };
+      }
+
+      if (now > secret.expiresAt) {
+        return { status: 410, body: { error: "SECRET_EXPIRED", message: "Secret expired" } };
+      }
+
+      // A dead man's switch counts its release window from the current deadline
+      const expiresAt = (secret.deadman?.deadline ?? secret.notBefore ?? secret.createdAt) + ttl;
+      if (expiresAt <= now) {
+        return {
+          status: 400,
+          body: { error: "INVALID_TTL", message: "The new expiry is already in the past" },
+        };
+      }
+
+      await txn.put("secret", {
+        ...secret,
+        expiresAt,
+        ...(secret.deadman && { deadman: { ...secret.deadman, window: ttl } }),
+      });
+      await this.reschedule(txn);
       return {
         status: 200,
-        body: { encrypted: secret.encrypted, iv: secret.iv },
+        body: { expiresAt, ...(secret.bundleId && { bundleId: secret.bundleId }) },
       };
     });
 
-    if (res.status === 200) {
-      await this.state.storage.deleteAlarm();
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Owner check-in for a dead man's switch: push the deadline one interval from now
+   * and the release window with it. Once the deadline has passed the secret is out.
+   */
+  async checkin(request) {
+    const { tokenHash } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      if (!secret) {
+        return {
+          status: 404,
+          body: { error: "SECRET_NOT_FOUND", message: "Secret not found or already burned" },
+        };
+      }
+
+      if (!timingSafeEqual(tokenHash, secret.deleteTokenHash)) {
+        return { status: 403, body: { error: "INVALID_TOKEN", message: "Token does not match" } };
+      }
+
+      if (!secret.deadman) {
+        return {
+          status: 409,
+          body: {
+            error: "NOT_DEADMAN",
+            message: "Secret was not created with a check-in interval",
+          },
+        };
+      }
+
+      if (now >= secret.deadman.deadline) {
+        return {
+          status: 409,
+          body: {
+            error: "SECRET_RELEASED",
+            message: "The check-in deadline passed and the secret was released",
+            releasedAt: secret.deadman.releasedAt ?? secret.deadman.deadline,
+          },
+        };
+      }
+
+      const deadline = now + secret.deadman.interval;
+      const expiresAt = deadline + secret.deadman.window;
+      await txn.put("secret", {
+        ...secret,
+        expiresAt,
+        deadman: { ...secret.deadman, deadline, lastCheckinAt: now },
+      });
+      await this.reschedule(txn);
+      return { status: 200, body: { checkinDeadline: deadline, expiresAt } };
+    });
+
+    return json(res.body, res.status);
+  }
+
+  /**
+   * Sender-facing lifecycle state. Authorized by the creation token hash and
+   * answered from the live record or, after burn, from the content-free tombstone.
+   */
+  async status(request) {
+    const { tokenHash } = await request.json();
+    const entries = await this.storage.get(["secret", "tombstone"]);
+    const secret = entries.get("secret");
+    const record = secret || entries.get("tombstone");
+
+    if (!record) {
+      return json(
+        { error: "SECRET_NOT_FOUND", message: "Secret not found or status no longer retained" },
+        404
+      );
     }
 
+    if (!timingSafeEqual(tokenHash, record.deleteTokenHash)) {
+      return json({ error: "INVALID_TOKEN", message: "Token does not match" }, 403);
+    }
+
+    const base = {
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      maxViews: record.maxViews ?? 1,
+    };
+
+    if (!secret) {
+      return json({
+        ...base,
+        status: record.state,
+        viewsRemaining: 0,
+        readAt: record.readAt ?? null,
+        burnedAt: record.at,
+      });
+    }
+
+    return json({
+      ...base,
+      status: Date.now() > secret.expiresAt ? "expired" : "pending",
+      viewsRemaining: secret.viewsRemaining ?? 1,
+      readAt: secret.lastReadAt ?? null,
+      burnedAt: null,
+      ...(secret.deadman && {
+        checkinDeadline: secret.deadman.deadline,
+        lastCheckinAt: secret.deadman.lastCheckinAt ?? null,
+        releasedAt: secret.deadman.releasedAt,
+      }),
+    });
+  }
+
+  /**
+   * Hand the sender the unsigned deletion receipt recorded at burn time. A receipt
+   * is released once; the worker signs it after this call succeeds.
+   */
+  async receipt(request) {
+    const { tokenHash } = await request.json();
+    const now = Date.now();
+
+    const res = await this.storage.transaction(async (txn) => {
+      const entries = await txn.get(["secret", "tombstone"]);
+      let secret = entries.get("secret");
+      let tombstone = entries.get("tombstone");
+
+      // Expiry is only applied by the alarm or a reader; burn now so the receipt is ready
+      if (secret && now > secret.expiresAt) {
+        tombstone = await burn(txn, secret, "expired", now);
+        secret = null;
+        await this.reschedule(txn);
+      }
+
+      const record = secret || tombstone;
+      if (!record) {
+        return {
+          status: 404,
+          body: {
+            error: "SECRET_NOT_FOUND",
+            message: "Secret not found or receipt no longer retained",
+          },
+        };
+      }
+      if (!timingSafeEqual(tokenHash, record.deleteTokenHash)) {
+        return { status: 403, body: { error: "INVALID_TOKEN", message: "Token does not match" } };
+      }
+      if (secret) {
+        return {
+          status: 409,
+          body: { error: "RECEIPT_NOT_READY", message: "Secret has not been destroyed yet" },
+        };
+      }
+      if (!tombstone.receipt) {
+        return {
+          status: 404,
+          body: { error: "RECEIPT_NOT_FOUND", message: "No receipt was recorded for this secret" },
+        };
+      }
+      if (tombstone.receiptClaimedAt) {
+        return {
+          status: 410,
+          body: { error: "RECEIPT_CLAIMED", message: "The receipt was already issued" },
+        };
+      }
+
+      await txn.put("tombstone", { ...tombstone, receiptClaimedAt: now });
+      return { status: 200, body: tombstone.receipt };
+    });
+
     return json(res.body, res.status);
   }
 
+  /**
+   * Accesses recorded on a canary, newest first. Authorized by the creation token hash
+   * and still answered from the tombstone once the canary has expired or been revoked.
+   */
+  async hits(request) {
+    const { tokenHash } = await request.json();
+    const entries = await this.storage.get(["secret", "tombstone", "hits"]);
+    const record = entries.get("secret") || entries.get("tombstone");
+
+    if (!record) {
+      return json(
+        { error: "SECRET_NOT_FOUND", message: "Secret not found or hits no longer retained" },
+        404
+      );
+    }
+    if (!timingSafeEqual(tokenHash, record.deleteTokenHash)) {
+      return json({ error: "INVALID_TOKEN", message: "Token does not match" }, 403);
+    }
+    if (!record.canary) {
+      return json({ error: "NOT_CANARY", message: "Secret was not created as a canary" }, 409);
+    }
+
+    const { total = 0, recent = [] } = entries.get("hits") || {};
+    return json({ total, hits: [...recent].reverse() });
+  }
+
   async alarm() {
-    await this.storage.delete("secret");
+    const now = Date.now();
+
+    await this.storage.transaction(async (txn) => {
+      const secret = await txn.get("secret");
+      if (secret && now >= secret.expiresAt) {
+        await burn(txn, secret, "expired", now);
+      } else if (secret?.deadman && !secret.deadman.releasedAt && now >= secret.deadman.deadline) {
+        // Missed check-in: the secret opens for its release window, then expires as usual
+        await txn.put("secret", { ...secret, deadman: { ...secret.deadman, releasedAt: now } });
+        await enqueue(txn, secret, "secret.released", now);
+      }
+    });
+
+    await this.flushOutbox(now);
+
+    const entries = await this.storage.get(["secret", "tombstone", "outbox"]);
+    const tombstone = entries.get("tombstone");
+    const idle = !entries.get("secret") && !(entries.get("outbox") || []).length;
+    if (idle && (!tombstone || now >= tombstone.purgeAt)) {
+      await this.storage.deleteAll();
+      return;
+    }
+
+    await this.reschedule();
   }
 
-  async validate() {
+  /**
+   * Attempt every due webhook delivery, then requeue failures with backoff.
+   * Deliveries run outside the transaction, so the outbox is re-read before updating.
+   */
+  async flushOutbox(now) {
+    const outbox = (await this.storage.get("outbox")) || [];
+    const due = outbox.filter((d) => d.nextAttemptAt <= now);
+    if (due.length === 0) return;
+
+    const results = new Map(
+      await Promise.all(due.map(async (d) => [d.key, await deliverWebhook(d)]))
+    );
+
+    await this.storage.transaction(async (txn) => {
+      const current = (await txn.get("outbox")) || [];
+      const remaining = [];
+
+      for (const d of current) {
+        if (!results.has(d.key)) {
+          remaining.push(d);
+          continue;
+        }
+        if (results.get(d.key)) continue;
+
+        const attempts = d.attempts + 1;
+        const retryAt = nextAttemptAt(attempts, now);
+        if (retryAt === null) {
+          log("warn", "Webhook delivery abandoned", { event: d.payload.event, attempts });
+          continue;
+        }
+        remaining.push({ ...d, attempts, nextAttemptAt: retryAt });
+      }
+
+      if (remaining.length) await txn.put("outbox", remaining);
+      else await txn.delete("outbox");
+    });
+  }
+
+  /**
+   * Arm the alarm for the earliest pending work: expiry, a dead man's switch deadline,
+   * tombstone purge or webhook retry.
+   * Pass a transaction to read and re-arm atomically with the caller's writes.
+   */
+  async reschedule(storage = this.storage) {
+    const entries = await storage.get(["secret", "tombstone", "outbox"]);
+    const outbox = entries.get("outbox") || [];
+    // The tombstone is only purged once the outbox has drained
+    const secret = entries.get("secret");
+    const times = [
+      secret?.expiresAt,
+      secret?.deadman && !secret.deadman.releasedAt ? secret.deadman.deadline : undefined,
+      outbox.length ? undefined : entries.get("tombstone")?.purgeAt,
+      ...outbox.map((d) => d.nextAttemptAt),
+    ].filter(Number.isFinite);
+
+    if (times.length) await storage.setAlarm(Math.min(...times));
+  }
+
+  async validate(request) {
     const secret = await this.storage.get("secret");
 
     if (!secret) {
@@ -80,23 +708,193 @@ export class SecretStore {
 
     const now = Date.now();
     if (now > secret.expiresAt) {
-      await this.storage.delete("secret");
+      await this.storage.transaction(async (txn) => {
+        const current = await txn.get("secret");
+        if (current) await burn(txn, current, "expired", now);
+      });
+      await this.reschedule();
       return json({ error: "Secret expired", status: "expired" }, 410);
     }
 
+    if (secret.chunks && !secret.uploaded) {
+      return json(
+        { error: "UPLOAD_INCOMPLETE", message: "Secret upload has not been finalized" },
+        409
+      );
+    }
+
+    // A canary is "ready" forever; looking at it is already a hit
+    let canaryHits;
+    if (secret.canary) {
+      canaryHits = await this.storage.transaction((txn) =>
+        recordHit(txn, "validate", readAccess(request), now)
+      );
+    }
+
     const ttl = secret.expiresAt - now;
-    return json({
-      status: "ready",
-      createdAt: secret.createdAt,
-      expiresAt: secret.expiresAt,
-      ttl,
-    });
+    return json(
+      {
+        status: "ready",
+        createdAt: secret.createdAt,
+        expiresAt: secret.expiresAt,
+        ttl,
+        availableAt: secret.deadman?.deadline ?? secret.notBefore ?? secret.createdAt,
+        // The deadline moves with every check-in, so availableAt is only the earliest release
+        ...(secret.deadman && { deadman: true }),
+        ...(secret.accessPolicy && { accessPolicy: secret.accessPolicy }),
+        maxViews: secret.maxViews ?? 1,
+        viewsRemaining: secret.viewsRemaining ?? 1,
+        kind: secret.kind ?? "text",
+        // Salt and work factor are public inputs the reader needs to derive the verifier
+        ...(secret.passphrase && {
+          passphrase: {
+            salt: secret.passphrase.salt,
+            iterations: secret.passphrase.iterations,
+            attemptsRemaining: secret.passphrase.attemptsRemaining,
+          },
+        }),
+        // Share of an M-of-N split: the reader needs M links to reconstruct anything
+        ...(secret.split && { split: secret.split }),
+        // Lets the reader pick a decryption path (and prompt for any key input) before burning
+        ...(secret.envelope && { envelope: secret.envelope }),
+      },
+      200,
+      canaryHeaders(canaryHits)
+    );
+  }
+}
+
+/**
+ * Replace the secret with a content-free tombstone inside a storage transaction.
+ * Every tombstone lives for the same grace period after the burn, so the sender gets
+ * a predictable window to check status or claim a receipt (expiries are also
+ * announced via webhook).
+ * The tombstone also keeps the facts for a deletion receipt, including a digest of
+ * the ciphertext being destroyed (null for an upload that was never finalized).
+ */
+async function burn(txn, secret, state, now) {
+  const encrypted = secret.chunks
+    ? secret.uploaded && (await joinChunks(txn, secret.chunks))
+    : secret.encrypted;
+
+  const tombstone = {
+    state,
+    at: now,
+    readAt: state === "read" ? now : (secret.lastReadAt ?? null),
+    createdAt: secret.createdAt,
+    expiresAt: secret.expiresAt,
+    maxViews: secret.maxViews ?? 1,
+    deleteTokenHash: secret.deleteTokenHash,
+    ...(secret.canary && { canary: true }),
+    purgeAt: now + TTL.TOMBSTONE_GRACE_MS,
+    receipt: {
+      id: secret.id,
+      event: state,
+      at: now,
+      ciphertextSha256: encrypted ? await ciphertextDigest(encrypted) : null,
+    },
+  };
+
+  await txn.delete("secret");
+  if (secret.chunks) await txn.delete(chunkKeys(secret.chunks));
+  await txn.put("tombstone", tombstone);
+  if (state === "expired") await enqueue(txn, secret, "secret.expired", now);
+  return tombstone;
+}
+
+/**
+ * Shared checks for sender calls against an open chunked upload
+ */
+function checkUpload(secret, tokenHash) {
+  if (!secret) {
+    return {
+      status: 404,
+      body: { error: "SECRET_NOT_FOUND", message: "Secret not found or already burned" },
+    };
+  }
+  if (!timingSafeEqual(tokenHash, secret.deleteTokenHash)) {
+    return { status: 403, body: { error: "INVALID_TOKEN", message: "Token does not match" } };
+  }
+  if (!secret.chunks) {
+    return {
+      status: 409,
+      body: { error: "NOT_CHUNKED", message: "Secret was not opened for a chunked upload" },
+    };
+  }
+  if (secret.uploaded) {
+    return {
+      status: 409,
+      body: { error: "UPLOAD_FINALIZED", message: "Upload was already finalized" },
+    };
+  }
+  if (Date.now() > secret.expiresAt) {
+    return { status: 410, body: { error: "SECRET_EXPIRED", message: "Secret expired" } };
+  }
+  return null;
+}
+
+function chunkKey(index) {
+  return `chunk:${index}`;
+}
+
+function chunkKeys(count) {
+  return Array.from({ length: count }, (_, i) => chunkKey(i));
+}
+
+async function joinChunks(txn, count) {
+  const stored = await txn.get(chunkKeys(count));
+  return chunkKeys(count)
+    .map((key) => stored.get(key))
+    .join("");
+}
+
+/**
+ * Reader metadata the worker forwards: IP and country for access policies, country and
+ * user agent hash for canary hits (the IP is never stored)
+ */
+function readAccess(request) {
+  try {
+    const {
+      ip = null,
+      country = null,
+      uaHash = null,
+    } = JSON.parse(request.headers.get(CANARY.ACCESS_HEADER) || "{}");
+    return { ip, country, uaHash };
+  } catch {
+    return { ip: null, country: null, uaHash: null };
   }
 }
 
-function json(data, status = 200) {
+/**
+ * Append one access to a canary's hit log, keeping only the most recent entries
+ * @returns {Promise<number>} total hits so far, including this one
+ */
+async function recordHit(txn, event, access, now) {
+  const { total = 0, recent = [] } = (await txn.get("hits")) || {};
+  recent.push({ at: now, event, country: access.country, uaHash: access.uaHash });
+  const hits = { total: total + 1, recent: recent.slice(-CANARY.MAX_HITS) };
+  await txn.put("hits", hits);
+  return hits.total;
+}
+
+function canaryHeaders(hits) {
+  return hits ? { [CANARY.HIT_HEADER]: String(hits) } : {};
+}
+
+/**
+ * Queue a webhook event if the creator registered a notify URL
+ */
+async function enqueue(txn, secret, event, now) {
+  if (!secret.notify) return;
+
+  const outbox = (await txn.get("outbox")) || [];
+  outbox.push(createDelivery(secret.notify, secret.id, event, now));
+  await txn.put("outbox", outbox);
+}
+
+function json(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
-    headers: { "Content-Type": "application/json; charset=utf-8" },
+    headers: { "Content-Type": "application/json; charset=utf-8", ...headers },
   });
 }
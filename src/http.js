@@ -119,6 +119,58 @@ export async function readJson(request, { maxBytes = 1_500_000 } = {}) {
   }
 }
 
+/**
+ * Read an application/octet-stream body as bytes
+ * @throws {HttpError} 415 for other content types, 413 above maxBytes
+ */
+export async function readBinary(request, { maxBytes = 1_050_000 } = {}) {
+  if (!isOctetStream(request)) {
+    throw new HttpError(415, "UNSUPPORTED_MEDIA_TYPE", "Expected application/octet-stream body");
+  }
+
+  const contentLength = Number(request.headers.get("content-length") || "0");
+  if (contentLength && contentLength > maxBytes) {
+    throw new HttpError(413, "PAYLOAD_TOO_LARGE", "Request body too large");
+  }
+
+  let bytes;
+  try {
+    bytes = new Uint8Array(await request.arrayBuffer());
+  } catch {
+    throw new HttpError(400, "BAD_REQUEST", "Failed to read request body");
+  }
+
+  if (bytes.length > maxBytes) {
+    throw new HttpError(413, "PAYLOAD_TOO_LARGE", "Request body too large");
+  }
+  return bytes;
+}
+
+export function isOctetStream(request) {
+  const contentType = request.headers.get("content-type") || "";
+  return contentType.toLowerCase().split(";")[0].trim() === "application/octet-stream";
+}
+
+/**
+ * Whether the client asked for raw bytes instead of the JSON envelope
+ */
+export function acceptsOctetStream(request) {
+  return (request.headers.get("accept") || "").toLowerCase().includes("application/octet-stream");
+}
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @throws {HttpError} 401 when the header is missing or malformed
+ */
+export function readBearerToken(request) {
+  const header = request.headers.get("authorization") || "";
+  const match = header.match(/^Bearer\s+([A-Za-z0-9_-]+)$/i);
+  if (!match) {
+    throw new HttpError(401, "MISSING_TOKEN", "Authorization: Bearer <token> header required");
+  }
+  return match[1];
+}
+
 export function isBase64Url(value) {
   return typeof value === "string" && /^[A-Za-z0-9_-]+$/.test(value);
 }
@@ -0,0 +1,113 @@
+import { IDEMPOTENCY, RAW_HEADERS } from "./constants.js";
+import { HttpError, json, createErrorResponse } from "./http.js";
+import { base64Url, getClientIp, sha256Bytes } from "./ip.js";
+import { circuitBreakers } from "./circuitBreaker.js";
+import { log } from "./monitoring.js";
+
+/**
+ * Claim the request's Idempotency-Key before a secret is created
+ * Keys are scoped to the client IP, so two clients that pick the same key never collide
+ * @returns {Promise<null|{key: string}|{response: Response}>} null when no key was sent or
+ *   the IdempotencyStore is not bound; a claim to complete or release; or a response
+ *   (replay, mismatch, in progress) to return as-is
+ */
+export async function beginIdempotency(request, env, requestId) {
+  const key = request.headers.get(IDEMPOTENCY.HEADER);
+  if (key === null || !env?.IDEMPOTENCY) return null;
+
+  if (!IDEMPOTENCY.KEY_PATTERN.test(key)) {
+    throw new HttpError(
+      400,
+      "INVALID_IDEMPOTENCY_KEY",
+      "Idempotency-Key must be 16-128 characters of [A-Za-z0-9_-]"
+    );
+  }
+
+  const fingerprint = await fingerprintRequest(request);
+  const scoped = base64Url(await sha256Bytes(`${getClientIp(request)}\n${key}`));
+
+  let res;
+  try {
+    res = await callIdempotencyStore(env, scoped, "/begin", { fingerprint });
+  } catch (err) {
+    // Fail closed: creating without the claim could store the duplicate we are guarding against
+    log("error", "Idempotency check failed", { error: err.message });
+    throw new HttpError(503, "SERVICE_UNAVAILABLE", "Idempotency store temporarily unavailable");
+  }
+
+  const data = await res.json();
+  if (res.ok && data.state === "new") return { key: scoped };
+
+  if (res.ok) {
+    log("info", "Replayed idempotent create", { id: data.result?.id });
+    return {
+      response: json(data.result, {
+        status: 201,
+        headers: { [IDEMPOTENCY.REPLAYED_HEADER]: "true" },
+      }),
+    };
+  }
+
+  return {
+    response: json(createErrorResponse(data.error, data.message, res.status, requestId), {
+      status: res.status,
+    }),
+  };
+}
+
+/**
+ * Remember the created secret's 201 body for replays. Bearer credentials (deleteToken,
+ * notifySecret) are never stored, so a replay cannot hand them out again; clients
+ * that need them after a replay send their own with the create request.
+ */
+export async function completeIdempotency(env, claim, created) {
+  const result = { ...created };
+  delete result.deleteToken;
+  delete result.notifySecret;
+  try {
+    await callIdempotencyStore(env, claim.key, "/complete", { result });
+  } catch (err) {
+    // The secret exists either way; a retry will see the key as pending, then abandoned
+    log("warn", "Failed to record idempotent create", { id: created.id, error: err.message });
+  }
+}
+
+/**
+ * Drop the claim after a failed create so the client can retry with the same key
+ */
+export async function releaseIdempotency(env, claim) {
+  try {
+    await callIdempotencyStore(env, claim.key, "/release", {});
+  } catch (err) {
+    log("warn", "Failed to release idempotency key", { error: err.message });
+  }
+}
+
+async function callIdempotencyStore(env, key, path, payload) {
+  return circuitBreakers.idempotency.execute(async () => {
+    const stub = env.IDEMPOTENCY.get(env.IDEMPOTENCY.idFromName(key));
+    return stub.fetch(`http://do${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+  });
+}
+
+/**
+ * SHA-256 over everything that defines the secret: content type, the raw
+ * upload metadata headers and the exact body bytes
+ */
+async function fingerprintRequest(request) {
+  const meta = [
+    request.headers.get("content-type") || "",
+    ...Object.values(RAW_HEADERS).map((name) => request.headers.get(name) || ""),
+  ].join("\n");
+  const head = new TextEncoder().encode(meta + "\n");
+  const body = new Uint8Array(await request.clone().arrayBuffer());
+
+  const bytes = new Uint8Array(head.length + body.length);
+  bytes.set(head);
+  bytes.set(body, head.length);
+  return base64Url(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+}
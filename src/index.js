@@ -1,7 +1,17 @@
 import { handleRequest } from "./worker.js";
 import { RateLimiter } from "./do/RateLimiter.js";
 import { SecretStore } from "./do/SecretStore.js";
-import { log, captureException, MetricsCollector, createRequestContext } from "./monitoring.js";
+import { IdempotencyStore } from "./do/IdempotencyStore.js";
+import { InboxStore } from "./do/InboxStore.js";
+import { BundleStore } from "./do/BundleStore.js";
+import { RecipientStore } from "./do/RecipientStore.js";
+import {
+  log,
+  captureException,
+  MetricsCollector,
+  createRequestContext,
+  setAlertEnv,
+} from "./monitoring.js";
 import { validateRequest, isBlacklisted } from "./security.js";
 import { json, securityHeaders } from "./http.js";
 import { getClientIp } from "./ip.js";
@@ -11,6 +21,7 @@ export default {
     const start = Date.now();
     const requestContext = createRequestContext(request);
     const metrics = new MetricsCollector();
+    setAlertEnv(env);
 
     try {
       // Security validation
@@ -124,4 +135,4 @@ export default {
   },
 };
 
-export { SecretStore, RateLimiter };
+export { SecretStore, RateLimiter, IdempotencyStore, InboxStore, BundleStore, RecipientStore };
@@ -51,6 +51,11 @@ function isValidIp(ip) {
     return true;
   }
 
+  // IPv4-mapped IPv6 with a dotted tail (::ffff:203.0.113.5)
+  if (ipToBytes(trimmed)) {
+    return true;
+  }
+
   return false;
 }
 
@@ -120,6 +125,90 @@ function isValidIPv6(ip) {
   return true;
 }
 
+/**
+ * Parse an IPv4 (4 bytes) or IPv6 (16 bytes) address; null when invalid.
+ * IPv4-mapped IPv6 addresses (::ffff:203.0.113.5, ::ffff:cb00:7105) yield the
+ * 4 bytes of the IPv4 address they carry, so they match IPv4 ranges.
+ */
+export function ipToBytes(ip) {
+  if (typeof ip !== "string") return null;
+  if (isValidIPv4(ip)) return Uint8Array.from(ip.split("."), Number);
+
+  // A dotted-quad tail stands for the last two hextets
+  const dotted = ip.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!isValidIPv4(dotted[2])) return null;
+    const [a, b, c, d] = dotted[2].split(".").map(Number);
+    ip = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  if (!isValidIPv6(ip)) return null;
+
+  const hextets = (part) => (part ? part.split(":").map((h) => parseInt(h, 16)) : []);
+  const [head, tail] = ip.split("::");
+  const left = hextets(head);
+  const right = hextets(tail);
+  // "::" stands for as many zero hextets as are missing
+  const all = [...left, ...new Array(8 - left.length - right.length).fill(0), ...right];
+
+  const bytes = new Uint8Array(16);
+  all.forEach((h, i) => {
+    bytes[2 * i] = h >> 8;
+    bytes[2 * i + 1] = h & 0xff;
+  });
+  return isIPv4Mapped(bytes) ? bytes.slice(12) : bytes;
+}
+
+// ::ffff:0:0/96
+function isIPv4Mapped(bytes) {
+  return bytes.slice(0, 10).every((b) => b === 0) && bytes[10] === 0xff && bytes[11] === 0xff;
+}
+
+/**
+ * Parse "address/prefix" CIDR notation (a bare address is a single host); null when malformed
+ */
+export function parseCidr(cidr) {
+  if (typeof cidr !== "string") return null;
+
+  const [address, prefix, extra] = cidr.trim().split("/");
+  const bytes = ipToBytes(address);
+  if (!bytes || extra !== undefined) return null;
+  if (prefix === undefined) return { bytes, bits: bytes.length * 8 };
+  if (!/^\d{1,3}$/.test(prefix)) return null;
+
+  // An IPv4-mapped range (::ffff:203.0.113.0/120) counts its prefix over all 128 bits
+  const bits = Number(prefix) - (bytes.length === 4 && address.includes(":") ? 96 : 0);
+  if (bits < 0 || bits > bytes.length * 8) return null;
+  return { bytes, bits };
+}
+
+/**
+ * Whether `ip` lies inside `cidr`. IPv4 addresses never match IPv6 ranges and vice versa.
+ */
+export function ipInCidr(ip, cidr) {
+  const address = ipToBytes(ip);
+  const range = parseCidr(cidr);
+  if (!address || !range || address.length !== range.bytes.length) return false;
+
+  const whole = range.bits >> 3;
+  for (let i = 0; i < whole; i++) {
+    if (address[i] !== range.bytes[i]) return false;
+  }
+  const rest = range.bits & 7;
+  if (rest === 0) return true;
+  const mask = (0xff << (8 - rest)) & 0xff;
+  return (address[whole] & mask) === (range.bytes[whole] & mask);
+}
+
+/**
+ * Whether a reader passes a secret's access policy: they must match every allowlist it
+ * has (some CIDR and some country). An unknown address or country matches nothing.
+ */
+export function policyAllows(policy, { ip, country } = {}) {
+  if (policy.cidrs && !policy.cidrs.some((cidr) => ipInCidr(ip, cidr))) return false;
+  if (policy.countries && !policy.countries.includes(country)) return false;
+  return true;
+}
+
 export async function sha256Bytes(text) {
   const data = new TextEncoder().encode(text);
   const digest = await crypto.subtle.digest("SHA-256", data);
@@ -131,3 +220,10 @@ export function base64Url(bytes) {
   for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
   return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
 }
+
+export function base64UrlToBytes(value) {
+  const binary = atob(value.replace(/-/g, "+").replace(/_/g, "/"));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -328,6 +328,15 @@ async function triggerAlert(type, details) {
   await sendAlertToWebhook(type, details);
 }
 
+/**
+ * Alert on an access to a canary secret. Not subject to the threshold cooldown:
+ * every hit is the signal the creator planted the decoy for.
+ */
+export async function alertCanaryAccess(details) {
+  log("alert", "Canary secret accessed", details);
+  await sendAlertToWebhook("canary_accessed", details);
+}
+
 /**
  * Send alert to configured webhook (Slack, Discord, PagerDuty, etc.)
  * @private
@@ -445,7 +454,8 @@ function buildWebhookPayload(type, details, webhookUrl) {
     return {
       routing_key: alertEnv?.PAGERDUTY_ROUTING_KEY || "",
       event_action: "trigger",
-      dedup_key: `volatile-sh-${type}-${environment}`,
+      // Per-secret alerts (canaries) must not collapse into one incident
+      dedup_key: `volatile-sh-${type}-${environment}${details?.id ? `-${details.id}` : ""}`,
       payload: {
         summary: alertTitle,
         severity: type.includes("error") ? "critical" : "warning",
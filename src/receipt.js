@@ -0,0 +1,88 @@
+import { HttpError } from "./http.js";
+import { base64Url, base64UrlToBytes } from "./ip.js";
+import { log } from "./monitoring.js";
+
+/**
+ * Proof-of-deletion receipts. SecretStore records the unsigned facts when a secret is
+ * burned; the worker signs them with the deployment's Ed25519 key when the sender
+ * claims the receipt. The public key is published at GET /api/keys/receipt.
+ */
+
+const ALG = "Ed25519";
+export const RECEIPT_VERSION = 1;
+
+// Imported keys for the current RECEIPT_SIGNING_KEY, reused for the isolate's lifetime
+let cached = null;
+
+/**
+ * Import RECEIPT_SIGNING_KEY (PKCS#8, as PEM or bare base64/base64url) once per isolate.
+ * Throws 503 RECEIPTS_DISABLED when the deployment has no key configured.
+ */
+export async function receiptKeys(env) {
+  const source = env?.RECEIPT_SIGNING_KEY;
+  if (!source) {
+    throw new HttpError(
+      503,
+      "RECEIPTS_DISABLED",
+      "This deployment does not sign deletion receipts"
+    );
+  }
+  if (cached?.source === source) return cached;
+
+  let signingKey, x;
+  try {
+    const der = base64UrlToBytes(
+      source
+        .replace(/-----[^-]+-----/g, "")
+        .replace(/\s+/g, "")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "")
+    );
+
+    // The public half is only reachable through a JWK export of an extractable import
+    const extractable = await crypto.subtle.importKey("pkcs8", der, { name: ALG }, true, ["sign"]);
+    ({ x } = await crypto.subtle.exportKey("jwk", extractable));
+    signingKey = await crypto.subtle.importKey("pkcs8", der, { name: ALG }, false, ["sign"]);
+  } catch (err) {
+    log("error", "RECEIPT_SIGNING_KEY is not a PKCS#8 Ed25519 key", { error: err.message });
+    throw new HttpError(503, "RECEIPTS_DISABLED", "Deletion receipt signing is misconfigured");
+  }
+
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", base64UrlToBytes(x)));
+  cached = { source, signingKey, publicKey: x, keyId: base64Url(digest.slice(0, 8)) };
+  return cached;
+}
+
+/**
+ * Public verification key in raw (base64url) and JWK form
+ */
+export async function receiptPublicKey(env) {
+  const { publicKey, keyId } = await receiptKeys(env);
+  return {
+    alg: ALG,
+    keyId,
+    publicKey,
+    jwk: { kty: "OKP", crv: ALG, x: publicKey },
+  };
+}
+
+/**
+ * Sign the facts recorded at burn time. `payload` is the exact signed byte string
+ * (base64url of the receipt JSON), so verifiers never depend on re-serialization.
+ */
+export async function signReceipt(keys, { id, event, at, ciphertextSha256 }) {
+  const receipt = { v: RECEIPT_VERSION, id, event, at, ciphertextSha256, keyId: keys.keyId };
+  const bytes = new TextEncoder().encode(JSON.stringify(receipt));
+  const signature = new Uint8Array(await crypto.subtle.sign(ALG, keys.signingKey, bytes));
+
+  return { receipt, payload: base64Url(bytes), signature: base64Url(signature), alg: ALG };
+}
+
+/**
+ * SHA-256 of the ciphertext bytes (base64url in storage), hex encoded
+ */
+export async function ciphertextDigest(encrypted) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", base64UrlToBytes(encrypted)));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
@@ -157,7 +157,7 @@ export function validateRequest(request) {
   }
 
   // Validate HTTP method
-  const allowedMethods = ["GET", "POST", "OPTIONS", "HEAD"];
+  const allowedMethods = ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"];
   if (!allowedMethods.includes(request.method)) {
     throw new HttpError(405, "METHOD_NOT_ALLOWED", "HTTP method not allowed");
   }
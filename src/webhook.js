@@ -0,0 +1,90 @@
+import { WEBHOOK } from "./constants.js";
+import { HttpError } from "./http.js";
+
+/**
+ * Validate the optional `notify` URL supplied at creation
+ * Returns null when no webhook was requested
+ */
+export function parseNotifyUrl(notify) {
+  if (notify === undefined || notify === null || notify === "") return null;
+
+  if (typeof notify !== "string" || notify.length > WEBHOOK.MAX_URL_LENGTH) {
+    throw new HttpError(400, "INVALID_NOTIFY_URL", "notify must be an https URL");
+  }
+
+  let url;
+  try {
+    url = new URL(notify);
+  } catch {
+    throw new HttpError(400, "INVALID_NOTIFY_URL", "notify must be an https URL");
+  }
+
+  if (url.protocol !== "https:" || url.username || url.password || url.hostname === "localhost") {
+    throw new HttpError(400, "INVALID_NOTIFY_URL", "notify must be an https URL");
+  }
+
+  return url.toString();
+}
+
+/**
+ * Build an outbox entry for a lifecycle event
+ * The payload carries only the secret ID, event type and timestamp - never ciphertext
+ */
+export function createDelivery(notify, id, event, now) {
+  return {
+    key: crypto.randomUUID(),
+    url: notify.url,
+    secret: notify.secret,
+    payload: { id, event, timestamp: now },
+    attempts: 0,
+    nextAttemptAt: now,
+  };
+}
+
+/**
+ * HMAC-SHA256 of the raw request body, hex encoded
+ */
+export async function signPayload(secret, body) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body)));
+  return Array.from(mac, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * POST a single delivery; resolves true on any 2xx response
+ */
+export async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const signature = await signPayload(delivery.secret, body);
+
+  try {
+    const res = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": WEBHOOK.USER_AGENT,
+        "X-Volatile-Event": delivery.payload.event,
+        "X-Volatile-Signature": `sha256=${signature}`,
+      },
+      body,
+      signal: AbortSignal.timeout(WEBHOOK.TIMEOUT_MS),
+    });
+    return res.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Schedule the next attempt after a failure, or null once retries are exhausted
+ */
+export function nextAttemptAt(attempts, now) {
+  const delay = WEBHOOK.RETRY_DELAYS_MS[attempts - 1];
+  return delay === undefined ? null : now + delay;
+}
@@ -2,7 +2,7 @@ import { handleApi } from "./api.js";
 import { json, securityHeaders, withHeaders } from "./http.js";
 import { generateSecurityTxt } from "./security.js";
 
-export async function handleRequest(request, env) {
+export async function handleRequest(request, env, ctx) {
   const url = new URL(request.url);
 
   // Serve security.txt
@@ -20,7 +20,7 @@ export async function handleRequest(request, env) {
   }
 
   if (url.pathname.startsWith("/api/")) {
-    return handleApi(request, env, url);
+    return handleApi(request, env, url, ctx);
   }
 
   // Serve static assets (Cloudflare Workers Static Assets).
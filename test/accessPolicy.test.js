@@ -0,0 +1,225 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { clearInflight } from "../src/deduplication.js";
+import { getClientIp, ipInCidr, parseCidr } from "../src/ip.js";
+import { ORIGIN, SECRET, call, makeEnv, waitFor } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+const ALERTS = { ALERT_WEBHOOK_URL: "https://alerts.example.com/hook" };
+
+test("ipInCidr matches IPv4 and IPv6 ranges", () => {
+  assert.equal(ipInCidr("203.0.113.7", "203.0.113.0/24"), true);
+  assert.equal(ipInCidr("203.0.114.7", "203.0.113.0/24"), false);
+  assert.equal(ipInCidr("192.168.1.129", "192.168.1.128/25"), true);
+  assert.equal(ipInCidr("192.168.1.127", "192.168.1.128/25"), false);
+  assert.equal(ipInCidr("2001:db8::1", "2001:db8::/32"), true);
+  assert.equal(ipInCidr("2001:db9::1", "2001:db8::/32"), false);
+  assert.equal(ipInCidr("203.0.113.7", "::/0"), false);
+  assert.equal(ipInCidr("203.0.113.7", "203.0.113.7"), true);
+  assert.equal(parseCidr("203.0.113.0/33"), null);
+  assert.equal(parseCidr("not-an-ip/8"), null);
+});
+
+test("ipInCidr treats IPv4-mapped IPv6 addresses as IPv4 and honours /0", () => {
+  assert.equal(ipInCidr("::ffff:203.0.113.5", "203.0.113.0/24"), true);
+  assert.equal(ipInCidr("::FFFF:203.0.114.5", "203.0.113.0/24"), false);
+  assert.equal(ipInCidr("::ffff:cb00:7105", "203.0.113.0/24"), true);
+  assert.equal(ipInCidr("0:0:0:0:0:ffff:203.0.113.5", "203.0.113.5"), true);
+  assert.equal(ipInCidr("203.0.113.5", "::ffff:203.0.113.0/120"), true);
+  assert.equal(ipInCidr("203.0.114.5", "::ffff:203.0.113.0/120"), false);
+  assert.equal(parseCidr("::ffff:203.0.113.0/95"), null);
+  assert.equal(ipInCidr("::ffff:300.0.113.5", "0.0.0.0/0"), false);
+  const mapped = new Request("http://localhost", {
+    headers: { "CF-Connecting-IP": "::ffff:203.0.113.5" },
+  });
+  assert.equal(getClientIp(mapped), "::ffff:203.0.113.5");
+
+  assert.equal(ipInCidr("198.51.100.1", "0.0.0.0/0"), true);
+  assert.equal(ipInCidr("::ffff:198.51.100.1", "0.0.0.0/0"), true);
+  assert.equal(ipInCidr("2001:db8::1", "::/0"), true);
+  assert.equal(ipInCidr("2001:db8::1", "0.0.0.0/0"), false);
+});
+
+test("access policy: readers outside the allowlists are refused without burning", async () => {
+  const mf = makeEnv({ bindings: ALERTS });
+  try {
+    const created = await call(mf, "/api/secrets", {
+      method: "POST",
+      body: {
+        ...SECRET,
+        accessPolicy: { cidrs: ["203.0.113.0/24", "2001:db8::/32"], countries: ["NL", "BE"] },
+      },
+    });
+    assert.equal(created.status, 201);
+    const { id, accessPolicy } = await created.json();
+    assert.deepEqual(accessPolicy.countries, ["NL", "BE"]);
+
+    const outside = await call(mf, `/api/secrets/${id}/validate`);
+    const preview = await outside.json();
+    assert.deepEqual(preview.accessPolicy.cidrs, ["203.0.113.0/24", "2001:db8::/32"]);
+    assert.equal(preview.accessAllowed, false);
+
+    for (const reader of [
+      { ip: "198.51.100.7", country: "NL" }, // wrong network
+      { ip: "203.0.113.9", country: "US" }, // wrong country
+      { ip: "203.0.113.9", country: null }, // country unknown
+    ]) {
+      clearInflight();
+      const denied = await call(mf, `/api/secrets/${id}/reveal`, { method: "POST", ...reader });
+      assert.equal(denied.status, 403);
+      assert.equal((await denied.json()).error.code, "ACCESS_POLICY_DENIED");
+    }
+
+    const inside = await (
+      await call(mf, `/api/secrets/${id}/validate`, { ip: "2001:db8::42", country: "BE" })
+    ).json();
+    assert.equal(inside.accessAllowed, true);
+    assert.equal(inside.viewsRemaining, 1);
+
+    clearInflight();
+    const read = await call(mf, `/api/secrets/${id}/reveal`, {
+      method: "POST",
+      ip: "203.0.113.9",
+      country: "NL",
+    });
+    assert.equal(read.status, 200);
+    assert.equal((await read.json()).encrypted, SECRET.encrypted);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("access policy: fails closed and logs canary reads from outside", async () => {
+  const alerts = [];
+  const mf = makeEnv({
+    bindings: ALERTS,
+    outbound: async (request) => {
+      alerts.push(await request.json());
+      return new Response("ok");
+    },
+  });
+  try {
+    const policy = { cidrs: ["203.0.113.0/24"] };
+    const plain = await (
+      await call(mf, "/api/secrets", { method: "POST", body: { ...SECRET, accessPolicy: policy } })
+    ).json();
+
+    // A read that reaches SecretStore without reader metadata matches no allowlist
+    const ns = await mf.getDurableObjectNamespace("SECRETS");
+    const bare = await ns.get(ns.idFromName(plain.id)).fetch("http://do/read");
+    assert.equal(bare.status, 403);
+    assert.equal((await bare.json()).error, "ACCESS_POLICY_DENIED");
+    const still = await (await call(mf, `/api/secrets/${plain.id}/validate`)).json();
+    assert.equal(still.status, "ready");
+
+    const decoy = await (
+      await call(mf, "/api/secrets", {
+        method: "POST",
+        body: { ...SECRET, canary: true, accessPolicy: policy },
+      })
+    ).json();
+    const denied = await call(mf, `/api/secrets/${decoy.id}/reveal`, {
+      method: "POST",
+      country: "NL",
+    });
+    assert.equal(denied.status, 403);
+    assert.equal((await denied.json()).error.code, "ACCESS_POLICY_DENIED");
+
+    await waitFor(() => alerts.length === 1);
+    assert.equal(alerts[0].alertType, "canary_accessed");
+    assert.equal(alerts[0].details.event, "denied");
+    assert.equal(alerts[0].details.ip, undefined);
+
+    const { hits } = await (
+      await call(mf, `/api/secrets/${decoy.id}/hits`, {
+        headers: { Authorization: `Bearer ${decoy.deleteToken}` },
+      })
+    ).json();
+    assert.deepEqual(
+      hits.map((h) => [h.event, h.country]),
+      [["denied", "NL"]]
+    );
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("access policy: malformed policies are rejected at creation", async () => {
+  const mf = makeEnv({ bindings: ALERTS });
+  try {
+    for (const accessPolicy of [
+      {},
+      [],
+      { cidrs: ["10.0.0.0/40"] },
+      { countries: ["nl"] },
+      { countries: "NL" },
+      { ips: ["10.0.0.1"] },
+    ]) {
+      const res = await call(mf, "/api/secrets", {
+        method: "POST",
+        body: { ...SECRET, accessPolicy },
+      });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, "INVALID_ACCESS_POLICY");
+    }
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("access policy: raw uploads carry the policy, canary and check-in headers", async () => {
+  const mf = makeEnv({ durableObjects: { IDEMPOTENCY: "IdempotencyStore" } });
+  const policyHeader = (policy) => Buffer.from(JSON.stringify(policy)).toString("base64url");
+  const upload = (headers) =>
+    mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        Origin: ORIGIN,
+        "CF-Connecting-IP": "198.51.100.7",
+        "Content-Type": "application/octet-stream",
+        "X-Volatile-IV": SECRET.iv,
+        ...headers,
+      },
+      body: new Uint8Array([1, 2, 3, 4]),
+    });
+  try {
+    const policy = { cidrs: ["203.0.113.0/24"] };
+    const created = await upload({
+      "X-Volatile-Access-Policy": policyHeader(policy),
+      "X-Volatile-Canary": "true",
+    });
+    assert.equal(created.status, 201);
+    const decoy = await created.json();
+    assert.equal(decoy.canary, true);
+    assert.deepEqual(decoy.accessPolicy, policy);
+
+    const denied = await call(mf, `/api/secrets/${decoy.id}/reveal`, { method: "POST" });
+    assert.equal((await denied.json()).error.code, "ACCESS_POLICY_DENIED");
+
+    const switched = await (await upload({ "X-Volatile-Checkin-Interval": String(HOUR) })).json();
+    assert.ok(switched.checkinDeadline > Date.now());
+
+    for (const [headers, code] of [
+      [{ "X-Volatile-Access-Policy": "not json" }, "INVALID_ACCESS_POLICY"],
+      [
+        { "X-Volatile-Access-Policy": policyHeader({ countries: ["nl"] }) },
+        "INVALID_ACCESS_POLICY",
+      ],
+      [{ "X-Volatile-Canary": "yes" }, "INVALID_CANARY"],
+      [{ "X-Volatile-Checkin-Interval": "6h" }, "INVALID_CHECKIN_INTERVAL"],
+    ]) {
+      const res = await upload(headers);
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, code);
+    }
+
+    // The headers are part of the idempotency fingerprint
+    const key = crypto.randomUUID();
+    const first = await upload({ "Idempotency-Key": key, "X-Volatile-Canary": "true" });
+    assert.equal(first.status, 201);
+    const changed = await upload({ "Idempotency-Key": key, "X-Volatile-Canary": "false" });
+    assert.equal(changed.status, 422);
+  } finally {
+    await mf.dispose();
+  }
+});
@@ -0,0 +1,214 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BundleStore } from "../src/do/BundleStore.js";
+import { TTL } from "../src/constants.js";
+import { call, makeEnv, memoryState, post } from "./helpers.js";
+
+const BUNDLES = { BUNDLES: "BundleStore" };
+
+const RECIPIENTS = [
+  { label: "alice", encrypted: "YWxpY2U", iv: "aXYxMjM0NTY3ODkw" },
+  { label: "bob", encrypted: "Ym9i", iv: "aXYxMjM0NTY3ODkx" },
+  { label: "carol", encrypted: "Y2Fyb2w", iv: "aXYxMjM0NTY3ODky" },
+];
+
+test("bundle: one link per recipient, each burns on its own", async () => {
+  const mf = makeEnv({ durableObjects: BUNDLES });
+  try {
+    const res = await call(mf, "/api/bundles", {
+      method: "POST",
+      body: { recipients: RECIPIENTS, ttl: 3600000 },
+    });
+    assert.equal(res.status, 201);
+    const bundle = await res.json();
+    assert.ok(bundle.id && bundle.deleteToken);
+    assert.deepEqual(
+      bundle.recipients.map((r) => r.label),
+      ["alice", "bob", "carol"]
+    );
+    assert.equal(new Set(bundle.recipients.map((r) => r.id)).size, 3);
+
+    const [alice, bob] = bundle.recipients;
+    const reveal = await call(mf, `/api/secrets/${alice.id}/reveal`, { method: "POST" });
+    assert.equal(reveal.status, 200);
+    assert.equal((await reveal.json()).encrypted, "YWxpY2U");
+
+    // Other recipients are untouched
+    const other = await call(mf, `/api/secrets/${bob.id}/reveal`, { method: "POST" });
+    assert.equal((await other.json()).encrypted, "Ym9i");
+
+    const status = await call(mf, `/api/bundles/${bundle.id}/status`, {
+      token: bundle.deleteToken,
+    });
+    assert.equal(status.status, 200);
+    const { recipients } = await status.json();
+    assert.deepEqual(
+      recipients.map((r) => [r.label, r.status]),
+      [
+        ["alice", "read"],
+        ["bob", "read"],
+        ["carol", "pending"],
+      ]
+    );
+    assert.equal(recipients[2].encrypted, undefined);
+
+    // The bundle token also works on each link
+    const revoke = await call(mf, `/api/secrets/${recipients[2].id}`, {
+      method: "DELETE",
+      token: bundle.deleteToken,
+    });
+    assert.equal(revoke.status, 200);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("bundle: status requires the bundle token", async () => {
+  const mf = makeEnv({ durableObjects: BUNDLES });
+  try {
+    const bundle = await (
+      await call(mf, "/api/bundles", { method: "POST", body: { recipients: RECIPIENTS } })
+    ).json();
+
+    const wrong = await call(mf, `/api/bundles/${bundle.id}/status`, { token: "not-the-owner" });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+
+    const unknown = await call(mf, "/api/bundles/doesnotexist123/status", { token: "x" });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.code, "BUNDLE_NOT_FOUND");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("bundle: rejects malformed recipient lists before storing anything", async () => {
+  const mf = makeEnv({ durableObjects: BUNDLES });
+  try {
+    const empty = await call(mf, "/api/bundles", { method: "POST", body: { recipients: [] } });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error.code, "INVALID_RECIPIENTS");
+
+    const tooMany = Array.from({ length: 21 }, (_, i) => ({ ...RECIPIENTS[0], label: `r${i}` }));
+    const big = await call(mf, "/api/bundles", { method: "POST", body: { recipients: tooMany } });
+    assert.equal(big.status, 400);
+
+    const unlabeled = await call(mf, "/api/bundles", {
+      method: "POST",
+      body: { recipients: [RECIPIENTS[0], { encrypted: "eA", iv: "aXYxMjM0NTY3ODkw" }] },
+    });
+    assert.equal(unlabeled.status, 400);
+    assert.equal((await unlabeled.json()).error.code, "INVALID_LABEL");
+
+    const badIv = await call(mf, "/api/bundles", {
+      method: "POST",
+      body: { recipients: [{ ...RECIPIENTS[0], iv: "short" }] },
+    });
+    assert.equal(badIv.status, 400);
+    assert.equal((await badIv.json()).error.code, "INVALID_IV_LENGTH");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("bundle: a threshold marks the links as Shamir shares and /validate reports it", async () => {
+  const mf = makeEnv({ durableObjects: BUNDLES });
+  try {
+    const invalid = await call(mf, "/api/bundles", {
+      method: "POST",
+      body: { recipients: RECIPIENTS, threshold: 4 },
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error.code, "INVALID_THRESHOLD");
+
+    const res = await call(mf, "/api/bundles", {
+      method: "POST",
+      body: { recipients: RECIPIENTS, threshold: 2 },
+    });
+    assert.equal(res.status, 201);
+    const bundle = await res.json();
+    assert.equal(bundle.threshold, 2);
+
+    const validate = await call(mf, `/api/secrets/${bundle.recipients[1].id}/validate`);
+    assert.equal(validate.status, 200);
+    assert.deepEqual((await validate.json()).split, { threshold: 2, shares: 3 });
+
+    const status = await call(mf, `/api/bundles/${bundle.id}/status`, {
+      token: bundle.deleteToken,
+    });
+    assert.equal((await status.json()).threshold, 2);
+
+    // Plain bundles carry no split
+    const plain = await (
+      await call(mf, "/api/bundles", { method: "POST", body: { recipients: RECIPIENTS } })
+    ).json();
+    assert.equal(plain.threshold, null);
+    const plainValidate = await call(mf, `/api/secrets/${plain.recipients[0].id}/validate`);
+    assert.equal((await plainValidate.json()).split, undefined);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("bundle: extending a link keeps the bundle status alive past the original expiry", async () => {
+  const mf = makeEnv({ durableObjects: BUNDLES });
+  try {
+    const bundle = await (
+      await call(mf, "/api/bundles", {
+        method: "POST",
+        body: { recipients: RECIPIENTS, ttl: 3600000 },
+      })
+    ).json();
+
+    const patch = await call(mf, `/api/secrets/${bundle.recipients[0].id}`, {
+      method: "PATCH",
+      token: bundle.deleteToken,
+      body: { ttl: 2 * 24 * 3600000 },
+    });
+    assert.equal(patch.status, 200);
+    const { expiresAt } = await patch.json();
+    assert.ok(expiresAt > bundle.expiresAt);
+
+    const status = await (
+      await call(mf, `/api/bundles/${bundle.id}/status`, { token: bundle.deleteToken })
+    ).json();
+    assert.equal(status.expiresAt, expiresAt);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+// In-memory DO storage with a single alarm, so the clock can be moved past it
+test("bundle: the alarm follows an extended member instead of the creation expiry", async (t) => {
+  const state = memoryState();
+  const store = new BundleStore(state);
+  const now = Date.now();
+  const expiresAt = now + 3600000;
+  const extendedTo = now + 3 * 24 * 3600000;
+
+  await post(store, "/create", {
+    id: "bundle123",
+    expiresAt,
+    ownerTokenHash: "owner",
+    recipients: [{ id: "secret123", label: "alice" }],
+  });
+  assert.equal(state.storage.alarm, expiresAt + TTL.TOMBSTONE_GRACE_MS);
+
+  const wrong = await post(store, "/extend", { tokenHash: "other", expiresAt: extendedTo });
+  assert.equal(wrong.status, 403);
+
+  const extend = await post(store, "/extend", { tokenHash: "owner", expiresAt: extendedTo });
+  assert.equal(extend.status, 200);
+  assert.equal(state.storage.alarm, extendedTo + TTL.TOMBSTONE_GRACE_MS);
+
+  // Shortening a member never pulls the bundle in: other links may still run longer
+  await post(store, "/extend", { tokenHash: "owner", expiresAt });
+  assert.equal(state.storage.alarm, extendedTo + TTL.TOMBSTONE_GRACE_MS);
+
+  // Past the original expiry and its grace, no alarm is due and the status still answers
+  t.mock.method(Date, "now", () => expiresAt + TTL.TOMBSTONE_GRACE_MS + 1);
+  if (state.storage.alarm <= Date.now()) await store.alarm();
+  const res = await post(store, "/get", { tokenHash: "owner" });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).expiresAt, extendedTo);
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { clearInflight } from "../src/deduplication.js";
+import { SECRET, call, makeEnv, waitFor } from "./helpers.js";
+
+const ALERTS = { ALERT_WEBHOOK_URL: "https://alerts.example.com/hook" };
+
+test("canary: reads never burn and every access raises an alert", async () => {
+  const alerts = [];
+  const mf = makeEnv({
+    bindings: ALERTS,
+    outbound: async (request) => {
+      alerts.push(await request.json());
+      return new Response("ok");
+    },
+  });
+  try {
+    const created = await call(mf, "/api/secrets", {
+      method: "POST",
+      body: { ...SECRET, canary: true },
+    });
+    assert.equal(created.status, 201);
+    const { id, deleteToken, canary } = await created.json();
+    assert.equal(canary, true);
+
+    const reader = { "CF-IPCountry": "NL", "User-Agent": "curl/8.0" };
+    const preview = await call(mf, `/api/secrets/${id}`, { headers: reader });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.headers.get("X-Volatile-Canary-Hits"), null);
+
+    for (let i = 0; i < 2; i++) {
+      clearInflight();
+      const read = await call(mf, `/api/secrets/${id}/reveal`, { method: "POST", headers: reader });
+      assert.equal(read.status, 200);
+      const data = await read.json();
+      assert.equal(data.encrypted, SECRET.encrypted);
+      // Looks like an ordinary single-view burn to whoever opened it
+      assert.equal(data.viewsRemaining, 0);
+    }
+
+    await waitFor(() => alerts.length === 3);
+    assert.ok(alerts.every((a) => a.alertType === "canary_accessed"));
+    assert.deepEqual(
+      alerts.map((a) => a.details.event),
+      ["validate", "read", "read"]
+    );
+    assert.equal(alerts[2].details.id, id);
+    assert.equal(alerts[2].details.country, "NL");
+
+    const hitsRes = await call(mf, `/api/secrets/${id}/hits`, { token: deleteToken });
+    assert.equal(hitsRes.status, 200);
+    const { total, hits } = await hitsRes.json();
+    assert.equal(total, 3);
+    assert.equal(hits[0].event, "read");
+    assert.equal(hits[2].event, "validate");
+    assert.equal(hits[0].country, "NL");
+    assert.equal(hits[0].uaHash, alerts[0].details.uaHash);
+    assert.notEqual(hits[0].uaHash, "curl/8.0");
+
+    const wrong = await call(mf, `/api/secrets/${id}/hits`, { token: "x".repeat(43) });
+    assert.equal(wrong.status, 403);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("canary: simultaneous reads each record a hit and alert", async () => {
+  const alerts = [];
+  const mf = makeEnv({
+    bindings: ALERTS,
+    outbound: async (request) => {
+      alerts.push(await request.json());
+      return new Response("ok");
+    },
+  });
+  try {
+    const { id, deleteToken } = await (
+      await call(mf, "/api/secrets", { method: "POST", body: { ...SECRET, canary: true } })
+    ).json();
+
+    clearInflight();
+    const reads = await Promise.all(
+      Array.from({ length: 4 }, () => call(mf, `/api/secrets/${id}/reveal`, { method: "POST" }))
+    );
+    const bodies = await Promise.all(reads.map((r) => r.json()));
+    assert.ok(bodies.every((b) => b.encrypted === SECRET.encrypted));
+
+    await waitFor(() => alerts.length === 4);
+    const { total } = await (
+      await call(mf, `/api/secrets/${id}/hits`, { token: deleteToken })
+    ).json();
+    assert.equal(total, 4);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("canary: hits are only listed for canaries and revocation still burns", async () => {
+  const mf = makeEnv({ bindings: ALERTS, outbound: async () => new Response("ok") });
+  try {
+    const plain = await (await call(mf, "/api/secrets", { method: "POST", body: SECRET })).json();
+    const notCanary = await call(mf, `/api/secrets/${plain.id}/hits`, { token: plain.deleteToken });
+    assert.equal(notCanary.status, 409);
+    assert.equal((await notCanary.json()).error.code, "NOT_CANARY");
+
+    const decoy = await (
+      await call(mf, "/api/secrets", { method: "POST", body: { ...SECRET, canary: true } })
+    ).json();
+    await call(mf, `/api/secrets/${decoy.id}/reveal`, { method: "POST" });
+    await call(mf, `/api/secrets/${decoy.id}`, { method: "DELETE", token: decoy.deleteToken });
+
+    clearInflight();
+    const gone = await call(mf, `/api/secrets/${decoy.id}/reveal`, { method: "POST" });
+    assert.equal(gone.status, 404);
+
+    // The hit log outlives the revoked decoy until its tombstone is purged
+    const hits = await (
+      await call(mf, `/api/secrets/${decoy.id}/hits`, { token: decoy.deleteToken })
+    ).json();
+    assert.equal(hits.total, 1);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("canary: the flag must be a boolean and excludes passphrases and chunks", async () => {
+  const mf = makeEnv({ bindings: ALERTS });
+  try {
+    for (const body of [
+      { ...SECRET, canary: "yes" },
+      { iv: SECRET.iv, chunks: 2, canary: true },
+    ]) {
+      const res = await call(mf, "/api/secrets", { method: "POST", body });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, "INVALID_CANARY");
+    }
+  } finally {
+    await mf.dispose();
+  }
+});
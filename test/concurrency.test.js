@@ -203,8 +203,8 @@ test("concurrency: concurrent reads of different secrets", async () => {
     // Now read them concurrently
     clearInflight();
     const readPromises = ids.map((id) =>
-      mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
-        method: "GET",
+      mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": "203.0.151.100",
@@ -265,8 +265,8 @@ test("concurrency: concurrent reads of the same secret - first wins, others get
       Array(5)
         .fill(null)
         .map(() =>
-          mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-            method: "GET",
+          mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+            method: "POST",
             headers: {
               Origin: "http://localhost:8787",
               "CF-Connecting-IP": "203.0.113.100",
@@ -561,8 +561,8 @@ test("concurrency: rapid sequential creates and reads", async () => {
       const created = await createRes.json();
 
       // Immediate read
-      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-        method: "GET",
+      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": `203.0.114.${i}`,
@@ -627,8 +627,8 @@ test("concurrency: Durable Object state isolation - multiple secrets", async ()
 
     // Read all secrets - each should be independent
     for (const secret of secrets) {
-      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${secret.id}`, {
-        method: "GET",
+      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${secret.id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": "203.0.115.100",
@@ -654,3 +654,88 @@ test("concurrency: Durable Object state isolation - multiple secrets", async ()
     await mf.dispose();
   }
 });
+
+test("concurrency: concurrent reveals deliver a one-time secret exactly once", async () => {
+  const mf = await makeEnv();
+  try {
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        Origin: "http://localhost:8787",
+        "Content-Type": "application/json",
+        "CF-Connecting-IP": "203.0.116.1",
+      },
+      body: JSON.stringify({ encrypted: "b25lLXRpbWU", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id } = await createRes.json();
+
+    clearInflight();
+    const reads = await Promise.all(
+      Array(10)
+        .fill(null)
+        .map((_, i) =>
+          mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+            method: "POST",
+            headers: {
+              Origin: "http://localhost:8787",
+              "CF-Connecting-IP": `203.0.116.${10 + i}`,
+            },
+          })
+        )
+    );
+
+    const bodies = await Promise.all(reads.map((r) => r.text()));
+    const delivered = bodies.filter((b) => b.includes("b25lLXRpbWU"));
+    assert.equal(delivered.length, 1, "Ciphertext must be delivered exactly once");
+
+    const statuses = reads.map((r) => r.status);
+    assert.equal(statuses.filter((s) => s === 200).length, 1);
+    for (const status of statuses.filter((s) => s !== 200)) {
+      assert.equal(status, 404, `Unexpected status ${status}`);
+    }
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("concurrency: concurrent reveals deliver exactly maxViews payloads", async () => {
+  const mf = await makeEnv();
+  try {
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        Origin: "http://localhost:8787",
+        "Content-Type": "application/json",
+        "CF-Connecting-IP": "203.0.116.2",
+      },
+      body: JSON.stringify({ encrypted: "bXVsdGk", iv: "aXYxMjM0NTY3ODkw", maxViews: 3 }),
+    });
+    const { id } = await createRes.json();
+
+    clearInflight();
+    const reads = await Promise.all(
+      Array(8)
+        .fill(null)
+        .map((_, i) =>
+          mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+            method: "POST",
+            headers: {
+              Origin: "http://localhost:8787",
+              "CF-Connecting-IP": `203.0.116.${30 + i}`,
+            },
+          })
+        )
+    );
+
+    const bodies = await Promise.all(reads.map((r) => r.text()));
+    const delivered = bodies.filter((b) => b.includes("bXVsdGk"));
+    assert.equal(delivered.length, 3, "Exactly maxViews concurrent readers get the payload");
+
+    const statuses = reads.map((r) => r.status);
+    assert.equal(statuses.filter((s) => s === 200).length, 3);
+    assert.equal(statuses.filter((s) => s === 404).length, 5, `Unexpected statuses ${statuses}`);
+  } finally {
+    await mf.dispose();
+  }
+});
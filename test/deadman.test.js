@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SecretStore } from "../src/do/SecretStore.js";
+import { SECRET, call, makeEnv, memoryState, post } from "./helpers.js";
+
+const HOUR = 60 * 60 * 1000;
+
+test("deadman: sealed while the owner checks in", async () => {
+  const mf = makeEnv();
+  try {
+    const before = Date.now();
+    const created = await call(mf, "/api/secrets", {
+      method: "POST",
+      body: { ...SECRET, checkinInterval: 6 * HOUR, ttl: HOUR },
+    });
+    assert.equal(created.status, 201);
+    const { id, deleteToken, checkinDeadline, expiresAt } = await created.json();
+    assert.ok(checkinDeadline >= before + 6 * HOUR);
+    // The TTL is the release window after a missed deadline
+    assert.equal(expiresAt, checkinDeadline + HOUR);
+
+    const preview = await (await call(mf, `/api/secrets/${id}`)).json();
+    assert.equal(preview.deadman, true);
+    assert.equal(preview.availableAt, checkinDeadline);
+
+    const sealed = await call(mf, `/api/secrets/${id}/reveal`, { method: "POST" });
+    assert.equal(sealed.status, 423);
+    const error = (await sealed.json()).error;
+    assert.equal(error.code, "SECRET_SEALED");
+    assert.equal(error.details.availableAt, checkinDeadline);
+
+    const wrong = await call(mf, `/api/secrets/${id}/checkin`, {
+      method: "POST",
+      token: "x".repeat(43),
+    });
+    assert.equal(wrong.status, 403);
+
+    await new Promise((r) => setTimeout(r, 5));
+    const checkin = await call(mf, `/api/secrets/${id}/checkin`, {
+      method: "POST",
+      token: deleteToken,
+    });
+    assert.equal(checkin.status, 200);
+    const moved = await checkin.json();
+    assert.ok(moved.checkinDeadline > checkinDeadline);
+    assert.equal(moved.expiresAt, moved.checkinDeadline + HOUR);
+
+    const status = await (
+      await call(mf, `/api/secrets/${id}/status`, { token: deleteToken })
+    ).json();
+    assert.equal(status.status, "pending");
+    assert.equal(status.checkinDeadline, moved.checkinDeadline);
+    assert.equal(status.releasedAt, null);
+    assert.ok(status.lastCheckinAt >= before);
+
+    // Nothing was consumed by the sealed reveal attempt
+    assert.equal(status.viewsRemaining, 1);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("deadman: a missed deadline releases the secret through the alarm", async (t) => {
+  const state = memoryState();
+  const store = new SecretStore(state, {});
+  const now = Date.now();
+  const deadline = now + HOUR;
+  t.mock.method(Date, "now", () => now);
+
+  const stored = await post(store, "/store", {
+    id: "DeadmanSwitch001",
+    ...SECRET,
+    expiresAt: deadline + HOUR,
+    deleteTokenHash: "owner",
+    deadman: { interval: HOUR, deadline, window: HOUR },
+  });
+  assert.equal(stored.status, 200);
+  assert.equal(state.storage.alarm, deadline);
+
+  const sealed = await store.fetch(new Request("http://do/read"));
+  assert.equal(sealed.status, 423);
+
+  // The owner misses the deadline and the alarm fires
+  Date.now.mock.mockImplementation(() => deadline);
+  await store.alarm();
+  assert.equal(state.storage.alarm, deadline + HOUR);
+
+  const status = await (await post(store, "/status", { tokenHash: "owner" })).json();
+  assert.equal(status.releasedAt, deadline);
+
+  const late = await post(store, "/checkin", { tokenHash: "owner" });
+  assert.equal(late.status, 409);
+  assert.equal((await late.json()).error, "SECRET_RELEASED");
+
+  const read = await store.fetch(new Request("http://do/read"));
+  assert.equal(read.status, 200);
+  assert.equal((await read.json()).encrypted, SECRET.encrypted);
+});
+
+test("deadman: check-in intervals are validated", async () => {
+  const mf = makeEnv();
+  try {
+    for (const body of [
+      { ...SECRET, checkinInterval: 1000 },
+      { ...SECRET, checkinInterval: "6h" },
+      { ...SECRET, checkinInterval: HOUR, notBefore: Date.now() + HOUR },
+      { ...SECRET, checkinInterval: HOUR, canary: true },
+    ]) {
+      const res = await call(mf, "/api/secrets", { method: "POST", body });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, "INVALID_CHECKIN_INTERVAL");
+    }
+
+    const plain = await (await call(mf, "/api/secrets", { method: "POST", body: SECRET })).json();
+    const res = await call(mf, `/api/secrets/${plain.id}/checkin`, {
+      method: "POST",
+      token: plain.deleteToken,
+    });
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).error.code, "NOT_DEADMAN");
+  } finally {
+    await mf.dispose();
+  }
+});
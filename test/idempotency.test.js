@@ -0,0 +1,214 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ORIGIN, makeEnv } from "./helpers.js";
+
+const IDEMPOTENCY = { IDEMPOTENCY: "IdempotencyStore" };
+
+const BODY = JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", ttl: 3600000 });
+
+function create(mf, key, body = BODY, ip = "203.0.124.1") {
+  return mf.dispatchFetch("http://localhost/api/secrets", {
+    method: "POST",
+    headers: {
+      Origin: ORIGIN,
+      "Content-Type": "application/json",
+      "CF-Connecting-IP": ip,
+      ...(key && { "Idempotency-Key": key }),
+    },
+    body,
+  });
+}
+
+test("idempotency: retry with the same key and body replays the original secret", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+
+    const first = await create(mf, key);
+    assert.equal(first.status, 201);
+    const original = await first.json();
+    assert.ok(original.deleteToken);
+
+    const retry = await create(mf, key);
+    assert.equal(retry.status, 201);
+    assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+    const replay = await retry.json();
+    assert.equal(replay.id, original.id);
+    assert.equal(replay.expiresAt, original.expiresAt);
+    // Bearer credentials are only ever handed out once
+    assert.equal(replay.deleteToken, undefined);
+
+    // Only one secret exists: one reveal succeeds, the next finds nothing
+    const reveal = (ip) =>
+      mf.dispatchFetch(`http://localhost/api/secrets/${original.id}/reveal`, {
+        method: "POST",
+        headers: { Origin: ORIGIN, "CF-Connecting-IP": ip },
+      });
+    assert.equal((await reveal("203.0.124.2")).status, 200);
+    assert.equal((await reveal("203.0.124.2")).status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: reusing a key with a different body is rejected with 422", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+    assert.equal((await create(mf, key)).status, 201);
+
+    const other = JSON.stringify({ encrypted: "d29ybGQ", iv: "aXYxMjM0NTY3ODkw" });
+    const res = await create(mf, key, other);
+    assert.equal(res.status, 422);
+    assert.equal((await res.json()).error.code, "IDEMPOTENCY_KEY_MISMATCH");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: keys are scoped per client", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+    const mine = await create(mf, key);
+    assert.equal(mine.status, 201);
+
+    // Another client picking the same key with a different body gets its own secret
+    const other = JSON.stringify({ encrypted: "d29ybGQ", iv: "aXYxMjM0NTY3ODkw" });
+    const theirs = await create(mf, key, other, "203.0.124.9");
+    assert.equal(theirs.status, 201);
+    assert.equal(theirs.headers.get("Idempotent-Replayed"), null);
+    assert.notEqual((await theirs.json()).id, (await mine.json()).id);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: failed creates release the key, malformed keys are rejected", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+
+    const bad = await create(mf, key, JSON.stringify({ iv: "aXYxMjM0NTY3ODkw" }));
+    assert.equal(bad.status, 400);
+
+    // The 400 did not burn the key, so the corrected request goes through
+    const good = await create(mf, key);
+    assert.equal(good.status, 201);
+    assert.equal(good.headers.get("Idempotent-Replayed"), null);
+
+    const malformed = await create(mf, "short");
+    assert.equal(malformed.status, 400);
+    assert.equal((await malformed.json()).error.code, "INVALID_IDEMPOTENCY_KEY");
+
+    // Requests without a key are unaffected
+    const a = await (await create(mf, null)).json();
+    const b = await (await create(mf, null)).json();
+    assert.notEqual(a.id, b.id);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: concurrent retries with one key store a single secret", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+    const results = await Promise.all([create(mf, key), create(mf, key), create(mf, key)]);
+
+    const created = [];
+    for (const res of results) {
+      // A retry racing the original sees 409 (in progress) or the replay
+      assert.ok([201, 409].includes(res.status), `unexpected ${res.status}`);
+      if (res.status === 201) created.push((await res.json()).id);
+      else assert.equal((await res.json()).error.code, "IDEMPOTENCY_IN_PROGRESS");
+    }
+    assert.ok(created.length >= 1);
+    assert.equal(new Set(created).size, 1);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: a client-chosen deleteToken still works after a replay", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+    const deleteToken = "dGhpcnR5LXR3by1yYW5kb20tYnl0ZXMtb2YtdG9rZW4";
+    const body = JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", deleteToken });
+
+    const first = await create(mf, key, body);
+    assert.equal(first.status, 201);
+    assert.equal((await first.json()).deleteToken, deleteToken);
+
+    // The first response was lost: the replay carries no token, but the client kept its own
+    const retry = await create(mf, key, body);
+    assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+    const { id, deleteToken: replayed } = await retry.json();
+    assert.equal(replayed, undefined);
+
+    const status = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: {
+        Origin: ORIGIN,
+        "CF-Connecting-IP": "203.0.124.1",
+        Authorization: `Bearer ${deleteToken}`,
+      },
+    });
+    assert.equal(status.status, 200);
+    assert.equal((await status.json()).status, "pending");
+
+    const weak = await create(
+      mf,
+      null,
+      JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", deleteToken: "short" })
+    );
+    assert.equal(weak.status, 400);
+    assert.equal((await weak.json()).error.code, "INVALID_DELETE_TOKEN");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("idempotency: a replay repeats the original response minus its credentials", async () => {
+  const mf = makeEnv({ durableObjects: IDEMPOTENCY });
+  try {
+    const key = crypto.randomUUID();
+    const notifySecret = "c2lnbmluZy1zZWNyZXQtY2hvc2VuLWJ5LWNsaWVudHM";
+    const body = JSON.stringify({
+      encrypted: "aGVsbG8",
+      iv: "aXYxMjM0NTY3ODkw",
+      notify: "https://hooks.example.com/volatile",
+      notifySecret,
+      notBefore: Date.now() + 60_000,
+    });
+
+    const first = await create(mf, key, body);
+    assert.equal(first.status, 201);
+    const original = await first.json();
+    assert.equal(original.notifySecret, notifySecret);
+    assert.ok(original.availableAt);
+
+    const retry = await create(mf, key, body);
+    assert.equal(retry.headers.get("Idempotent-Replayed"), "true");
+    const replayed = await retry.json();
+    const { deleteToken, notifySecret: secret, ...rest } = original;
+    assert.ok(deleteToken && secret);
+    assert.deepEqual(replayed, rest);
+
+    for (const bad of [
+      { encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", notifySecret },
+      {
+        encrypted: "aGVsbG8",
+        iv: "aXYxMjM0NTY3ODkw",
+        notify: "https://hooks.example.com/volatile",
+        notifySecret: "short",
+      },
+    ]) {
+      const res = await create(mf, null, JSON.stringify(bad));
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, "INVALID_NOTIFY_SECRET");
+    }
+  } finally {
+    await mf.dispose();
+  }
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { call, makeEnv } from "./helpers.js";
+
+const INBOXES = { INBOXES: "InboxStore" };
+
+// 65-byte uncompressed P-256 point in base64url
+const EPK = "B" + "A".repeat(86);
+const SEALED = { encrypted: "c2VhbGVk", iv: "aXYxMjM0NTY3ODkw", epk: EPK };
+
+async function openNewInbox(mf) {
+  const res = await call(mf, "/api/inboxes", { method: "POST", body: { ttl: 3600000 } });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+test("inbox: fill once, open once with the owner token", async () => {
+  const mf = makeEnv({ durableObjects: INBOXES });
+  try {
+    const { id, ownerToken, expiresAt } = await openNewInbox(mf);
+    assert.ok(ownerToken);
+    assert.ok(expiresAt > Date.now());
+
+    const before = await (await call(mf, `/api/inboxes/${id}`)).json();
+    assert.equal(before.status, "open");
+
+    assert.equal(
+      (await call(mf, `/api/inboxes/${id}/fill`, { method: "POST", body: SEALED })).status,
+      200
+    );
+
+    const again = await call(mf, `/api/inboxes/${id}/fill`, { method: "POST", body: SEALED });
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error.code, "INBOX_ALREADY_FILLED");
+
+    const after = await (await call(mf, `/api/inboxes/${id}`)).json();
+    assert.equal(after.status, "filled");
+    assert.equal(after.encrypted, undefined);
+
+    const opened = await call(mf, `/api/inboxes/${id}/open`, { method: "POST", token: ownerToken });
+    assert.equal(opened.status, 200);
+    assert.deepEqual(await opened.json(), SEALED);
+
+    const gone = await call(mf, `/api/inboxes/${id}/open`, { method: "POST", token: ownerToken });
+    assert.equal(gone.status, 404);
+    assert.equal((await gone.json()).error.code, "INBOX_NOT_FOUND");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("inbox: open requires the owner token and a filled inbox", async () => {
+  const mf = makeEnv({ durableObjects: INBOXES });
+  try {
+    const { id, ownerToken } = await openNewInbox(mf);
+
+    const empty = await call(mf, `/api/inboxes/${id}/open`, { method: "POST", token: ownerToken });
+    assert.equal(empty.status, 409);
+    assert.equal((await empty.json()).error.code, "INBOX_EMPTY");
+
+    await call(mf, `/api/inboxes/${id}/fill`, { method: "POST", body: SEALED });
+
+    const noToken = await call(mf, `/api/inboxes/${id}/open`, { method: "POST" });
+    assert.equal(noToken.status, 401);
+
+    const wrong = await call(mf, `/api/inboxes/${id}/open`, {
+      method: "POST",
+      token: "not-the-owner",
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+
+    // A failed open does not consume the inbox
+    const ok = await call(mf, `/api/inboxes/${id}/open`, { method: "POST", token: ownerToken });
+    assert.equal(ok.status, 200);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("inbox: fill validates the sealed payload and unknown inboxes are 404", async () => {
+  const mf = makeEnv({ durableObjects: INBOXES });
+  try {
+    const { id } = await openNewInbox(mf);
+
+    const badEpk = await call(mf, `/api/inboxes/${id}/fill`, {
+      method: "POST",
+      body: { ...SEALED, epk: "short" },
+    });
+    assert.equal(badEpk.status, 400);
+    assert.equal((await badEpk.json()).error.code, "INVALID_EPK");
+
+    const missing = await call(mf, `/api/inboxes/${id}/fill`, {
+      method: "POST",
+      body: { encrypted: SEALED.encrypted },
+    });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error.code, "MISSING_FIELDS");
+
+    const unknown = await call(mf, "/api/inboxes/doesnotexist123/fill", {
+      method: "POST",
+      body: SEALED,
+    });
+    assert.equal(unknown.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("inbox: STRICT_PADDING only accepts padded replies and returns their envelope", async () => {
+  const mf = makeEnv({ durableObjects: INBOXES, bindings: { STRICT_PADDING: "true" } });
+  try {
+    const { id, ownerToken } = await openNewInbox(mf);
+    const envelope = { v: 1, alg: "AES-256-GCM", flags: ["pad-pow2"] };
+
+    const unpadded = await call(mf, `/api/inboxes/${id}/fill`, { method: "POST", body: SEALED });
+    assert.equal(unpadded.status, 400);
+    assert.equal((await unpadded.json()).error.code, "PADDING_REQUIRED");
+
+    const wrongSize = await call(mf, `/api/inboxes/${id}/fill`, {
+      method: "POST",
+      body: { ...SEALED, envelope },
+    });
+    assert.equal(wrongSize.status, 400);
+    assert.equal((await wrongSize.json()).error.code, "PADDING_REQUIRED");
+
+    // 256 padded bytes + 16-byte tag = 272 bytes = 363 base64url chars
+    const padded = { ...SEALED, encrypted: "A".repeat(363), envelope };
+    const fill = await call(mf, `/api/inboxes/${id}/fill`, { method: "POST", body: padded });
+    assert.equal(fill.status, 200);
+
+    const opened = await call(mf, `/api/inboxes/${id}/open`, { method: "POST", token: ownerToken });
+    assert.deepEqual(await opened.json(), padded);
+  } finally {
+    await mf.dispose();
+  }
+});
@@ -76,8 +76,8 @@ test("complete user flow: create -> share -> read -> verify destroyed", async ()
     assert.ok(created.expiresAt);
 
     // Step 3: Recipient reads secret (simulated sharing via URL)
-    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "198.51.100.1", // Different IP
@@ -96,8 +96,8 @@ test("complete user flow: create -> share -> read -> verify destroyed", async ()
     assert.equal(new TextDecoder().decode(decrypted), plaintext);
 
     // Step 5: Verify secret is destroyed (second read fails)
-    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "198.51.100.1",
@@ -158,8 +158,8 @@ test("multi-user scenario: different users creating and reading secrets", async
       const secret = secrets[i];
       const readerIp = `198.51.100.${10 + i}`;
 
-      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${secret.id}`, {
-        method: "GET",
+      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${secret.id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": readerIp,
@@ -219,8 +219,8 @@ test("error recovery: invalid encryption key doesn't break system", async () =>
     const created = await createRes.json();
 
     // Read the secret
-    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "203.0.131.1",
@@ -248,8 +248,8 @@ test("error recovery: invalid encryption key doesn't break system", async () =>
     }
 
     // Secret should still be consumed (can't read again)
-    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "203.0.131.1",
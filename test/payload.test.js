@@ -236,8 +236,8 @@ test("special characters and unicode in encrypted data", async () => {
       const created = await createRes.json();
 
       // Verify we can read it back
-      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-        method: "GET",
+      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": `203.0.121.${idx}`,
@@ -286,3 +286,490 @@ test("binary data handling", async () => {
     await mf.dispose();
   }
 });
+
+const CHUNK_CHARS = 1_000_000;
+
+async function openChunkedUpload(mf, headers, iv, chunks) {
+  const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({ iv, chunks, kind: "file", ttl: 60 * 60 * 1000 }),
+  });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+function putChunk(mf, headers, id, index, data, token) {
+  return mf.dispatchFetch(`http://localhost/api/secrets/${id}/chunks/${index}`, {
+    method: "PUT",
+    headers: {
+      ...headers,
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify({ data }),
+  });
+}
+
+test("chunked upload: 10MB file round-trips and burns after reading", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.122.1" };
+
+    const file = new Uint8Array(10 * 1024 * 1024);
+    for (let i = 0; i < file.length; i += 65536)
+      crypto.getRandomValues(file.subarray(i, i + 65536));
+
+    const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, [
+      "encrypt",
+      "decrypt",
+    ]);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = b64urlEncode(
+      new Uint8Array(await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, file))
+    );
+    const parts = [];
+    for (let i = 0; i < ciphertext.length; i += CHUNK_CHARS) {
+      parts.push(ciphertext.slice(i, i + CHUNK_CHARS));
+    }
+
+    const { id, deleteToken, chunks } = await openChunkedUpload(
+      mf,
+      headers,
+      b64urlEncode(iv),
+      parts.length
+    );
+    assert.equal(chunks, parts.length);
+
+    const early = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(early.status, 409);
+    assert.equal((await early.json()).error.code, "UPLOAD_INCOMPLETE");
+
+    // Upload out of order to show that indexes, not arrival order, define the layout
+    for (const index of [...parts.keys()].reverse()) {
+      const res = await putChunk(mf, headers, id, index, parts[index], deleteToken);
+      assert.equal(res.status, 200);
+    }
+
+    const fin = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/finalize`, {
+      method: "POST",
+      headers: { ...headers, Authorization: `Bearer ${deleteToken}` },
+    });
+    assert.equal(fin.status, 200);
+
+    const preview = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+    assert.equal((await preview.json()).kind, "file");
+
+    const reveal = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(reveal.status, 200);
+    const payload = await reveal.json();
+    assert.equal(payload.kind, "file");
+    assert.equal(payload.encrypted, ciphertext);
+
+    const decrypted = new Uint8Array(
+      await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv },
+        key,
+        Buffer.from(payload.encrypted, "base64url")
+      )
+    );
+    assert.ok(Buffer.from(decrypted).equals(Buffer.from(file)));
+
+    const again = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(again.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("chunked upload: a repeated finalize succeeds once the upload is sealed", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.122.3" };
+    const { id, deleteToken } = await openChunkedUpload(mf, headers, "aXYxMjM0NTY3ODkw", 1);
+    assert.equal((await putChunk(mf, headers, id, 0, "aGVsbG8", deleteToken)).status, 200);
+
+    const finalizeUpload = (token) =>
+      mf.dispatchFetch(`http://localhost/api/secrets/${id}/finalize`, {
+        method: "POST",
+        headers: { ...headers, Authorization: `Bearer ${token}` },
+      });
+
+    const first = await finalizeUpload(deleteToken);
+    assert.equal(first.status, 200);
+    const again = await finalizeUpload(deleteToken);
+    assert.equal(again.status, 200);
+    assert.deepEqual(await again.json(), await first.json());
+
+    const wrongToken = await finalizeUpload("x".repeat(43));
+    assert.equal(wrongToken.status, 403);
+
+    // Chunks stay frozen after sealing
+    const late = await putChunk(mf, headers, id, 0, "aGVsbG8", deleteToken);
+    assert.equal(late.status, 409);
+    assert.equal((await late.json()).error.code, "UPLOAD_FINALIZED");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("chunked upload: rejects bad tokens, bad indexes and incomplete finalize", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.122.2" };
+    const { id, deleteToken } = await openChunkedUpload(mf, headers, "aXYxMjM0NTY3ODkw", 2);
+
+    const noToken = await putChunk(mf, headers, id, 0, "aGVsbG8");
+    assert.equal(noToken.status, 401);
+
+    const wrongToken = await putChunk(mf, headers, id, 0, "aGVsbG8", "x".repeat(43));
+    assert.equal(wrongToken.status, 403);
+
+    const outOfRange = await putChunk(mf, headers, id, 2, "aGVsbG8", deleteToken);
+    assert.equal(outOfRange.status, 400);
+    assert.equal((await outOfRange.json()).error.code, "INVALID_CHUNK_INDEX");
+
+    const ok = await putChunk(mf, headers, id, 0, "aGVsbG8", deleteToken);
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).received, 1);
+
+    const fin = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/finalize`, {
+      method: "POST",
+      headers: { ...headers, Authorization: `Bearer ${deleteToken}` },
+    });
+    assert.equal(fin.status, 409);
+    const finBody = await fin.json();
+    assert.equal(finBody.error.code, "UPLOAD_INCOMPLETE");
+    assert.deepEqual(finBody.error.details.missing, [1]);
+
+    const tooLarge = await putChunk(mf, headers, id, 1, "A".repeat(CHUNK_CHARS + 1), deleteToken);
+    assert.equal(tooLarge.status, 413);
+
+    const both = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", chunks: 2 }),
+    });
+    assert.equal((await both.json()).error.code, "INVALID_UPLOAD");
+
+    const zero = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ iv: "aXYxMjM0NTY3ODkw", chunks: 0 }),
+    });
+    assert.equal((await zero.json()).error.code, "INVALID_CHUNKS");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("raw upload: octet-stream body round-trips as raw bytes and as JSON", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.123.1" };
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = new Uint8Array(700 * 1024);
+    for (let i = 0; i < ciphertext.length; i += 65536) {
+      crypto.getRandomValues(ciphertext.subarray(i, i + 65536));
+    }
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        ...headers,
+        "Content-Type": "application/octet-stream",
+        "X-Volatile-IV": b64urlEncode(iv),
+        "X-Volatile-TTL": String(60 * 60 * 1000),
+        "X-Volatile-Max-Views": "2",
+      },
+      body: ciphertext,
+    });
+    assert.equal(createRes.status, 201);
+    const { id, maxViews } = await createRes.json();
+    assert.equal(maxViews, 2);
+
+    const rawRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers: { ...headers, Accept: "application/octet-stream" },
+    });
+    assert.equal(rawRes.status, 200);
+    assert.equal(rawRes.headers.get("Content-Type"), "application/octet-stream");
+    assert.equal(rawRes.headers.get("X-Volatile-IV"), b64urlEncode(iv));
+    assert.equal(rawRes.headers.get("X-Volatile-Views-Remaining"), "1");
+    assert.equal(rawRes.headers.get("X-Volatile-Kind"), "text");
+    assert.match(rawRes.headers.get("Access-Control-Expose-Headers"), /X-Volatile-IV/);
+    assert.ok(Buffer.from(await rawRes.arrayBuffer()).equals(Buffer.from(ciphertext)));
+
+    // The same secret is still readable through the JSON envelope
+    const jsonRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(jsonRes.status, 200);
+    const data = await jsonRes.json();
+    assert.equal(data.encrypted, b64urlEncode(ciphertext));
+    assert.equal(data.viewsRemaining, 0);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("raw upload: JSON-created secrets can be read as raw bytes", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.123.2" };
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    const { id } = await createRes.json();
+
+    const rawRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers: { ...headers, Accept: "application/octet-stream" },
+    });
+    assert.equal(rawRes.status, 200);
+    assert.equal(Buffer.from(await rawRes.arrayBuffer()).toString(), "hello");
+
+    // Errors stay JSON even when raw bytes were requested
+    const gone = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers: { ...headers, Accept: "application/octet-stream" },
+    });
+    assert.equal(gone.status, 404);
+    assert.match(gone.headers.get("Content-Type"), /application\/json/);
+    assert.equal((await gone.json()).error.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("raw upload: validates metadata headers", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.123.3",
+      "Content-Type": "application/octet-stream",
+    };
+    const body = new Uint8Array([1, 2, 3, 4]);
+    const create = (extra) =>
+      mf.dispatchFetch("http://localhost/api/secrets", {
+        method: "POST",
+        headers: { ...headers, ...extra },
+        body,
+      });
+
+    const noIv = await create({});
+    assert.equal(noIv.status, 400);
+    assert.equal((await noIv.json()).error.code, "MISSING_FIELDS");
+
+    const badViews = await create({
+      "X-Volatile-IV": "aXYxMjM0NTY3ODkw",
+      "X-Volatile-Max-Views": "0",
+    });
+    assert.equal((await badViews.json()).error.code, "INVALID_MAX_VIEWS");
+
+    const badPassphrase = await create({
+      "X-Volatile-IV": "aXYxMjM0NTY3ODkw",
+      "X-Volatile-Passphrase": "not-a-verifier",
+    });
+    assert.equal((await badPassphrase.json()).error.code, "INVALID_PASSPHRASE_PARAMS");
+
+    const tooLarge = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "X-Volatile-IV": "aXYxMjM0NTY3ODkw" },
+      body: new Uint8Array(1_100_000),
+    });
+    assert.equal(tooLarge.status, 413);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("envelope: stored opaquely and returned on validate, reveal and raw reads", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.123.4" };
+    const envelope = {
+      v: 1,
+      alg: "AES-256-GCM",
+      kdf: { name: "hkdf-sha256", info: "volatile.sh key code v1" },
+      flags: ["future-flag"],
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        encrypted: "Y2lwaGVydGV4dA",
+        iv: "aXYxMjM0NTY3ODkw",
+        maxViews: 2,
+        envelope,
+      }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id } = await createRes.json();
+
+    const validateRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/validate`, {
+      headers,
+    });
+    assert.deepEqual((await validateRes.json()).envelope, envelope);
+
+    const jsonRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.deepEqual((await jsonRes.json()).envelope, envelope);
+
+    const rawRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers: { ...headers, Accept: "application/octet-stream" },
+    });
+    const header = rawRes.headers.get("X-Volatile-Envelope");
+    assert.deepEqual(JSON.parse(Buffer.from(header, "base64url").toString()), envelope);
+    await rawRes.arrayBuffer();
+
+    // Legacy payloads without an envelope come back without one
+    const legacyRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "Y2lwaGVydGV4dA", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    const legacy = await legacyRes.json();
+    const legacyRead = await mf.dispatchFetch(`http://localhost/api/secrets/${legacy.id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal((await legacyRead.json()).envelope, undefined);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("envelope: rejects malformed envelopes in JSON and raw uploads", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.123.5" };
+    const create = (envelope) =>
+      mf.dispatchFetch("http://localhost/api/secrets", {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ encrypted: "Y2lwaGVydGV4dA", iv: "aXYxMjM0NTY3ODkw", envelope }),
+      });
+
+    for (const envelope of [
+      "v1",
+      { v: 99, alg: "AES-256-GCM" },
+      { v: 1, alg: "ROT13" },
+      { v: 1, alg: "AES-256-GCM", flags: ["compressed", "compressed"] },
+      { v: 1, alg: "AES-256-GCM", flags: ["Not A Flag"] },
+      { v: 1, alg: "AES-256-GCM", kdf: { info: "no name" } },
+      { v: 1, alg: "AES-256-GCM", kdf: { name: "pbkdf2-sha256", nested: { deep: 1 } } },
+      { v: 1, alg: "AES-256-GCM", extra: true },
+    ]) {
+      const res = await create(envelope);
+      assert.equal(res.status, 400, JSON.stringify(envelope));
+      assert.equal((await res.json()).error.code, "INVALID_ENVELOPE");
+    }
+
+    const badHeader = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        ...headers,
+        "Content-Type": "application/octet-stream",
+        "X-Volatile-IV": "aXYxMjM0NTY3ODkw",
+        "X-Volatile-Envelope": "not json",
+      },
+      body: new Uint8Array([1, 2, 3, 4]),
+    });
+    assert.equal((await badHeader.json()).error.code, "INVALID_ENVELOPE");
+
+    const rawOk = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        ...headers,
+        "Content-Type": "application/octet-stream",
+        "X-Volatile-IV": "aXYxMjM0NTY3ODkw",
+        "X-Volatile-Envelope": Buffer.from('{"v":1,"alg":"AES-256-GCM"}').toString("base64url"),
+      },
+      body: new Uint8Array([1, 2, 3, 4]),
+    });
+    assert.equal(rawOk.status, 201);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("aad: returned unchanged on JSON and raw reads, rejected when malformed", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = { Origin: "http://localhost:8787", "CF-Connecting-IP": "203.0.123.6" };
+    const aad = b64urlEncode(Buffer.from(JSON.stringify({ nonce: "bm9uY2UxMjM0NTY3ODkw" })));
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        encrypted: "Y2lwaGVydGV4dA",
+        iv: "aXYxMjM0NTY3ODkw",
+        maxViews: 2,
+        aad,
+      }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id } = await createRes.json();
+
+    const jsonRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal((await jsonRes.json()).aad, aad);
+
+    const rawRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers: { ...headers, Accept: "application/octet-stream" },
+    });
+    assert.equal(rawRes.headers.get("X-Volatile-AAD"), aad);
+    await rawRes.arrayBuffer();
+
+    for (const bad of ["not base64url!", "A".repeat(1025), 42]) {
+      const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({ encrypted: "Y2lwaGVydGV4dA", iv: "aXYxMjM0NTY3ODkw", aad: bad }),
+      });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error.code, "INVALID_AAD");
+    }
+
+    const rawCreate = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        ...headers,
+        "Content-Type": "application/octet-stream",
+        "X-Volatile-IV": "aXYxMjM0NTY3ODkw",
+        "X-Volatile-AAD": aad,
+      },
+      body: new Uint8Array([1, 2, 3, 4]),
+    });
+    const rawId = (await rawCreate.json()).id;
+    const rawRead = await mf.dispatchFetch(`http://localhost/api/secrets/${rawId}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal((await rawRead.json()).aad, aad);
+  } finally {
+    await mf.dispose();
+  }
+});
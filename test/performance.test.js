@@ -126,8 +126,8 @@ test("performance: read secret response time is acceptable", async () => {
 
     // Measure read performance
     const start = Date.now();
-    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "203.0.140.2",
@@ -266,8 +266,8 @@ test("performance: Durable Object access latency", async () => {
     for (const id of ids) {
       clearInflight();
       const start = Date.now();
-      await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
-        method: "GET",
+      await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+        method: "POST",
         headers: {
           Origin: "http://localhost:8787",
           "CF-Connecting-IP": "203.0.141.100",
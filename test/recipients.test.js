@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { call, makeEnv } from "./helpers.js";
+
+const RECIPIENTS = { RECIPIENTS: "RecipientStore" };
+
+// 65-byte uncompressed P-256 points in base64url
+const KEY_A = "B" + "A".repeat(86);
+const KEY_B = "B" + "Q".repeat(86);
+
+test("recipients: register a handle and look up its public key", async () => {
+  const mf = makeEnv({ durableObjects: RECIPIENTS });
+  try {
+    const res = await call(mf, "/api/recipients/acme-ops", {
+      method: "POST",
+      body: { publicKey: KEY_A },
+    });
+    assert.equal(res.status, 201);
+    const created = await res.json();
+    assert.equal(created.handle, "acme-ops");
+    assert.ok(created.ownerToken);
+
+    const lookup = await call(mf, "/api/recipients/acme-ops");
+    assert.equal(lookup.status, 200);
+    const data = await lookup.json();
+    assert.equal(data.publicKey, KEY_A);
+    assert.equal(data.ownerToken, undefined);
+    assert.equal(data.ownerTokenHash, undefined);
+
+    const unknown = await call(mf, "/api/recipients/nobody-here");
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error.code, "RECIPIENT_NOT_FOUND");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("recipients: only the owner token can replace a registered key", async () => {
+  const mf = makeEnv({ durableObjects: RECIPIENTS });
+  try {
+    const { ownerToken } = await (
+      await call(mf, "/api/recipients/acme-ops", { method: "POST", body: { publicKey: KEY_A } })
+    ).json();
+
+    const taken = await call(mf, "/api/recipients/acme-ops", {
+      method: "POST",
+      body: { publicKey: KEY_B },
+    });
+    assert.equal(taken.status, 409);
+    assert.equal((await taken.json()).error.code, "HANDLE_TAKEN");
+
+    const wrong = await call(mf, "/api/recipients/acme-ops", {
+      method: "POST",
+      body: { publicKey: KEY_B },
+      token: "not-the-owner",
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+
+    const rotated = await call(mf, "/api/recipients/acme-ops", {
+      method: "POST",
+      body: { publicKey: KEY_B },
+      token: ownerToken,
+    });
+    assert.equal(rotated.status, 200);
+    assert.equal((await rotated.json()).ownerToken, undefined);
+
+    const data = await (await call(mf, "/api/recipients/acme-ops")).json();
+    assert.equal(data.publicKey, KEY_B);
+    assert.ok(data.updatedAt >= data.createdAt);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("recipients: handles and public keys are validated", async () => {
+  const mf = makeEnv({ durableObjects: RECIPIENTS });
+  try {
+    const badHandle = await call(mf, "/api/recipients/Acme", {
+      method: "POST",
+      body: { publicKey: KEY_A },
+    });
+    assert.equal(badHandle.status, 400);
+    assert.equal((await badHandle.json()).error.code, "INVALID_HANDLE");
+
+    const badKey = await call(mf, "/api/recipients/acme-ops", {
+      method: "POST",
+      body: { publicKey: "short" },
+    });
+    assert.equal(badKey.status, 400);
+    assert.equal((await badKey.json()).error.code, "INVALID_PUBLIC_KEY");
+
+    // A rejected registration does not claim the handle
+    const free = await call(mf, "/api/recipients/acme-ops");
+    assert.equal(free.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
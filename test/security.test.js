@@ -51,7 +51,7 @@ test("security: validateRequest rejects disallowed HTTP methods", async () => {
   const { validateRequest } = await import("../src/security.js");
 
   // Note: Node.js/undici doesn't support TRACE and CONNECT methods
-  for (const method of ["DELETE", "PUT", "PATCH"]) {
+  for (const method of ["PROPFIND"]) {
     const request = new Request("https://example.com", { method });
     assert.throws(() => validateRequest(request), {
       name: "HttpError",
@@ -62,7 +62,7 @@ test("security: validateRequest rejects disallowed HTTP methods", async () => {
 
 test("security: validateRequest accepts allowed HTTP methods", async () => {
   const { validateRequest } = await import("../src/security.js");
-  for (const method of ["GET", "POST", "OPTIONS", "HEAD"]) {
+  for (const method of ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS", "HEAD"]) {
     const request = new Request("https://example.com", { method });
     assert.doesNotThrow(() => validateRequest(request));
   }
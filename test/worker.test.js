@@ -16,7 +16,7 @@ function b64urlDecode(str) {
   return new Uint8Array(Buffer.from(s, "base64"));
 }
 
-async function makeEnv() {
+async function makeEnv(extraBindings = {}) {
   const mf = new Miniflare({
     modules: true,
     modulesRules: [{ type: "ESModule", include: ["**/*.js"] }],
@@ -32,6 +32,7 @@ async function makeEnv() {
       RATE_LIMIT_CREATE_PER_WINDOW: 2,
       RATE_LIMIT_READ_PER_WINDOW: 10,
       ALLOWED_ORIGINS: "http://localhost:8787",
+      ...extraBindings,
     },
   });
 
@@ -114,8 +115,8 @@ test("end-to-end: encrypt -> create -> read -> decrypt; second read fails", asyn
     // Clear deduplication before read
     clearInflight();
 
-    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "203.0.113.10",
@@ -136,8 +137,8 @@ test("end-to-end: encrypt -> create -> read -> decrypt; second read fails", asyn
     // Clear deduplication before second read
     clearInflight();
 
-    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}`, {
-      method: "GET",
+    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
       headers: {
         Origin: "http://localhost:8787",
         "CF-Connecting-IP": "203.0.113.10",
@@ -220,8 +221,8 @@ test("invalid ID format returns 400", async () => {
     // Test IDs that are syntactically valid but fail format validation
     const invalidIds = ["ab", "abc"]; // Too short (< 8 chars)
     for (const id of invalidIds) {
-      const res = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
-        method: "GET",
+      const res = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+        method: "POST",
         headers: { Origin: "http://localhost:8787" },
       });
       assert.equal(res.status, 400, `Expected 400 for invalid ID: ${id}`);
@@ -349,3 +350,625 @@ test("TTL boundary values are enforced", async () => {
     await mf.dispose();
   }
 });
+
+test("multi-view secret burns only after maxViews reads", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.60",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        encrypted: "aGVsbG8",
+        iv: "aXYxMjM0NTY3ODkw",
+        ttl: 60 * 60 * 1000,
+        maxViews: 3,
+      }),
+    });
+    assert.equal(createRes.status, 201);
+    const created = await createRes.json();
+    assert.equal(created.maxViews, 3);
+
+    const validateRes = await mf.dispatchFetch(
+      `http://localhost/api/secrets/${created.id}/validate`,
+      { method: "GET", headers }
+    );
+    const validation = await validateRes.json();
+    assert.equal(validation.maxViews, 3);
+    assert.equal(validation.viewsRemaining, 3);
+
+    for (const expectedRemaining of [2, 1, 0]) {
+      clearInflight();
+      const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+        method: "POST",
+        headers,
+      });
+      assert.equal(readRes.status, 200);
+      const payload = await readRes.json();
+      assert.equal(payload.encrypted, "aGVsbG8");
+      assert.equal(payload.viewsRemaining, expectedRemaining);
+    }
+
+    clearInflight();
+    const burned = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(burned.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("maxViews outside the allowed range is rejected", async () => {
+  const mf = await makeEnv();
+  try {
+    for (const [i, maxViews] of [0, 101, 2.5, "many"].entries()) {
+      const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+        method: "POST",
+        headers: {
+          Origin: "http://localhost:8787",
+          "Content-Type": "application/json",
+          "CF-Connecting-IP": `203.0.113.${70 + i}`,
+        },
+        body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", maxViews }),
+      });
+      assert.equal(res.status, 400, `Expected 400 for maxViews: ${maxViews}`);
+      const data = await res.json();
+      assert.equal(data.error.code, "INVALID_MAX_VIEWS");
+    }
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("DELETE with the creation deleteToken revokes an unread secret", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.80",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id, deleteToken } = await createRes.json();
+    assert.match(deleteToken, /^[A-Za-z0-9_-]{43}$/);
+
+    const missing = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "DELETE",
+      headers,
+    });
+    assert.equal(missing.status, 401);
+    assert.equal((await missing.json()).error.code, "MISSING_TOKEN");
+
+    const wrong = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "DELETE",
+      headers: { ...headers, Authorization: "Bearer " + "x".repeat(43) },
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+
+    const revoked = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "DELETE",
+      headers: { ...headers, Authorization: `Bearer ${deleteToken}` },
+    });
+    assert.equal(revoked.status, 200);
+    assert.equal((await revoked.json()).status, "revoked");
+
+    clearInflight();
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(readRes.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("status endpoint reports the lifecycle to the creator without ciphertext", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.81",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id, deleteToken } = await createRes.json();
+    const auth = { ...headers, Authorization: `Bearer ${deleteToken}` };
+
+    const unauthorized = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers,
+    });
+    assert.equal(unauthorized.status, 401);
+
+    const pending = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: auth,
+    });
+    assert.equal(pending.status, 200);
+    const pendingBody = await pending.json();
+    assert.equal(pendingBody.id, id);
+    assert.equal(pendingBody.status, "pending");
+    assert.equal(pendingBody.readAt, null);
+    assert.equal(pendingBody.encrypted, undefined);
+
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(readRes.status, 200);
+
+    const read = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: auth,
+    });
+    assert.equal(read.status, 200);
+    const readBody = await read.json();
+    assert.equal(readBody.status, "read");
+    assert.equal(readBody.viewsRemaining, 0);
+    assert.equal(typeof readBody.readAt, "number");
+    assert.equal(readBody.encrypted, undefined);
+    assert.equal(readBody.iv, undefined);
+
+    const wrong = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: { ...headers, Authorization: "Bearer " + "x".repeat(43) },
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("status endpoint reports revoked secrets", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.82",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    const { id, deleteToken } = await createRes.json();
+    const auth = { ...headers, Authorization: `Bearer ${deleteToken}` };
+
+    const revoked = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "DELETE",
+      headers: auth,
+    });
+    assert.equal(revoked.status, 200);
+
+    const statusRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: auth,
+    });
+    assert.equal(statusRes.status, 200);
+    const body = await statusRes.json();
+    assert.equal(body.status, "revoked");
+    assert.equal(body.readAt, null);
+    assert.equal(typeof body.burnedAt, "number");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("GET is a non-destructive preview; POST /reveal consumes the secret", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.83",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    const { id } = await createRes.json();
+
+    // Simulate a link unfurler fetching the URL twice
+    for (let i = 0; i < 2; i++) {
+      clearInflight();
+      const preview = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+      assert.equal(preview.status, 200);
+      const body = await preview.json();
+      assert.equal(body.status, "ready");
+      assert.equal(body.viewsRemaining, 1);
+      assert.equal(body.encrypted, undefined);
+      assert.equal(body.iv, undefined);
+    }
+
+    clearInflight();
+    const reveal = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(reveal.status, 200);
+    assert.equal((await reveal.json()).encrypted, "aGVsbG8");
+
+    clearInflight();
+    const after = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+    assert.equal(after.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("LEGACY_GET_READ keeps GET as a consuming read", async () => {
+  const mf = await makeEnv({ LEGACY_GET_READ: "true" });
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.84",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw" }),
+    });
+    const { id } = await createRes.json();
+
+    clearInflight();
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+    assert.equal(readRes.status, 200);
+    assert.equal((await readRes.json()).encrypted, "aGVsbG8");
+
+    clearInflight();
+    const secondRead = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+    assert.equal(secondRead.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("STRICT_PADDING only accepts payloads padded to a declared bucket", async () => {
+  const mf = await makeEnv({ STRICT_PADDING: "true" });
+  try {
+    let ip = 0;
+    const create = (encrypted, flags) =>
+      mf.dispatchFetch("http://localhost/api/secrets", {
+        method: "POST",
+        headers: {
+          Origin: "http://localhost:8787",
+          "CF-Connecting-IP": `203.0.113.${90 + ip++}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          encrypted,
+          iv: "aXYxMjM0NTY3ODkw",
+          ...(flags && { envelope: { v: 1, alg: "AES-256-GCM", flags } }),
+        }),
+      });
+    // Ciphertext = padded plaintext + 16-byte GCM tag
+    const sized = (plaintextBytes) => b64urlEncode(new Uint8Array(plaintextBytes + 16));
+
+    const unpadded = await create(sized(11));
+    assert.equal(unpadded.status, 400);
+    assert.equal((await unpadded.json()).error.code, "PADDING_REQUIRED");
+
+    const wrongSize = await create(sized(300), ["pad-pow2"]);
+    assert.equal((await wrongSize.json()).error.code, "PADDING_REQUIRED");
+
+    assert.equal((await create(sized(256), ["pad-pow2"])).status, 201);
+    assert.equal((await create(sized(8192), ["pad-4k"])).status, 201);
+  } finally {
+    await mf.dispose();
+  }
+});
+
+async function deriveVerifier(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: b64urlDecode(salt), iterations },
+    material,
+    256
+  );
+  return b64urlEncode(new Uint8Array(bits));
+}
+
+async function createProtectedSecret(mf, headers, passphrase) {
+  const salt = b64urlEncode(crypto.getRandomValues(new Uint8Array(16)));
+  const iterations = 100_000;
+  const verifier = await deriveVerifier(passphrase, salt, iterations);
+
+  const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      encrypted: "aGVsbG8",
+      iv: "aXYxMjM0NTY3ODkw",
+      passphrase: { salt, iterations, verifier },
+    }),
+  });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+test("passphrase-protected secret is only released through /unlock", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.85",
+    };
+    const { id } = await createProtectedSecret(mf, headers, "correct horse");
+
+    const preview = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, { headers });
+    const { passphrase } = await preview.json();
+    assert.equal(passphrase.iterations, 100_000);
+    assert.equal(passphrase.attemptsRemaining, 5);
+    assert.equal(passphrase.verifierHash, undefined);
+
+    clearInflight();
+    const reveal = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(reveal.status, 401);
+    assert.equal((await reveal.json()).error.code, "PASSPHRASE_REQUIRED");
+
+    clearInflight();
+    const wrong = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/unlock`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ verifier: await deriveVerifier("wrong", passphrase.salt, 100_000) }),
+    });
+    assert.equal(wrong.status, 403);
+    const wrongBody = await wrong.json();
+    assert.equal(wrongBody.error.code, "INVALID_PASSPHRASE");
+    assert.equal(wrongBody.error.details.attemptsRemaining, 4);
+
+    clearInflight();
+    const verifier = await deriveVerifier("correct horse", passphrase.salt, passphrase.iterations);
+    const unlocked = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/unlock`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ verifier }),
+    });
+    assert.equal(unlocked.status, 200);
+    assert.equal((await unlocked.json()).encrypted, "aGVsbG8");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("too many wrong passphrase attempts burn the secret", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.86",
+    };
+    const { id, deleteToken } = await createProtectedSecret(mf, headers, "correct horse");
+
+    let last;
+    for (let i = 0; i < 5; i++) {
+      clearInflight();
+      const res = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/unlock`, {
+        method: "POST",
+        headers: { ...headers, "Content-Type": "application/json" },
+        body: JSON.stringify({
+          verifier: b64urlEncode(crypto.getRandomValues(new Uint8Array(32))),
+        }),
+      });
+      assert.equal(res.status, 403);
+      last = await res.json();
+    }
+    assert.equal(last.error.details.attemptsRemaining, 0);
+
+    clearInflight();
+    const after = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/unlock`, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ verifier: b64urlEncode(crypto.getRandomValues(new Uint8Array(32))) }),
+    });
+    assert.equal(after.status, 404);
+
+    const status = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: { ...headers, Authorization: `Bearer ${deleteToken}` },
+    });
+    assert.equal((await status.json()).status, "locked");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("malformed passphrase parameters are rejected", async () => {
+  const mf = await makeEnv();
+  try {
+    const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        Origin: "http://localhost:8787",
+        "CF-Connecting-IP": "203.0.113.87",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        encrypted: "aGVsbG8",
+        iv: "aXYxMjM0NTY3ODkw",
+        passphrase: { salt: "short", iterations: 10, verifier: "x" },
+      }),
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, "INVALID_PASSPHRASE_PARAMS");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("notBefore secrets answer 425 until available and expire relative to availability", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.90",
+    };
+    const notBefore = Date.now() + 1500;
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        encrypted: "aGVsbG8",
+        iv: "aXYxMjM0NTY3ODkw",
+        ttl: 60 * 60 * 1000,
+        notBefore,
+      }),
+    });
+    assert.equal(createRes.status, 201);
+    const created = await createRes.json();
+    assert.equal(created.availableAt, notBefore);
+    assert.equal(created.expiresAt, notBefore + 60 * 60 * 1000);
+
+    const validate = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/validate`, {
+      headers,
+    });
+    assert.equal((await validate.json()).availableAt, notBefore);
+
+    const early = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(early.status, 425);
+    assert.ok(Number(early.headers.get("Retry-After")) >= 1);
+    const error = (await early.json()).error;
+    assert.equal(error.code, "TOO_EARLY");
+    assert.equal(error.details.availableAt, notBefore);
+
+    await new Promise((resolve) => setTimeout(resolve, notBefore - Date.now() + 50));
+
+    // The early attempt did not consume the single view
+    const onTime = await mf.dispatchFetch(`http://localhost/api/secrets/${created.id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(onTime.status, 200);
+    assert.equal((await onTime.json()).encrypted, "aGVsbG8");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("notBefore outside the allowed window is rejected", async () => {
+  const mf = await makeEnv();
+  try {
+    const res = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: {
+        Origin: "http://localhost:8787",
+        "CF-Connecting-IP": "203.0.113.91",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        encrypted: "aGVsbG8",
+        iv: "aXYxMjM0NTY3ODkw",
+        notBefore: Date.now() + 31 * 24 * 60 * 60 * 1000,
+      }),
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.code, "INVALID_NOT_BEFORE");
+  } finally {
+    await mf.dispose();
+  }
+});
+
+test("PATCH with the deleteToken moves the expiry relative to creation", async () => {
+  const mf = await makeEnv();
+  try {
+    const headers = {
+      Origin: "http://localhost:8787",
+      "CF-Connecting-IP": "203.0.113.92",
+    };
+
+    const createRes = await mf.dispatchFetch("http://localhost/api/secrets", {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ encrypted: "aGVsbG8", iv: "aXYxMjM0NTY3ODkw", ttl: 60 * 60 * 1000 }),
+    });
+    assert.equal(createRes.status, 201);
+    const { id, deleteToken } = await createRes.json();
+    const auth = {
+      ...headers,
+      Authorization: `Bearer ${deleteToken}`,
+      "Content-Type": "application/json",
+    };
+
+    const missing = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "PATCH",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify({ ttl: 2 * 60 * 60 * 1000 }),
+    });
+    assert.equal(missing.status, 401);
+
+    const tooLong = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "PATCH",
+      headers: auth,
+      body: JSON.stringify({ ttl: 8 * 24 * 60 * 60 * 1000 }),
+    });
+    assert.equal(tooLong.status, 400);
+    assert.equal((await tooLong.json()).error.code, "INVALID_TTL");
+
+    const extended = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "PATCH",
+      headers: auth,
+      body: JSON.stringify({ ttl: 2 * 24 * 60 * 60 * 1000 }),
+    });
+    assert.equal(extended.status, 200);
+    const { expiresAt } = await extended.json();
+
+    const status = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/status`, {
+      headers: auth,
+    });
+    const statusBody = await status.json();
+    assert.equal(statusBody.expiresAt, expiresAt);
+    assert.equal(expiresAt - statusBody.createdAt, 2 * 24 * 60 * 60 * 1000);
+
+    const wrong = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "PATCH",
+      headers: { ...auth, Authorization: "Bearer " + "x".repeat(43) },
+      body: JSON.stringify({ ttl: 5 * 60 * 1000 }),
+    });
+    assert.equal(wrong.status, 403);
+    assert.equal((await wrong.json()).error.code, "INVALID_TOKEN");
+
+    const readRes = await mf.dispatchFetch(`http://localhost/api/secrets/${id}/reveal`, {
+      method: "POST",
+      headers,
+    });
+    assert.equal(readRes.status, 200);
+
+    const afterRead = await mf.dispatchFetch(`http://localhost/api/secrets/${id}`, {
+      method: "PATCH",
+      headers: auth,
+      body: JSON.stringify({ ttl: 5 * 60 * 1000 }),
+    });
+    assert.equal(afterRead.status, 404);
+  } finally {
+    await mf.dispose();
+  }
+});
@@ -9,10 +9,22 @@ const CreateView = lazy(() =>
   import("./components/CreateView").then((m) => ({ default: m.CreateView }))
 );
 const ReadView = lazy(() => import("./components/ReadView").then((m) => ({ default: m.ReadView })));
+const InboxView = lazy(() =>
+  import("./components/InboxView").then((m) => ({ default: m.InboxView }))
+);
+const CombineView = lazy(() =>
+  import("./components/CombineView").then((m) => ({ default: m.CombineView }))
+);
+const RecipientView = lazy(() =>
+  import("./components/RecipientView").then((m) => ({ default: m.RecipientView }))
+);
 const Settings = lazy(() => import("./components/Settings").then((m) => ({ default: m.Settings })));
 
 const App: React.FC = () => {
   const [viewId, setViewId] = useState<string | null>(null);
+  const [inboxId, setInboxId] = useState<string | null>(null);
+  const [combine, setCombine] = useState(false);
+  const [recipient, setRecipient] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
 
   useEffect(() => {
@@ -23,6 +35,15 @@ const App: React.FC = () => {
     if (id) {
       setViewId(id);
     }
+    // `?inbox=new` opens a request-a-secret inbox, `?inbox=<id>` answers or opens one
+    const inbox = params.get("inbox");
+    if (inbox) {
+      setInboxId(inbox);
+    }
+    // `?combine` rebuilds a Shamir-split secret from its share links
+    setCombine(params.has("combine"));
+    // `?recipient` registers a public key that secrets can be sealed to
+    setRecipient(params.has("recipient"));
   }, []);
 
   return (
@@ -87,7 +108,17 @@ const App: React.FC = () => {
 
               <div className="relative z-10 p-6 sm:p-10">
                 <Suspense fallback={<LoadingSpinner size="lg" text="Loading..." />}>
-                  {viewId ? <ReadView id={viewId} /> : <CreateView />}
+                  {viewId ? (
+                    <ReadView id={viewId} />
+                  ) : inboxId ? (
+                    <InboxView id={inboxId} />
+                  ) : combine ? (
+                    <CombineView />
+                  ) : recipient ? (
+                    <RecipientView />
+                  ) : (
+                    <CreateView />
+                  )}
                 </Suspense>
               </div>
             </main>
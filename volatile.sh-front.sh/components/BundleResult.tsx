@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import { Copy, Terminal, Activity, Users, Split } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { API_BASE } from "../constants";
+import { getApiErrorMessage } from "../utils/api";
+import { copyText } from "../utils/clipboard";
+import { formatTimeRemaining } from "../utils/format";
+import { useToast } from "./Toast";
+import type { ApiBundleStatusResponse } from "../types";
+
+/**
+ * Links created together through /api/bundles: one per recipient, or one per Shamir share
+ * when `threshold` is set
+ */
+export interface Bundle {
+  id: string;
+  deleteToken: string;
+  threshold: number | null;
+  links: { id: string; label: string; link: string }[];
+}
+
+interface BundleResultProps {
+  bundle: Bundle;
+  expiresAt: number;
+  onReset: () => void;
+}
+
+export const BundleResult: React.FC<BundleResultProps> = ({ bundle, expiresAt, onReset }) => {
+  const { showToast } = useToast();
+  const [bundleStatus, setBundleStatus] = useState<Record<string, string>>({});
+  const [isCheckingStatus, setIsCheckingStatus] = useState(false);
+
+  const copyLink = async (link: string) => {
+    if (await copyText(link)) showToast("success", "Link copied to clipboard!");
+    else showToast("info", "Please copy the link manually");
+  };
+
+  // Which recipients have opened their link (never returns content)
+  const handleCheckBundleStatus = async () => {
+    setIsCheckingStatus(true);
+    try {
+      const response = await fetch(`${API_BASE}/bundles/${bundle.id}/status`, {
+        headers: { Authorization: `Bearer ${bundle.deleteToken}` },
+      });
+      if (!response.ok) {
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+
+      const status: ApiBundleStatusResponse = await response.json();
+      setBundleStatus(Object.fromEntries(status.recipients.map((r) => [r.id, r.status])));
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsCheckingStatus(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-crt-flicker">
+      <div className="border-2 border-term-green p-4 bg-term-green/5 glow-border">
+        <div className="flex items-center gap-2 mb-4 text-term-green glow-text">
+          {bundle.threshold ? (
+            <Split className="w-6 h-6" aria-hidden="true" />
+          ) : (
+            <Users className="w-6 h-6" aria-hidden="true" />
+          )}
+          <h2 className="text-xl font-bold tracking-wider">
+            {bundle.threshold ? "SHARE LINKS GENERATED" : "RECIPIENT LINKS GENERATED"}
+          </h2>
+        </div>
+
+        <div className="mb-4 text-sm font-mono space-y-1 opacity-90">
+          {bundle.threshold ? (
+            <>
+              <p>
+                &gt; ANY {bundle.threshold} OF {bundle.links.length} LINKS RECONSTRUCT THE SECRET.
+                FEWER REVEAL NOTHING.
+              </p>
+              <p>&gt; GIVE EACH SHARE TO A DIFFERENT CUSTODIAN.</p>
+              <p>&gt; COMBINE AT: {window.location.origin}/?combine</p>
+            </>
+          ) : (
+            <>
+              <p>&gt; ONE LINK PER RECIPIENT, EACH WITH ITS OWN KEY.</p>
+              <p>&gt; EACH LINK BURNS ON ITS OWN. SEND IT ONLY TO ITS LABEL.</p>
+            </>
+          )}
+          <p>&gt; EXPIRES_IN: {formatTimeRemaining(expiresAt - Date.now())}</p>
+        </div>
+
+        <ul className="space-y-3 mb-4">
+          {bundle.links.map(({ id, label, link }) => (
+            <li key={id} className="space-y-1" data-testid="recipient-link">
+              <div className="flex items-center justify-between text-xs font-mono">
+                <span className="font-bold">{label}</span>
+                {bundleStatus[id] && (
+                  <span className="text-term-green/70">{bundleStatus[id].toUpperCase()}</span>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <input
+                  readOnly
+                  value={link}
+                  onFocus={(e) => e.currentTarget.select()}
+                  className="flex-1 bg-black border border-term-green/50 px-3 py-2 text-term-green/70 font-mono text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+                  aria-label={`Link for ${label}`}
+                />
+                <TerminalButton
+                  variant="secondary"
+                  onClick={() => copyLink(link)}
+                  aria-label={`Copy link for ${label}`}
+                >
+                  <Copy size={16} aria-hidden="true" />
+                </TerminalButton>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <TerminalButton
+          variant="secondary"
+          onClick={handleCheckBundleStatus}
+          isLoading={isCheckingStatus}
+          loadingText="> QUERYING..."
+          className="w-full flex items-center justify-center gap-2"
+          aria-label="Check which recipients have read their link"
+        >
+          <Activity size={16} aria-hidden="true" />
+          CHECK READ STATUS
+        </TerminalButton>
+      </div>
+
+      <div className="flex justify-center">
+        <button
+          onClick={onReset}
+          className="text-xs text-term-green/50 hover:text-term-green hover:underline flex items-center gap-1 transition-colors px-4 py-2 border border-term-green/30 hover:border-term-green/60"
+        >
+          <Terminal size={14} aria-hidden="true" />[ ENCRYPT NEW PAYLOAD ]
+        </button>
+      </div>
+    </div>
+  );
+};
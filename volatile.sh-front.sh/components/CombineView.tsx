@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import { Split, Plus, X, Eye, FileWarning, AlertTriangle } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { API_BASE } from "../constants";
+import { getApiErrorMessage } from "../utils/api";
+import {
+  importKeyFromB64Url,
+  decryptBytes,
+  combineShares,
+  parseLinkFragment,
+} from "../utils/crypto";
+import { useToast } from "./Toast";
+
+interface ShareLink {
+  id: string;
+  key: string;
+  nonce?: string;
+  threshold: number;
+  shares: number;
+}
+
+type Phase = "COLLECT" | "COMBINING" | "REVEALED" | "ERROR";
+
+/**
+ * Parse a share link of the form `<origin>/?id=<id>#<key>[.<nonce>]`
+ */
+function parseShareLink(link: string): { id: string; key: string; nonce?: string } | null {
+  try {
+    const url = new URL(link.trim(), window.location.origin);
+    const id = url.searchParams.get("id");
+    const fragment = parseLinkFragment(url.hash.substring(1));
+    return id && /^[A-Za-z0-9]{8,64}$/.test(id) && fragment.key ? { id, ...fragment } : null;
+  } catch {
+    return null;
+  }
+}
+
+export const CombineView: React.FC = () => {
+  const { showToast } = useToast();
+  const [phase, setPhase] = useState<Phase>("COLLECT");
+  const [link, setLink] = useState("");
+  const [links, setLinks] = useState<ShareLink[]>([]);
+  const [isChecking, setIsChecking] = useState(false);
+  const [secretText, setSecretText] = useState("");
+  const [errorMsg, setErrorMsg] = useState("");
+
+  // Every share reports the split it belongs to, so the first link fixes M
+  const threshold = links[0]?.threshold ?? null;
+
+  // Preview (never burn) each link as it is added to learn its threshold
+  const addLink = async () => {
+    const parsed = parseShareLink(link);
+    if (!parsed) {
+      showToast("error", "Not a share link: expected ?id=... and a #key");
+      return;
+    }
+    if (links.some((l) => l.id === parsed.id)) {
+      showToast("warning", "This share is already in the list");
+      return;
+    }
+
+    setIsChecking(true);
+    try {
+      const response = await fetch(`${API_BASE}/secrets/${parsed.id}/validate`);
+      if (!response.ok) {
+        throw new Error(
+          response.status === 404 || response.status === 410
+            ? "This share was already used or has expired"
+            : getApiErrorMessage(undefined, response)
+        );
+      }
+
+      const data = await response.json();
+      if (!data.split) throw new Error("This link is an ordinary secret, not a share");
+      if (threshold !== null && data.split.threshold !== threshold) {
+        throw new Error("This share belongs to a different split");
+      }
+
+      setLinks([...links, { ...parsed, ...data.split }]);
+      setLink("");
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  // Burn exactly `threshold` shares; any extra links stay unread for another attempt
+  const handleCombine = async () => {
+    if (threshold === null || links.length < threshold) return;
+    setPhase("COMBINING");
+
+    try {
+      const shares: Uint8Array[] = [];
+      for (const share of links.slice(0, threshold)) {
+        // Consuming read: no retry, a lost response would leave the retry facing a burned share
+        const response = await fetch(`${API_BASE}/secrets/${share.id}/reveal`, { method: "POST" });
+        if (!response.ok) {
+          throw new Error(
+            response.status === 404
+              ? "A share was burned before it could be combined"
+              : getApiErrorMessage(undefined, response)
+          );
+        }
+
+        const { encrypted, iv, envelope, aad } = await response.json();
+        const key = await importKeyFromB64Url(share.key);
+        shares.push(
+          await decryptBytes({ iv, content: encrypted, envelope, aad }, key, share.nonce)
+        );
+      }
+
+      setSecretText(new TextDecoder().decode(combineShares(shares)));
+      setLinks([]);
+      setPhase("REVEALED");
+    } catch (err) {
+      console.error(err);
+      setErrorMsg(getApiErrorMessage(err));
+      setPhase("ERROR");
+    }
+  };
+
+  if (phase === "ERROR") {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-center border-2 border-red-500 p-6 glow-border shadow-red-500/20">
+        <FileWarning className="w-16 h-16 text-red-500 mb-4" aria-hidden="true" />
+        <h2 className="text-2xl font-bold text-red-500 mb-2">COMBINE FAILED</h2>
+        <p className="text-red-400 font-mono">&gt; {errorMsg}</p>
+        <button
+          onClick={() => (window.location.href = "/")}
+          className="mt-6 text-term-green underline hover:text-white"
+        >
+          [ RETURN TO BASE ]
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === "REVEALED") {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+          <Eye className="w-5 h-5" aria-hidden="true" />
+          RECONSTRUCTED_SECRET
+        </h2>
+        <div className="p-4 border border-term-green bg-term-green/5 min-h-[200px] whitespace-pre-wrap break-words font-mono text-lg glow-border">
+          {secretText}
+        </div>
+        <p className="text-sm text-red-400">
+          &gt; The shares used have been burned. Unused shares are still live until they expire.
+        </p>
+        <TerminalButton variant="danger" onClick={() => (window.location.href = "/")}>
+          WIPE LOCAL MEMORY
+        </TerminalButton>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+        <Split className="w-5 h-5" aria-hidden="true" />
+        COMBINE_SHARES
+      </h2>
+      <p className="text-sm opacity-85">
+        &gt; Paste share links one at a time. Each is only checked, not opened, until enough are
+        collected; the secret is then rebuilt in this browser.
+      </p>
+
+      <div className="flex gap-2">
+        <input
+          value={link}
+          onChange={(e) => setLink(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              addLink();
+            }
+          }}
+          placeholder="https://volatile.sh/?id=...#..."
+          className="flex-1 bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+          aria-label="Share link"
+          disabled={isChecking || phase === "COMBINING"}
+        />
+        <TerminalButton
+          variant="secondary"
+          onClick={addLink}
+          disabled={!link.trim() || phase === "COMBINING"}
+          isLoading={isChecking}
+          aria-label="Add share link"
+        >
+          <Plus size={16} aria-hidden="true" />
+        </TerminalButton>
+      </div>
+
+      <div className="p-4 border border-term-green/50 bg-term-green/5 text-xs font-mono space-y-2">
+        <p data-testid="share-count">
+          SHARES: {links.length}
+          {threshold !== null && ` / ${threshold} REQUIRED (OF ${links[0].shares})`}
+        </p>
+        <ul className="space-y-1">
+          {links.map((share) => (
+            <li key={share.id} className="flex items-center justify-between">
+              <span>{share.id}</span>
+              <button
+                type="button"
+                onClick={() => setLinks(links.filter((l) => l.id !== share.id))}
+                disabled={phase === "COMBINING"}
+                className="text-term-green/60 hover:text-red-500"
+                aria-label={`Remove share ${share.id}`}
+              >
+                <X size={12} aria-hidden="true" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div
+        className="p-4 border border-red-500/50 bg-red-900/10 glow-border shadow-red-500/10"
+        role="alert"
+      >
+        <div className="flex items-start gap-3 text-left">
+          <AlertTriangle className="text-red-500 w-6 h-6 shrink-0 mt-0.5" aria-hidden="true" />
+          <div className="text-red-400 text-xs">
+            <strong className="block text-sm mb-1">WARNING: SHARES BURN ON COMBINE</strong>
+            Combining consumes one view of each share used. Do not start unless every link you added
+            belongs to the same secret.
+          </div>
+        </div>
+      </div>
+
+      <TerminalButton
+        variant="danger"
+        onClick={handleCombine}
+        disabled={threshold === null || links.length < threshold}
+        isLoading={phase === "COMBINING"}
+        loadingText="> COMBINING..."
+      >
+        BURN & COMBINE
+      </TerminalButton>
+    </div>
+  );
+};
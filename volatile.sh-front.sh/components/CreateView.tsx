@@ -15,27 +15,98 @@ import {
   AlertCircle,
   Calendar,
   Clock,
+  KeyRound,
+  KeySquare,
+  Paperclip,
+  X,
+  Inbox,
 } from "lucide-react";
 import { TerminalButton } from "./TerminalButton";
+import { BundleResult, type Bundle } from "./BundleResult";
+import { MultiLinkOptions, type SplitOptions } from "./MultiLinkOptions";
+import { SenderTools } from "./SenderTools";
+import { KeyDeliveryOptions, KeyCodeNotice, type KeyDelivery } from "./KeyDeliveryOptions";
 import {
   generateKey,
-  encryptMessage,
+  encryptRaw,
+  encryptBytes,
+  createEnvelope,
+  encodeEnvelopeHeader,
+  linkFragment,
   exportKeyToB64Url,
+  createPassphraseVerifier,
+  splitSecret,
+  generateKeyCode,
+  deriveKeyFromCode,
+  KEY_CODE_KDF,
+  sealKeyToRecipient,
   MAX_PLAINTEXT_CHARS,
+  type PassphraseParams,
 } from "../utils/crypto";
-import { API_BASE } from "../constants";
-import { fetchWithRetry, getApiErrorMessage } from "../utils/api";
+import { API_BASE, MIN_VIEWS, MAX_VIEWS } from "../constants";
+import {
+  fetchWithRetry,
+  getApiErrorMessage,
+  newIdempotencyKey,
+  newDeleteToken,
+  CREATE_RETRY_CONFIG,
+} from "../utils/api";
+import { copyText } from "../utils/clipboard";
 import { useToast } from "./Toast";
 import { LoadingSpinner } from "./Loading";
 import { useSettings } from "./SettingsContext";
 import { formatTimeRemaining, formatTimestamp } from "../utils/format";
+import { MAX_FILE_BYTES, packFile, splitChunks, formatBytes } from "../utils/file";
+import type {
+  ApiBundleCreateResponse,
+  ApiCreateResponse,
+  ApiRecipientResponse,
+  Envelope,
+  RawEncryptedPayload,
+} from "../types";
+
+// Maximum encrypted size (~1MB of raw ciphertext)
+const MAX_ENCRYPTED_BYTES = 1_050_000;
+
+// Same rule as the API's recipient handles
+const RECIPIENT_HANDLE = /^[a-z0-9][a-z0-9-]{2,31}$/;
 
-// Maximum encrypted size (base64url encoded ~1MB)
-const MAX_ENCRYPTED_CHARS = 1_400_000;
+// Raw ciphertext body; the IV and options travel in X-Volatile-* headers instead of JSON
+function rawCreateRequest(
+  payload: RawEncryptedPayload,
+  ttl: number,
+  maxViews: number,
+  deleteToken: string,
+  passphrase?: PassphraseParams,
+  notBefore?: number
+): RequestInit {
+  return {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Idempotency-Key": newIdempotencyKey(),
+      "X-Volatile-Delete-Token": deleteToken,
+      "X-Volatile-IV": payload.iv,
+      "X-Volatile-TTL": String(ttl),
+      "X-Volatile-Max-Views": String(maxViews),
+      ...(passphrase && {
+        "X-Volatile-Passphrase": `${passphrase.salt}.${passphrase.iterations}.${passphrase.verifier}`,
+      }),
+      ...(notBefore && { "X-Volatile-Not-Before": String(notBefore) }),
+      ...(payload.envelope && { "X-Volatile-Envelope": encodeEnvelopeHeader(payload.envelope) }),
+      ...(payload.aad && { "X-Volatile-AAD": payload.aad }),
+    },
+    body: payload.ciphertext,
+  };
+}
 
 export const CreateView: React.FC = () => {
   const { settings, updateSetting } = useSettings();
   const [text, setText] = useState("");
+  const [file, setFile] = useState<File | null>(null);
+  const [uploadProgress, setUploadProgress] = useState<{ sent: number; total: number } | null>(
+    null
+  );
   const [isLoading, setIsLoading] = useState(false);
   const [loadingStatus, setLoadingStatus] = useState("");
   const [retryCount, setRetryCount] = useState(0);
@@ -44,13 +115,28 @@ export const CreateView: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   const [showHelp, setShowHelp] = useState(false);
   const [showPreview, setShowPreview] = useState(false);
-  const [previewData, setPreviewData] = useState<{ encrypted: string; iv: string } | null>(null);
+  const [previewData, setPreviewData] = useState<RawEncryptedPayload | null>(null);
   const [generatedId, setGeneratedId] = useState<string | null>(null);
   const [generatedKey, setGeneratedKey] = useState<CryptoKey | null>(null);
+  const [deleteToken, setDeleteToken] = useState<string | null>(null);
   const [creationTime, setCreationTime] = useState<number>(Date.now());
+  const [recipients, setRecipients] = useState<string[]>([]);
+  // M-of-N Shamir split of the text; null sends a single (or per-recipient) link
+  const [split, setSplit] = useState<SplitOptions | null>(null);
+  const [bundle, setBundle] = useState<Bundle | null>(null);
 
   // Initialize TTL from settings
   const [ttlMs, setTtlMs] = useState<number>(settings.defaultTTL);
+  const [maxViews, setMaxViews] = useState<number>(MIN_VIEWS);
+  const [passphrase, setPassphrase] = useState("");
+  // Where the reader gets the key: the link's #fragment, a separate code, or their own key pair
+  const [keyDelivery, setKeyDelivery] = useState<KeyDelivery>("link");
+  const [recipientHandle, setRecipientHandle] = useState("");
+  const [keyCode, setKeyCode] = useState<string | null>(null);
+  const [sealedTo, setSealedTo] = useState<string | null>(null);
+  // datetime-local value; the link cannot be opened before this moment
+  const [availableFrom, setAvailableFrom] = useState("");
+  const notBefore = availableFrom ? new Date(availableFrom).getTime() : undefined;
 
   // Update TTL when settings change
   useEffect(() => {
@@ -82,18 +168,101 @@ export const CreateView: React.FC = () => {
   // Reset to create new secret (without page reload)
   const handleReset = () => {
     setText("");
+    setFile(null);
     setResultLink(null);
+    setKeyCode(null);
+    setSealedTo(null);
     setCopied(false);
     setError(null);
     setShowPreview(false);
     setPreviewData(null);
     setGeneratedId(null);
     setGeneratedKey(null);
+    setDeleteToken(null);
+    setBundle(null);
+    setRecipients([]);
+    setSplit(null);
+    setPassphrase("");
+    setAvailableFrom("");
     setRetryCount(0);
     setCreationTime(Date.now());
     showToast("info", "Ready for a new secret");
   };
 
+  // Look up a recipient's registered public key; the private half never reaches the server
+  const fetchRecipientKey = async (handle: string): Promise<string> => {
+    const response = await fetch(`${API_BASE}/recipients/${encodeURIComponent(handle)}`);
+    if (!response.ok) {
+      throw new Error(
+        response.status === 404
+          ? `No public key is registered for "${handle}"`
+          : getApiErrorMessage(undefined, response)
+      );
+    }
+    const data: ApiRecipientResponse = await response.json();
+    return data.publicKey;
+  };
+
+  // Fresh key for a single-link secret: random, derived from a new key code, or agreed
+  // with a recipient's public key. Derived keys say how in their envelope kdf.
+  const newSecretKey = async (): Promise<{ key: CryptoKey; kdf?: Envelope["kdf"] }> => {
+    let sealed: { key: CryptoKey; kdf?: Envelope["kdf"] };
+    if (keyDelivery === "recipient") {
+      const handle = recipientHandle.trim().toLowerCase();
+      if (!RECIPIENT_HANDLE.test(handle)) {
+        throw new Error("Enter the recipient's handle (3-32 letters, digits or dashes)");
+      }
+      sealed = await sealKeyToRecipient(handle, await fetchRecipientKey(handle));
+      setSealedTo(handle);
+    } else if (keyDelivery === "code") {
+      const code = generateKeyCode();
+      setKeyCode(code);
+      sealed = { key: await deriveKeyFromCode(code), kdf: KEY_CODE_KDF };
+    } else {
+      sealed = { key: await generateKey() };
+    }
+    setGeneratedKey(sealed.key);
+    return sealed;
+  };
+
+  // Padding scheme from settings; pow2 could double a large file, so files use 4 KB blocks
+  const paddingFlags = (forFile = false) =>
+    settings.padding === "off" ? [] : [`pad-${forFile ? "4k" : settings.padding}`];
+
+  // Derived keys say so in their envelope, so readers know how to get the key back
+  const secretEnvelope = (kdf?: Envelope["kdf"], forFile = false) =>
+    createEnvelope({
+      ...(kdf && { kdf }),
+      flags: paddingFlags(forFile),
+    });
+
+  // Text is deflated before encryption, so the server limit applies to what is actually sent
+  const sealText = async (key: CryptoKey, kdf?: Envelope["kdf"]) => {
+    if (text.length > MAX_PLAINTEXT_CHARS) {
+      throw new Error(
+        `Text too large (${text.length.toLocaleString()} chars). Maximum is ${MAX_PLAINTEXT_CHARS.toLocaleString()} chars.`
+      );
+    }
+    const sealed = await encryptRaw(new TextEncoder().encode(text), key, secretEnvelope(kdf), {
+      compress: true,
+    });
+    if (sealed.ciphertext.length > MAX_ENCRYPTED_BYTES) {
+      throw new Error(
+        `Secret too large even after compression (${formatBytes(sealed.ciphertext.length)}). Please reduce input text.`
+      );
+    }
+    return sealed;
+  };
+
+  // The fragment holds the key and the AAD nonce that ties the payload to this link.
+  // Key-code links leave the key out (the code travels on another channel), as do recipient
+  // links (the recipient's private key recovers it); both still carry the nonce.
+  const secretLink = async (id: string, key: CryptoKey, aad?: string): Promise<string> => {
+    const keyPart = keyDelivery === "link" ? await exportKeyToB64Url(key) : "";
+    const fragment = linkFragment(keyPart, aad);
+    return `${window.location.origin}/?id=${id}${fragment ? `#${fragment}` : ""}`;
+  };
+
   // Regenerate with new encryption key (keeps same text)
   const handleRegenerate = async () => {
     if (!text.trim()) return;
@@ -107,17 +276,11 @@ export const CreateView: React.FC = () => {
     try {
       // Generate new key
       setLoadingStatus("GENERATING_KEY");
-      const key = await generateKey();
-      setGeneratedKey(key);
+      const { key, kdf } = await newSecretKey();
 
       // Encrypt with new key
       setLoadingStatus("ENCRYPTING");
-      const encryptedPayload = await encryptMessage(text, key);
-
-      setPreviewData({
-        encrypted: encryptedPayload.content,
-        iv: encryptedPayload.iv,
-      });
+      setPreviewData(await sealText(key, kdf));
       setShowPreview(true);
       setLoadingStatus("");
       showToast("success", "New encryption key generated");
@@ -139,25 +302,11 @@ export const CreateView: React.FC = () => {
     setError(null);
 
     try {
-      if (text.length > MAX_PLAINTEXT_CHARS) {
-        const errorMsg = `Text too large (${text.toLocaleString()} chars). Maximum is ${MAX_PLAINTEXT_CHARS.toLocaleString()} chars.`;
-        setError(errorMsg);
-        showToast("error", errorMsg);
-        setIsLoading(false);
-        return;
-      }
-
       setLoadingStatus("GENERATING_KEY");
-      const key = await generateKey();
-      setGeneratedKey(key);
+      const { key, kdf } = await newSecretKey();
 
       setLoadingStatus("ENCRYPTING");
-      const encryptedPayload = await encryptMessage(text, key);
-
-      setPreviewData({
-        encrypted: encryptedPayload.content,
-        iv: encryptedPayload.iv,
-      });
+      setPreviewData(await sealText(key, kdf));
       setShowPreview(true);
       setLoadingStatus("");
       showToast("success", "Preview ready - click confirm to upload");
@@ -171,55 +320,35 @@ export const CreateView: React.FC = () => {
     }
   };
 
-  // Finalize upload (from preview state)
-  const handleFinalizeUpload = async () => {
-    if (!previewData || !generatedKey) return;
+  const showRetry = (attempt: number, maxRetries: number, delay: number) => {
+    setRetryCount(attempt);
+    showToast(
+      "warning",
+      `Retrying upload... (${attempt}/${maxRetries}) - waiting ${(delay / 1000).toFixed(1)}s`,
+      2000
+    );
+  };
+
+  // Only a PBKDF2 verifier leaves the browser, never the passphrase itself
+  const passphraseVerifier = async () =>
+    passphrase ? await createPassphraseVerifier(passphrase) : undefined;
 
+  // Every single-link flow ends here: `store` seals and uploads the secret, then its ID
+  // and key become the result link
+  const uploadAndLink = async (
+    store: () => Promise<{ id: string; deleteToken: string; key: CryptoKey; aad?: string }>
+  ) => {
     setIsLoading(true);
     setError(null);
+    setRetryCount(0);
 
     try {
-      setLoadingStatus("UPLOADING");
-      const response = await fetchWithRetry(`${API_BASE}/secrets`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          encrypted: previewData.encrypted,
-          iv: previewData.iv,
-          ttl: ttlMs,
-        }),
-        retryConfig: {
-          maxRetries: 3,
-          initialDelay: 1000,
-        },
-        onRetry: (attempt, maxRetries, delay) => {
-          setRetryCount(attempt);
-          showToast(
-            "warning",
-            `Retrying upload... (${attempt}/${maxRetries}) - waiting ${(delay / 1000).toFixed(1)}s`,
-            2000
-          );
-        },
-      });
-
-      if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        if (data.error === "SECRET_TOO_LARGE") {
-          throw new Error("Secret too large - please reduce the text size");
-        }
-        if (data.error === "RATE_LIMITED") {
-          throw new Error("Too many requests - please wait a moment");
-        }
-        throw new Error(`Server error: ${response.status}`);
-      }
-
-      const { id } = await response.json();
+      const { id, deleteToken: token, key, aad } = await store();
       setGeneratedId(id);
+      setDeleteToken(token);
 
       setLoadingStatus("FINALIZING");
-      const hash = await exportKeyToB64Url(generatedKey);
-      const link = `${window.location.origin}/?id=${id}#${hash}`;
-      setResultLink(link);
+      setResultLink(await secretLink(id, key, aad));
       setShowPreview(false);
       showToast("success", "Secure link generated successfully!");
     } catch (err) {
@@ -230,97 +359,230 @@ export const CreateView: React.FC = () => {
     } finally {
       setIsLoading(false);
       setLoadingStatus("");
+      setUploadProgress(null);
       setRetryCount(0);
     }
   };
 
-  const handleEncrypt = async () => {
-    if (!text.trim()) return;
+  // Text secrets go up as one raw request
+  const uploadText = async (payload: RawEncryptedPayload) => {
+    const passphraseParams = await passphraseVerifier();
+    const deleteToken = newDeleteToken();
 
-    // Use preview mode if enabled in settings
-    if (settings.showPreview) {
-      await handlePreviewEncrypt();
-      return;
+    setLoadingStatus("UPLOADING");
+    const response = await fetchWithRetry(`${API_BASE}/secrets`, {
+      ...rawCreateRequest(payload, ttlMs, maxViews, deleteToken, passphraseParams, notBefore),
+      retryConfig: CREATE_RETRY_CONFIG,
+      onRetry: showRetry,
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (data.error === "SECRET_TOO_LARGE") {
+        throw new Error("Secret too large - please reduce the text size");
+      }
+      if (data.error === "RATE_LIMITED") {
+        throw new Error("Too many requests - please wait a moment");
+      }
+      throw new Error(`Server error: ${response.status}`);
     }
+    // A replayed create omits the token, so the one sent with the request is kept instead
+    const { id }: ApiCreateResponse = await response.json();
+    return { id, deleteToken };
+  };
 
-    setIsLoading(true);
-    setError(null);
-    setRetryCount(0);
+  // Finalize upload (from preview state)
+  const handleFinalizeUpload = async () => {
+    if (!previewData || !generatedKey) return;
+
+    const [payload, key] = [previewData, generatedKey];
+    await uploadAndLink(async () => ({ ...(await uploadText(payload)), key, aad: payload.aad }));
+  };
+
+  // File attachments: name and type are packed inside the ciphertext, then uploaded in chunks
+  const handleFileUpload = (selected: File) =>
+    uploadAndLink(async () => {
+      const retryOptions = {
+        retryConfig: {
+          maxRetries: 3,
+          initialDelay: 1000,
+        },
+        onRetry: showRetry,
+      };
 
-    try {
       // 1. Validate size before encryption
-      if (text.length > MAX_PLAINTEXT_CHARS) {
-        const errorMsg = `Text too large (${text.toLocaleString()} chars). Maximum is ${MAX_PLAINTEXT_CHARS.toLocaleString()} chars.`;
-        setError(errorMsg);
-        showToast("error", errorMsg);
-        setIsLoading(false);
-        return;
+      if (selected.size > MAX_FILE_BYTES) {
+        throw new Error(
+          `File too large (${formatBytes(selected.size)}). Maximum is ${formatBytes(MAX_FILE_BYTES)}.`
+        );
       }
 
       // 2. Generate Key
       setLoadingStatus("GENERATING_KEY");
-      const key = await generateKey();
-      setGeneratedKey(key);
+      const { key, kdf } = await newSecretKey();
 
-      // 3. Encrypt Locally
+      // 3. Pack metadata with the file bytes and encrypt locally
       setLoadingStatus("ENCRYPTING");
-      const encryptedPayload = await encryptMessage(text, key);
-
-      // 4. Check encrypted size
-      if (encryptedPayload.content.length > MAX_ENCRYPTED_CHARS) {
-        const errorMsg = "Encrypted data too large. Please reduce input text.";
-        setError(errorMsg);
-        showToast("error", errorMsg);
-        setIsLoading(false);
-        return;
-      }
+      const packed = packFile(
+        { name: selected.name, type: selected.type, size: selected.size },
+        new Uint8Array(await selected.arrayBuffer())
+      );
+      const encryptedPayload = await encryptBytes(packed, key, secretEnvelope(kdf, true));
+      const chunks = splitChunks(encryptedPayload.content);
 
-      // 5. Send to Server with retry logic
+      // 4. Open the upload
+      const passphraseParams = await passphraseVerifier();
+      const deleteToken = newDeleteToken();
       setLoadingStatus("UPLOADING");
       const response = await fetchWithRetry(`${API_BASE}/secrets`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "application/json", "Idempotency-Key": newIdempotencyKey() },
         body: JSON.stringify({
-          encrypted: encryptedPayload.content,
           iv: encryptedPayload.iv,
+          envelope: encryptedPayload.envelope,
+          aad: encryptedPayload.aad,
+          chunks: chunks.length,
+          kind: "file",
           ttl: ttlMs,
+          maxViews,
+          passphrase: passphraseParams,
+          notBefore,
+          deleteToken,
         }),
-        retryConfig: {
-          maxRetries: 3,
-          initialDelay: 1000,
-        },
-        onRetry: (attempt, maxRetries, delay) => {
-          setRetryCount(attempt);
-          showToast(
-            "warning",
-            `Retrying upload... (${attempt}/${maxRetries}) - waiting ${(delay / 1000).toFixed(1)}s`,
-            2000
-          );
-        },
+        ...retryOptions,
+        retryConfig: CREATE_RETRY_CONFIG,
       });
-
       if (!response.ok) {
-        const data = await response.json().catch(() => ({}));
-        if (data.error === "SECRET_TOO_LARGE") {
-          throw new Error("Secret too large - please reduce the text size");
-        }
-        if (data.error === "RATE_LIMITED") {
-          throw new Error("Too many requests - please wait a moment");
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+
+      // Chunks are authorized by our own token, which a replayed create does not repeat
+      const { id }: ApiCreateResponse = await response.json();
+      const auth = { Authorization: `Bearer ${deleteToken}` };
+
+      // 5. Send each chunk, then seal the upload so it becomes readable
+      setUploadProgress({ sent: 0, total: chunks.length });
+      for (let i = 0; i < chunks.length; i++) {
+        const chunkResponse = await fetchWithRetry(`${API_BASE}/secrets/${id}/chunks/${i}`, {
+          method: "PUT",
+          headers: { ...auth, "Content-Type": "application/json" },
+          body: JSON.stringify({ data: chunks[i] }),
+          ...retryOptions,
+        });
+        if (!chunkResponse.ok) {
+          throw new Error(getApiErrorMessage(undefined, chunkResponse));
         }
-        throw new Error(`Server error: ${response.status}`);
+        setUploadProgress({ sent: i + 1, total: chunks.length });
       }
 
-      const { id } = await response.json();
-      setGeneratedId(id);
+      const finalizeResponse = await fetchWithRetry(`${API_BASE}/secrets/${id}/finalize`, {
+        method: "POST",
+        headers: auth,
+        ...retryOptions,
+      });
+      if (!finalizeResponse.ok) {
+        throw new Error(getApiErrorMessage(undefined, finalizeResponse));
+      }
 
-      // 6. Export Key for URL
-      setLoadingStatus("FINALIZING");
-      const hash = await exportKeyToB64Url(key);
+      return { id, deleteToken, key, aad: encryptedPayload.aad };
+    });
 
-      // 7. Construct Link
-      const link = `${window.location.origin}/?id=${id}#${hash}`;
-      setResultLink(link);
-      showToast("success", "Secure link generated successfully!");
+  // One link per recipient, each under its own key, so a forwarded link exposes only that copy
+  const handleBundleEncrypt = async () => {
+    await sealBundle((plaintext) => recipients.map((label) => ({ label, bytes: plaintext })));
+  };
+
+  // M-of-N custody: each link carries one Shamir share, never the text itself
+  const handleSplitEncrypt = async () => {
+    if (!split) return;
+    await sealBundle(
+      (plaintext) =>
+        splitSecret(plaintext, split.threshold, split.shares).map((bytes, i) => ({
+          label: `Share ${i + 1}`,
+          bytes,
+        })),
+      split.threshold
+    );
+  };
+
+  // Encrypt every part under its own key and store them together through /api/bundles
+  const sealBundle = async (
+    toParts: (plaintext: Uint8Array) => { label: string; bytes: Uint8Array }[],
+    threshold?: number
+  ) => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      if (file || passphrase || notBefore || keyDelivery !== "link") {
+        throw new Error(
+          "Multi-link secrets support text only, without a passphrase, start time, key code or recipient key"
+        );
+      }
+      if (split && recipients.length > 0) {
+        throw new Error("Choose either recipients or shares, not both");
+      }
+
+      // Bundle parts share one envelope, so they are sealed without compression
+      setLoadingStatus("ENCRYPTING");
+      const envelope = createEnvelope({ flags: paddingFlags() });
+      const sealed = await Promise.all(
+        toParts(new TextEncoder().encode(text)).map(async ({ label, bytes }) => {
+          const key = await generateKey();
+          const { iv, content, aad } = await encryptBytes(bytes, key, envelope);
+          return { label, key, iv, aad, encrypted: content };
+        })
+      );
+      // base64url carries 3 bytes per 4 characters
+      if (sealed.some(({ encrypted }) => (encrypted.length * 3) / 4 > MAX_ENCRYPTED_BYTES)) {
+        throw new Error("Secret too large. Please reduce input text.");
+      }
+
+      // No retries: the bundle endpoint has no Idempotency-Key, and a duplicate would orphan links
+      setLoadingStatus("UPLOADING");
+      const response = await fetch(`${API_BASE}/bundles`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          recipients: sealed.map(({ label, iv, aad, encrypted }) => ({
+            label,
+            iv,
+            aad,
+            encrypted,
+          })),
+          envelope,
+          ttl: ttlMs,
+          maxViews,
+          ...(threshold && { threshold }),
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+      const created: ApiBundleCreateResponse = await response.json();
+
+      setLoadingStatus("FINALIZING");
+      const links = await Promise.all(
+        created.recipients.map(async ({ id, label }, i) => ({
+          id,
+          label,
+          link: `${window.location.origin}/?id=${id}#${linkFragment(
+            await exportKeyToB64Url(sealed[i].key),
+            sealed[i].aad
+          )}`,
+        }))
+      );
+      setBundle({
+        id: created.id,
+        deleteToken: created.deleteToken,
+        threshold: created.threshold,
+        links,
+      });
+      setCreationTime(Date.now());
+      showToast(
+        "success",
+        `${links.length} ${created.threshold ? "share" : "recipient"} links generated`
+      );
     } catch (err) {
       console.error(err);
       const errorMsg = getApiErrorMessage(err);
@@ -329,53 +591,63 @@ export const CreateView: React.FC = () => {
     } finally {
       setIsLoading(false);
       setLoadingStatus("");
-      setRetryCount(0);
     }
   };
 
-  const copyToClipboard = async () => {
-    if (!resultLink) return;
+  const handleEncrypt = async () => {
+    if (split) {
+      await handleSplitEncrypt();
+      return;
+    }
 
-    try {
-      if (navigator.clipboard && window.isSecureContext) {
-        await navigator.clipboard.writeText(resultLink);
-        setCopied(true);
-        showToast("success", "Link copied to clipboard!");
-        setTimeout(() => setCopied(false), 4000);
-      } else {
-        fallbackCopy(resultLink);
-      }
-    } catch (err) {
-      console.error("Clipboard error:", err);
-      fallbackCopy(resultLink);
+    if (recipients.length > 0) {
+      await handleBundleEncrypt();
+      return;
+    }
+
+    if (file) {
+      await handleFileUpload(file);
+      return;
     }
+
+    if (!text.trim()) return;
+
+    // Use preview mode if enabled in settings
+    if (settings.showPreview) {
+      await handlePreviewEncrypt();
+      return;
+    }
+
+    await uploadAndLink(async () => {
+      // 1. Generate Key
+      setLoadingStatus("GENERATING_KEY");
+      const { key, kdf } = await newSecretKey();
+
+      // 2. Compress and encrypt locally, then check the size that will be sent
+      setLoadingStatus("ENCRYPTING");
+      const encryptedPayload = await sealText(key, kdf);
+
+      // 3. Send to Server with retry logic
+      return { ...(await uploadText(encryptedPayload)), key, aad: encryptedPayload.aad };
+    });
   };
 
-  const fallbackCopy = (value: string) => {
-    try {
-      const textarea = document.createElement("textarea");
-      textarea.value = value;
-      textarea.setAttribute("readonly", "");
-      textarea.setAttribute("aria-label", "Temporary clipboard textarea");
-      textarea.style.position = "fixed";
-      textarea.style.top = "-1000px";
-      textarea.style.left = "-1000px";
-      document.body.appendChild(textarea);
-      textarea.select();
-      const ok = document.execCommand("copy");
-      document.body.removeChild(textarea);
-      if (ok) {
-        setCopied(true);
-        showToast("success", "Link copied to clipboard!");
-        setTimeout(() => setCopied(false), 4000);
-      } else {
-        showToast("info", "Please copy the link manually");
-      }
-    } catch (err) {
+  const copyToClipboard = async () => {
+    if (!resultLink) return;
+
+    if (await copyText(resultLink)) {
+      setCopied(true);
+      showToast("success", "Link copied to clipboard!");
+      setTimeout(() => setCopied(false), 4000);
+    } else {
       showToast("info", "Please copy the link manually");
     }
   };
 
+  if (bundle) {
+    return <BundleResult bundle={bundle} expiresAt={creationTime + ttlMs} onReset={handleReset} />;
+  }
+
   // Preview mode UI
   if (showPreview && previewData) {
     return (
@@ -394,7 +666,7 @@ export const CreateView: React.FC = () => {
             <div className="p-2 border border-term-green/30">
               <span className="text-term-green/60">ENCRYPTED SIZE:</span>
               <span className="text-term-green ml-2">
-                {previewData.encrypted.length.toLocaleString()} chars
+                {formatBytes(previewData.ciphertext.length)}
               </span>
             </div>
             <div className="p-2 border border-term-green/30">
@@ -406,6 +678,14 @@ export const CreateView: React.FC = () => {
                 {ttlMs === 7 * 24 * 60 * 60 * 1000 && "7 DAYS"}
               </span>
             </div>
+            <div className="p-2 border border-term-green/30">
+              <span className="text-term-green/60">VIEWS:</span>
+              <span className="text-term-green ml-2">{maxViews}</span>
+            </div>
+            <div className="p-2 border border-term-green/30">
+              <span className="text-term-green/60">PASSPHRASE:</span>
+              <span className="text-term-green ml-2">{passphrase ? "REQUIRED" : "NONE"}</span>
+            </div>
           </div>
 
           <div className="bg-term-green/5 p-3 border border-term-green/30 mb-4">
@@ -437,7 +717,8 @@ export const CreateView: React.FC = () => {
   }
 
   if (resultLink) {
-    const expiresAt = creationTime + ttlMs;
+    // Delayed secrets start their TTL at the availability time
+    const expiresAt = (notBefore ?? creationTime) + ttlMs;
     const timeRemaining = expiresAt - Date.now();
 
     return (
@@ -450,9 +731,17 @@ export const CreateView: React.FC = () => {
 
           <div className="mb-4 text-sm font-mono space-y-1 opacity-90">
             <p>&gt; PAYLOAD ENCRYPTED IN RAM.</p>
-            <p>&gt; DECRYPTION KEY EMBEDDED IN FRAGMENT.</p>
+            <p>
+              {keyCode
+                ? "> DECRYPTION KEY IS THE CODE BELOW - NOT IN THE LINK."
+                : sealedTo
+                  ? `> SEALED TO ${sealedTo.toUpperCase()}'S PUBLIC KEY - NO KEY IN THE LINK.`
+                  : "> DECRYPTION KEY EMBEDDED IN FRAGMENT."}
+            </p>
             <p className="text-red-500 font-bold bg-red-900/10 inline-block px-1 mt-1 border border-red-500/30">
-              WARNING: LINK WILL SELF-DESTRUCT AFTER ONE VIEW.
+              {maxViews === 1
+                ? "WARNING: LINK WILL SELF-DESTRUCT AFTER ONE VIEW."
+                : `WARNING: LINK WILL SELF-DESTRUCT AFTER ${maxViews} VIEWS.`}
             </p>
           </div>
 
@@ -473,6 +762,22 @@ export const CreateView: React.FC = () => {
               <span className="text-term-green/70">EXPIRES_IN:</span>
               <span className="text-term-green ml-auto">{formatTimeRemaining(timeRemaining)}</span>
             </div>
+            {passphrase && (
+              <div className="flex items-center gap-2">
+                <KeyRound className="w-4 h-4 text-term-green/70" aria-hidden="true" />
+                <span className="text-term-green/70">PASSPHRASE:</span>
+                <span className="text-term-green ml-auto">REQUIRED - SHARE IT SEPARATELY</span>
+              </div>
+            )}
+            {notBefore && (
+              <div className="flex items-center gap-2">
+                <Calendar className="w-4 h-4 text-term-green/70" aria-hidden="true" />
+                <span className="text-term-green/70">AVAILABLE_FROM:</span>
+                <span className="text-term-green ml-auto" data-testid="available-from">
+                  {formatTimestamp(notBefore)}
+                </span>
+              </div>
+            )}
           </div>
 
           <div className="space-y-3">
@@ -507,6 +812,12 @@ export const CreateView: React.FC = () => {
                 </>
               )}
             </TerminalButton>
+
+            {keyCode && <KeyCodeNotice code={keyCode} />}
+
+            {generatedId && deleteToken && (
+              <SenderTools key={generatedId} id={generatedId} deleteToken={deleteToken} />
+            )}
           </div>
         </div>
 
@@ -619,7 +930,7 @@ export const CreateView: React.FC = () => {
           placeholder="> INPUT_PAYLOAD_ (Ctrl+Enter to encrypt)"
           maxLength={MAX_PLAINTEXT_CHARS}
           className="w-full min-h-[280px] max-h-[60vh] sm:max-h-[60vh] bg-black border-2 border-term-green p-5 text-term-green font-mono text-xl resize-y placeholder-term-green/20 focus:outline-none focus:shadow-[0_0_15px_rgba(51,255,0,0.3)] transition-shadow glow-border"
-          disabled={isLoading}
+          disabled={isLoading || !!file}
           aria-describedby="char-count keyboard-hint"
           aria-label="Secret message input"
         />
@@ -628,6 +939,54 @@ export const CreateView: React.FC = () => {
         </div>
       </div>
 
+      {/* File attachment (replaces the text payload while selected) */}
+      <div className="flex items-center gap-3 text-xs">
+        <label
+          htmlFor="file-input"
+          className="flex items-center gap-2 cursor-pointer text-term-green/70 hover:text-term-green px-3 py-1 border border-term-green/30 hover:border-term-green/60"
+        >
+          <Paperclip size={14} aria-hidden="true" />
+          ATTACH_FILE
+          <input
+            id="file-input"
+            type="file"
+            className="sr-only"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] ?? null);
+              e.target.value = "";
+            }}
+            disabled={isLoading}
+            aria-label={`Attach a file up to ${formatBytes(MAX_FILE_BYTES)}`}
+          />
+        </label>
+        {file ? (
+          <span className="flex items-center gap-2 text-term-green" data-testid="attached-file">
+            {file.name} ({formatBytes(file.size)})
+            <button
+              type="button"
+              onClick={() => setFile(null)}
+              disabled={isLoading}
+              className="text-term-green/60 hover:text-red-500"
+              aria-label="Remove attached file"
+            >
+              <X size={14} aria-hidden="true" />
+            </button>
+          </span>
+        ) : (
+          <span className="text-term-green/40">
+            Up to {formatBytes(MAX_FILE_BYTES)}, encrypted with its name and type
+          </span>
+        )}
+      </div>
+
+      <MultiLinkOptions
+        recipients={recipients}
+        onRecipientsChange={setRecipients}
+        split={split}
+        onSplitChange={setSplit}
+        disabled={isLoading}
+      />
+
       {error && (
         <div
           className="p-3 border border-red-500 text-red-500 bg-red-900/10 text-sm font-bold glow-border shadow-red-900/20 animate-fade-in"
@@ -651,7 +1010,10 @@ export const CreateView: React.FC = () => {
               <p className="text-term-green font-mono text-sm">
                 {loadingStatus === "GENERATING_KEY" && "GENERATING_ENCRYPTION_KEY..."}
                 {loadingStatus === "ENCRYPTING" && "ENCRYPTING_PAYLOAD..."}
-                {loadingStatus === "UPLOADING" && "UPLOADING_TO_VAULT..."}
+                {loadingStatus === "UPLOADING" &&
+                  (uploadProgress
+                    ? `UPLOADING_CHUNK ${uploadProgress.sent}/${uploadProgress.total}...`
+                    : "UPLOADING_TO_VAULT...")}
                 {loadingStatus === "FINALIZING" && "FINALIZING_SECURE_LINK..."}
               </p>
               {retryCount > 0 && (
@@ -672,6 +1034,22 @@ export const CreateView: React.FC = () => {
             <Flame size={12} aria-hidden="true" />
             <span>Volatile Memory Storage</span>
           </div>
+          <a
+            href="/?inbox=new"
+            className="flex items-center gap-1 mt-1 underline hover:text-white"
+            aria-label="Request a secret from someone else"
+          >
+            <Inbox size={12} aria-hidden="true" />
+            <span>Request a secret instead</span>
+          </a>
+          <a
+            href="/?recipient"
+            className="flex items-center gap-1 mt-1 underline hover:text-white"
+            aria-label="Register a public key that secrets can be sealed to"
+          >
+            <KeySquare size={12} aria-hidden="true" />
+            <span>Register a recipient key</span>
+          </a>
         </div>
         <div className="flex items-center gap-3">
           <label htmlFor="ttl-select" className="text-xs opacity-70 flex items-center gap-2">
@@ -690,10 +1068,62 @@ export const CreateView: React.FC = () => {
               <option value={7 * 24 * 60 * 60 * 1000}>7 DAYS</option>
             </select>
           </label>
+          <label htmlFor="views-input" className="text-xs opacity-70 flex items-center gap-2">
+            VIEWS
+            <input
+              id="views-input"
+              type="number"
+              min={MIN_VIEWS}
+              max={MAX_VIEWS}
+              value={maxViews}
+              onChange={(e) => {
+                const n = parseInt(e.target.value, 10);
+                setMaxViews(
+                  Number.isFinite(n) ? Math.min(Math.max(n, MIN_VIEWS), MAX_VIEWS) : MIN_VIEWS
+                );
+              }}
+              className="w-16 bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+              disabled={isLoading}
+              aria-label="Number of views before the secret is burned"
+            />
+          </label>
+          <label htmlFor="passphrase-input" className="text-xs opacity-70 flex items-center gap-2">
+            PASSPHRASE
+            <input
+              id="passphrase-input"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="OPTIONAL"
+              autoComplete="new-password"
+              className="w-28 bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+              disabled={isLoading}
+              aria-label="Optional passphrase the recipient must enter"
+            />
+          </label>
+          <label htmlFor="not-before-input" className="text-xs opacity-70 flex items-center gap-2">
+            NOT_BEFORE
+            <input
+              id="not-before-input"
+              type="datetime-local"
+              value={availableFrom}
+              onChange={(e) => setAvailableFrom(e.target.value)}
+              className="bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+              disabled={isLoading}
+              aria-label="Optional time before which the link cannot be opened"
+            />
+          </label>
+          <KeyDeliveryOptions
+            delivery={keyDelivery}
+            onDeliveryChange={setKeyDelivery}
+            handle={recipientHandle}
+            onHandleChange={setRecipientHandle}
+            disabled={isLoading}
+          />
         </div>
         <TerminalButton
           onClick={handleEncrypt}
-          disabled={!text || isLoading}
+          disabled={(!text && !file) || isLoading}
           isLoading={isLoading}
           aria-label="Generate secure link"
         >
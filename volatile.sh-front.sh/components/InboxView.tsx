@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Inbox, Send, Copy, Check, Lock, Skull, Clock, FileWarning, Eye } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { API_BASE } from "../constants";
+import { getApiErrorMessage } from "../utils/api";
+import { generateInboxKeyPair, exportPublicKey, sealToInbox, openSealed } from "../utils/inbox";
+import { createEnvelope } from "../utils/crypto";
+import { saveInbox, loadInbox, deleteInbox, type InboxRecord } from "../utils/keystore";
+import { useToast } from "./Toast";
+import { LoadingSpinner } from "./Loading";
+import { useSettings } from "./SettingsContext";
+import { formatTimestamp } from "../utils/format";
+import type { ApiInboxCreateResponse, ApiInboxStatusResponse } from "../types";
+
+interface InboxViewProps {
+  id: string; // "new" opens the requester's create screen
+}
+
+type Phase =
+  "LOADING" | "CREATE" | "OWNER" | "RESPOND" | "SENT" | "OPENED" | "GONE" | "EXPIRED" | "ERROR";
+
+function inboxLink(id: string, publicKey: string): string {
+  return `${window.location.origin}/?inbox=${id}#${publicKey}`;
+}
+
+export const InboxView: React.FC<InboxViewProps> = ({ id }) => {
+  const { settings } = useSettings();
+  const { showToast } = useToast();
+  const [phase, setPhase] = useState<Phase>(id === "new" ? "CREATE" : "LOADING");
+  const [record, setRecord] = useState<InboxRecord | null>(null);
+  const [inboxStatus, setInboxStatus] = useState<ApiInboxStatusResponse | null>(null);
+  const [ttlMs, setTtlMs] = useState<number>(settings.defaultTTL);
+  const [text, setText] = useState("");
+  const [secretText, setSecretText] = useState("");
+  const [errorMsg, setErrorMsg] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // The owner is whoever holds the private key in IndexedDB; everyone else is a responder
+  const refresh = useCallback(async () => {
+    if (id === "new") return;
+    try {
+      const owned = await loadInbox(id).catch(() => null);
+      setRecord(owned);
+
+      const response = await fetch(`${API_BASE}/inboxes/${id}`);
+      if (response.status === 404) {
+        if (owned) await deleteInbox(id);
+        setPhase("GONE");
+        return;
+      }
+      if (response.status === 410) {
+        if (owned) await deleteInbox(id);
+        setPhase("EXPIRED");
+        return;
+      }
+      if (!response.ok) throw new Error(getApiErrorMessage(undefined, response));
+
+      const status: ApiInboxStatusResponse = await response.json();
+      setInboxStatus(status);
+      if (owned) {
+        setPhase("OWNER");
+      } else if (status.status === "filled") {
+        setPhase("SENT");
+      } else if (!window.location.hash.substring(1)) {
+        setErrorMsg("MISSING INBOX PUBLIC KEY IN URL FRAGMENT");
+        setPhase("ERROR");
+      } else {
+        setPhase("RESPOND");
+      }
+    } catch (err) {
+      console.error(err);
+      setErrorMsg(getApiErrorMessage(err));
+      setPhase("ERROR");
+    }
+  }, [id]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleCreate = async () => {
+    setIsBusy(true);
+    try {
+      const pair = await generateInboxKeyPair();
+      const publicKey = await exportPublicKey(pair.publicKey);
+
+      // No retry: a lost response would leave an orphan inbox whose owner token nobody holds
+      const response = await fetch(`${API_BASE}/inboxes`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ttl: ttlMs }),
+      });
+      if (!response.ok) throw new Error(getApiErrorMessage(undefined, response));
+      const created: ApiInboxCreateResponse = await response.json();
+
+      const owned: InboxRecord = {
+        id: created.id,
+        privateKey: pair.privateKey,
+        publicKey,
+        ownerToken: created.ownerToken,
+        expiresAt: created.expiresAt,
+      };
+      await saveInbox(owned);
+
+      // Bookmarkable: reopening this URL in the same browser shows the owner view
+      history.replaceState(null, "", `/?inbox=${created.id}#${publicKey}`);
+      setRecord(owned);
+      setInboxStatus({
+        id: created.id,
+        status: "open",
+        createdAt: Date.now(),
+        expiresAt: created.expiresAt,
+        filledAt: null,
+      });
+      setPhase("OWNER");
+      showToast("success", "Inbox created - send the link to the person with the secret");
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!text) return;
+    setIsBusy(true);
+    try {
+      // Same length-hiding padding as a new secret, so the reply size only shows a bucket
+      const flags = settings.padding === "off" ? [] : [`pad-${settings.padding}`];
+      const sealed = await sealToInbox(
+        text,
+        window.location.hash.substring(1),
+        createEnvelope({ flags })
+      );
+      const response = await fetch(`${API_BASE}/inboxes/${id}/fill`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(sealed),
+      });
+      if (response.status === 409) {
+        setPhase("SENT");
+        showToast("warning", "Someone already answered this request");
+        return;
+      }
+      if (!response.ok) throw new Error(getApiErrorMessage(undefined, response));
+
+      setText("");
+      setPhase("SENT");
+      showToast("success", "Secret sealed and delivered");
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleOpen = async () => {
+    if (!record) return;
+    setIsBusy(true);
+    try {
+      const response = await fetch(`${API_BASE}/inboxes/${id}/open`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${record.ownerToken}` },
+      });
+      if (response.status === 409) {
+        showToast("info", "Nothing has been sent yet");
+        await refresh();
+        return;
+      }
+      if (!response.ok) throw new Error(getApiErrorMessage(undefined, response));
+
+      const sealed = await response.json();
+      setSecretText(await openSealed(sealed, record.privateKey, record.publicKey));
+      await deleteInbox(id);
+      setPhase("OPENED");
+
+      try {
+        history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+      } catch {}
+    } catch (err) {
+      console.error(err);
+      setErrorMsg(err instanceof Error ? err.message : "DECRYPTION FAILED");
+      setPhase("ERROR");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const copyLink = async () => {
+    if (!record) return;
+    try {
+      await navigator.clipboard.writeText(inboxLink(record.id, record.publicKey));
+      setCopied(true);
+      showToast("success", "Link copied to clipboard!");
+      setTimeout(() => setCopied(false), 4000);
+    } catch {
+      showToast("info", "Please copy the link manually");
+    }
+  };
+
+  if (phase === "LOADING") {
+    return (
+      <div className="flex items-center justify-center min-h-[300px]">
+        <LoadingSpinner size="md" text="CHECKING_INBOX..." />
+      </div>
+    );
+  }
+
+  if (phase === "EXPIRED") {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-center border-2 border-yellow-500 bg-yellow-900/10 p-6 glow-border shadow-yellow-500/20">
+        <Clock className="w-16 h-16 text-yellow-500 mb-4" aria-hidden="true" />
+        <h2 className="text-3xl font-bold text-yellow-500 mb-2 glow-text">410 - EXPIRED</h2>
+        <p className="text-yellow-400 font-mono">
+          &gt; THE INBOX HAS EXPIRED.
+          <br />
+          &gt; IT WAS AUTOMATICALLY DELETED FROM MEMORY.
+        </p>
+      </div>
+    );
+  }
+
+  if (phase === "GONE") {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-center border-2 border-red-500 bg-red-900/10 p-6 glow-border shadow-red-500/20">
+        <Skull className="w-16 h-16 text-red-500 mb-4" aria-hidden="true" />
+        <h2 className="text-3xl font-bold text-red-500 mb-2 glow-text">404 - CLOSED</h2>
+        <p className="text-red-400 font-mono">
+          &gt; THE INBOX HAS BEEN OPENED OR NEVER EXISTED.
+          <br />
+          &gt; NOTHING CAN BE SENT TO IT ANYMORE.
+        </p>
+      </div>
+    );
+  }
+
+  if (phase === "ERROR") {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-center border-2 border-red-500 p-6 glow-border shadow-red-500/20">
+        <FileWarning className="w-16 h-16 text-red-500 mb-4" aria-hidden="true" />
+        <h2 className="text-2xl font-bold text-red-500 mb-2">SYSTEM FAILURE</h2>
+        <p className="text-red-400 font-mono">&gt; {errorMsg}</p>
+        <button
+          onClick={() => (window.location.href = "/")}
+          className="mt-6 text-term-green underline hover:text-white"
+        >
+          [ RETURN TO BASE ]
+        </button>
+      </div>
+    );
+  }
+
+  if (phase === "CREATE") {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+          <Inbox className="w-5 h-5" aria-hidden="true" />
+          REQUEST_A_SECRET
+        </h2>
+        <p className="text-sm opacity-85">
+          &gt; Creates a one-time inbox. Send the link to whoever holds the secret; only this
+          browser keeps the private key that can open their answer.
+        </p>
+        <div className="flex items-center justify-between gap-4">
+          <label htmlFor="inbox-ttl" className="text-xs opacity-70 flex items-center gap-2">
+            EXPIRES_IN
+            <select
+              id="inbox-ttl"
+              value={ttlMs}
+              onChange={(e) => setTtlMs(parseInt(e.target.value, 10))}
+              className="bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+              disabled={isBusy}
+            >
+              <option value={60 * 60 * 1000}>1 HOUR</option>
+              <option value={24 * 60 * 60 * 1000}>24 HOURS</option>
+              <option value={7 * 24 * 60 * 60 * 1000}>7 DAYS</option>
+            </select>
+          </label>
+          <TerminalButton onClick={handleCreate} disabled={isBusy} isLoading={isBusy}>
+            CREATE INBOX
+          </TerminalButton>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === "OWNER" && record) {
+    const filled = inboxStatus?.status === "filled";
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+          <Inbox className="w-5 h-5" aria-hidden="true" />
+          YOUR_INBOX
+        </h2>
+        <div className="space-y-2">
+          <p className="text-xs opacity-70">SEND THIS LINK TO THE PERSON WITH THE SECRET:</p>
+          <div className="flex gap-2">
+            <input
+              readOnly
+              value={inboxLink(record.id, record.publicKey)}
+              className="flex-1 bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-xs"
+              aria-label="Inbox link"
+              onFocus={(e) => e.target.select()}
+            />
+            <TerminalButton variant="secondary" onClick={copyLink} aria-label="Copy inbox link">
+              {copied ? <Check size={16} /> : <Copy size={16} />}
+            </TerminalButton>
+          </div>
+        </div>
+        <div className="p-4 border border-term-green/50 bg-term-green/5 text-xs font-mono space-y-1">
+          <p data-testid="inbox-status">
+            STATUS: {filled ? "SECRET RECEIVED" : "WAITING FOR RESPONSE"}
+          </p>
+          {inboxStatus && <p>EXPIRES: {formatTimestamp(inboxStatus.expiresAt)}</p>}
+          <p className="text-yellow-500/80">
+            Open it from this browser: the private key never leaves it.
+          </p>
+        </div>
+        <div className="flex gap-3">
+          <TerminalButton variant="secondary" onClick={refresh} disabled={isBusy}>
+            REFRESH
+          </TerminalButton>
+          <TerminalButton onClick={handleOpen} disabled={!filled || isBusy} isLoading={isBusy}>
+            OPEN & BURN
+          </TerminalButton>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === "OPENED") {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+          <Eye className="w-5 h-5" aria-hidden="true" />
+          DECRYPTED_RESPONSE
+        </h2>
+        <div className="p-4 border border-term-green bg-term-green/5 min-h-[200px] whitespace-pre-wrap break-words font-mono text-lg glow-border">
+          {secretText}
+        </div>
+        <p className="text-sm text-red-400">
+          &gt; The inbox and its key have been deleted. Reloading this page will result in a 404.
+        </p>
+        <TerminalButton variant="danger" onClick={() => (window.location.href = "/")}>
+          WIPE LOCAL MEMORY
+        </TerminalButton>
+      </div>
+    );
+  }
+
+  if (phase === "SENT") {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-center border-2 border-term-green p-6 glow-border">
+        <Check className="w-16 h-16 text-term-green mb-4" aria-hidden="true" />
+        <h2 className="text-2xl font-bold mb-2 glow-text">SECRET DELIVERED</h2>
+        <p className="font-mono text-sm opacity-85">
+          &gt; THIS INBOX HAS BEEN ANSWERED.
+          <br />
+          &gt; ONLY THE REQUESTER&apos;S BROWSER CAN OPEN IT.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+        <Lock className="w-5 h-5" aria-hidden="true" />
+        SECRET_REQUESTED
+      </h2>
+      <p className="text-sm opacity-85">
+        &gt; Someone asked you for a secret. It is encrypted in this browser to their key; the
+        server only ever sees ciphertext, and only one answer is accepted.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder="> Paste the requested secret..."
+        className="w-full h-48 bg-black border-2 border-term-green/50 p-4 text-term-green font-mono focus:outline-none focus:border-term-green"
+        aria-label="Secret to send"
+        disabled={isBusy}
+      />
+      {inboxStatus && (
+        <p className="text-xs opacity-70">EXPIRES: {formatTimestamp(inboxStatus.expiresAt)}</p>
+      )}
+      <TerminalButton onClick={handleSend} disabled={!text || isBusy} isLoading={isBusy}>
+        <Send size={16} aria-hidden="true" /> SEAL & SEND
+      </TerminalButton>
+    </div>
+  );
+};
@@ -0,0 +1,103 @@
+import React from "react";
+import { Copy, KeyRound } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { copyText } from "../utils/clipboard";
+import { useToast } from "./Toast";
+
+/**
+ * How the reader gets the decryption key: in the link's #fragment, as a key code sent
+ * through another channel, or from their own private key for a registered handle
+ */
+export type KeyDelivery = "link" | "code" | "recipient";
+
+interface KeyDeliveryOptionsProps {
+  delivery: KeyDelivery;
+  onDeliveryChange: (delivery: KeyDelivery) => void;
+  handle: string;
+  onHandleChange: (handle: string) => void;
+  disabled: boolean;
+}
+
+// The two modes that keep the key out of the link; unticking either goes back to "link"
+export const KeyDeliveryOptions: React.FC<KeyDeliveryOptionsProps> = ({
+  delivery,
+  onDeliveryChange,
+  handle,
+  onHandleChange,
+  disabled,
+}) => (
+  <>
+    <label className="text-xs opacity-70 flex items-center gap-2">
+      <input
+        type="checkbox"
+        checked={delivery === "code"}
+        onChange={(e) => onDeliveryChange(e.target.checked ? "code" : "link")}
+        disabled={disabled}
+        className="accent-term-green"
+        aria-describedby="key-code-hint"
+      />
+      SEPARATE_KEY_CODE
+      <span id="key-code-hint" className="sr-only">
+        Leave the key out of the link and show a short code to send through another channel
+      </span>
+    </label>
+    <label className="text-xs opacity-70 flex items-center gap-2">
+      <input
+        type="checkbox"
+        checked={delivery === "recipient"}
+        onChange={(e) => onDeliveryChange(e.target.checked ? "recipient" : "link")}
+        disabled={disabled}
+        className="accent-term-green"
+        aria-describedby="recipient-hint"
+      />
+      SEAL_TO_RECIPIENT
+      <span id="recipient-hint" className="sr-only">
+        Encrypt to the public key registered under a recipient handle instead of putting a key in
+        the link
+      </span>
+    </label>
+    {delivery === "recipient" && (
+      <input
+        value={handle}
+        onChange={(e) => onHandleChange(e.target.value)}
+        placeholder="handle"
+        autoComplete="off"
+        spellCheck={false}
+        className="w-32 bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+        disabled={disabled}
+        aria-label="Recipient handle"
+      />
+    )}
+  </>
+);
+
+// Shown with a key-code link: the code is the other half the reader needs
+export const KeyCodeNotice: React.FC<{ code: string }> = ({ code }) => {
+  const { showToast } = useToast();
+
+  const copyCode = async () => {
+    if (await copyText(code)) showToast("success", "Key code copied");
+    else showToast("info", "Please copy the key code manually");
+  };
+
+  return (
+    <div
+      className="p-3 border border-yellow-500/50 bg-yellow-900/10 space-y-2"
+      data-testid="key-code"
+    >
+      <div className="flex items-center gap-2 text-xs text-yellow-400">
+        <KeyRound size={14} aria-hidden="true" />
+        KEY_CODE - SEND THROUGH A DIFFERENT CHANNEL (CALL, SMS, IN PERSON)
+      </div>
+      <div className="flex items-center gap-2">
+        <code className="flex-1 text-lg tracking-widest text-term-green select-all">{code}</code>
+        <TerminalButton variant="secondary" onClick={copyCode} aria-label="Copy key code">
+          <Copy size={16} aria-hidden="true" />
+        </TerminalButton>
+      </div>
+      <p className="text-xs text-yellow-500/70">
+        The link alone cannot decrypt anything. Never send the code in the same chat.
+      </p>
+    </div>
+  );
+};
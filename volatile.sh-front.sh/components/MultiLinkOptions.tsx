@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronUp, Users, Split, X } from "lucide-react";
+import { MAX_RECIPIENTS } from "../constants";
+
+// A Shamir split needs at least two shares and is capped like recipient bundles
+const SHARE_COUNTS = Array.from({ length: MAX_RECIPIENTS - 1 }, (_, i) => i + 2);
+
+/** Any `threshold` of `shares` links reconstruct the text */
+export interface SplitOptions {
+  threshold: number;
+  shares: number;
+}
+
+interface MultiLinkOptionsProps {
+  recipients: string[];
+  onRecipientsChange: (recipients: string[]) => void;
+  split: SplitOptions | null;
+  onSplitChange: (split: SplitOptions | null) => void;
+  disabled: boolean;
+}
+
+// Collapsible panels for the multi-link modes: labelled recipient links or an M-of-N split
+export const MultiLinkOptions: React.FC<MultiLinkOptionsProps> = ({
+  recipients,
+  onRecipientsChange,
+  split,
+  onSplitChange,
+  disabled,
+}) => {
+  const [showRecipients, setShowRecipients] = useState(false);
+  const [recipientLabel, setRecipientLabel] = useState("");
+  const [showSplit, setShowSplit] = useState(false);
+
+  const addRecipient = () => {
+    const label = recipientLabel.trim();
+    if (!label || recipients.includes(label) || recipients.length >= MAX_RECIPIENTS) return;
+    onRecipientsChange([...recipients, label]);
+    setRecipientLabel("");
+  };
+
+  return (
+    <>
+      {/* Recipients: one labelled link each instead of a single shared link */}
+      <div className="space-y-2 text-xs">
+        <button
+          type="button"
+          onClick={() => setShowRecipients(!showRecipients)}
+          className="flex items-center gap-2 text-term-green/70 hover:text-term-green"
+          aria-expanded={showRecipients}
+          aria-controls="recipients-panel"
+        >
+          <Users size={14} aria-hidden="true" />
+          SEND_TO_MULTIPLE_RECIPIENTS
+          {recipients.length > 0 && ` (${recipients.length})`}
+          {showRecipients ? (
+            <ChevronUp size={14} aria-hidden="true" />
+          ) : (
+            <ChevronDown size={14} aria-hidden="true" />
+          )}
+        </button>
+        {showRecipients && (
+          <div id="recipients-panel" className="flex flex-wrap items-center gap-2 animate-fade-in">
+            <input
+              id="recipient-input"
+              value={recipientLabel}
+              onChange={(e) => setRecipientLabel(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") {
+                  e.preventDefault();
+                  addRecipient();
+                }
+              }}
+              maxLength={64}
+              placeholder="LABEL, E.G. ALICE"
+              className="w-40 bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green"
+              disabled={disabled}
+              aria-label="Recipient label"
+            />
+            <button
+              type="button"
+              onClick={addRecipient}
+              disabled={!recipientLabel.trim() || recipients.length >= MAX_RECIPIENTS || disabled}
+              className="px-2 py-1 border border-term-green/30 hover:border-term-green/60 text-term-green/70 hover:text-term-green disabled:opacity-50"
+              aria-label="Add recipient"
+            >
+              [ ADD ]
+            </button>
+            {recipients.map((label) => (
+              <span
+                key={label}
+                className="flex items-center gap-1 px-2 py-1 border border-term-green/50 text-term-green"
+                data-testid="recipient"
+              >
+                {label}
+                <button
+                  type="button"
+                  onClick={() => onRecipientsChange(recipients.filter((r) => r !== label))}
+                  disabled={disabled}
+                  className="text-term-green/60 hover:text-red-500"
+                  aria-label={`Remove recipient ${label}`}
+                >
+                  <X size={12} aria-hidden="true" />
+                </button>
+              </span>
+            ))}
+            {recipients.length === 0 && (
+              <span className="text-term-green/40">
+                Each recipient gets a separately encrypted link
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Shamir split: N share links, any M of which reconstruct the text */}
+      <div className="space-y-2 text-xs">
+        <button
+          type="button"
+          onClick={() => setShowSplit(!showSplit)}
+          className="flex items-center gap-2 text-term-green/70 hover:text-term-green"
+          aria-expanded={showSplit}
+          aria-controls="split-panel"
+        >
+          <Split size={14} aria-hidden="true" />
+          SPLIT_INTO_SHARES
+          {split && ` (${split.threshold} OF ${split.shares})`}
+          {showSplit ? (
+            <ChevronUp size={14} aria-hidden="true" />
+          ) : (
+            <ChevronDown size={14} aria-hidden="true" />
+          )}
+        </button>
+        {showSplit && (
+          <div id="split-panel" className="flex flex-wrap items-center gap-3 animate-fade-in">
+            <label className="flex items-center gap-2 text-term-green/70">
+              <input
+                type="checkbox"
+                checked={!!split}
+                onChange={(e) =>
+                  onSplitChange(e.target.checked ? { threshold: 2, shares: 3 } : null)
+                }
+                disabled={disabled}
+                className="accent-term-green"
+              />
+              REQUIRE
+            </label>
+            <select
+              value={split?.threshold ?? 2}
+              onChange={(e) =>
+                split && onSplitChange({ ...split, threshold: parseInt(e.target.value, 10) })
+              }
+              disabled={!split || disabled}
+              className="bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green disabled:opacity-50"
+              aria-label="Shares needed to reconstruct"
+            >
+              {SHARE_COUNTS.filter((n) => n <= (split?.shares ?? 3)).map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+            <span className="text-term-green/70">OF</span>
+            <select
+              value={split?.shares ?? 3}
+              onChange={(e) => {
+                if (!split) return;
+                const shares = parseInt(e.target.value, 10);
+                onSplitChange({ threshold: Math.min(split.threshold, shares), shares });
+              }}
+              disabled={!split || disabled}
+              className="bg-black border border-term-green/50 px-2 py-1 text-term-green text-xs focus:outline-none focus:ring-1 focus:ring-term-green disabled:opacity-50"
+              aria-label="Number of share links"
+            >
+              {SHARE_COUNTS.map((n) => (
+                <option key={n} value={n}>
+                  {n}
+                </option>
+              ))}
+            </select>
+            <span className="text-term-green/40">
+              Share links; fewer than the required number reveal nothing
+            </span>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
@@ -9,15 +9,37 @@ import {
   Clock,
   Calendar,
   Check,
+  KeyRound,
+  Download,
+  FileText,
 } from "lucide-react";
 import { TerminalButton } from "./TerminalButton";
-import { importKeyFromB64Url, b64UrlToBytes } from "../utils/crypto";
+import {
+  importKeyFromB64Url,
+  decryptRaw,
+  derivePassphraseVerifier,
+  parseKeyCode,
+  deriveKeyFromCode,
+  decodeEnvelopeHeader,
+  parseLinkFragment,
+  unsupportedEnvelopeReason,
+  recipientOf,
+  recipientKeyId,
+  importRecipientPrivateKey,
+  openKeyFromRecipient,
+} from "../utils/crypto";
+import { loadRecipientKey, saveRecipientKey, type RecipientKeyRecord } from "../utils/keystore";
 import { API_BASE } from "../constants";
-import { fetchWithRetry, getApiErrorMessage } from "../utils/api";
+import { getApiErrorMessage } from "../utils/api";
 import { useToast } from "./Toast";
 import { LoadingSpinner } from "./Loading";
 import { useSettings } from "./SettingsContext";
 import { formatTimeRemaining, formatTimestamp } from "../utils/format";
+import { unpackFile, formatBytes, type FileMeta } from "../utils/file";
+import type { Envelope } from "../types";
+
+const ACCESS_DENIED_MESSAGE =
+  "THE SENDER LIMITED THIS SECRET TO CERTAIN NETWORKS OR COUNTRIES. IT WAS NOT OPENED FROM HERE AND IS STILL INTACT.";
 
 interface ReadViewProps {
   id: string;
@@ -28,6 +50,20 @@ interface SecretValidation {
   createdAt?: number;
   expiresAt?: number;
   ttl?: number;
+  maxViews?: number;
+  viewsRemaining?: number;
+  availableAt?: number;
+  deadman?: boolean; // availableAt is a check-in deadline the sender can keep moving
+  accessPolicy?: { cidrs?: string[]; countries?: string[] };
+  accessAllowed?: boolean; // whether this reader's network and country pass accessPolicy
+  kind?: "text" | "file";
+  split?: { threshold: number; shares: number };
+  envelope?: Envelope;
+  passphrase?: {
+    salt: string;
+    iterations: number;
+    attemptsRemaining: number;
+  };
 }
 
 export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
@@ -40,9 +76,22 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
     "IDLE" | "CONFIRMING" | "FETCHING" | "DECRYPTING" | "REVEALED" | "ERROR" | "BURNED"
   >("IDLE");
   const [secretText, setSecretText] = useState<string>("");
+  const [secretFile, setSecretFile] = useState<(FileMeta & { url: string }) | null>(null);
+  const [viewsRemaining, setViewsRemaining] = useState(0);
+  const [passphrase, setPassphrase] = useState("");
+  const [attemptsRemaining, setAttemptsRemaining] = useState<number | null>(null);
   const [errorMsg, setErrorMsg] = useState<string>("");
   const [burnTimer, setBurnTimer] = useState(0);
-  const [retryCount, setRetryCount] = useState(0);
+  const [availableAt, setAvailableAt] = useState<number | null>(null);
+  // Links sent in key-code mode have no key in the fragment; the reader types the code instead
+  const [needsKeyCode, setNeedsKeyCode] = useState(false);
+  const [keyCode, setKeyCode] = useState("");
+  const [keyCodeError, setKeyCodeError] = useState<string | null>(null);
+  // Links sealed to a recipient handle have no key either; the private key kept in
+  // this browser's IndexedDB (imported once from the recipient's backup) opens them
+  const [recipientKey, setRecipientKey] = useState<RecipientKeyRecord | null>(null);
+  const [recipientKeyError, setRecipientKeyError] = useState<string | null>(null);
+  const [now, setNow] = useState(() => Date.now());
   const { showToast } = useToast();
   const confirmDialogRef = useRef<HTMLDivElement>(null);
   const abortButtonRef = useRef<HTMLButtonElement>(null);
@@ -94,9 +143,24 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
       } else if (response.status === 410 || data.status === "expired") {
         setValidationStatus("EXPIRED");
         setSecretValidation(data);
+      } else if (response.status === 409) {
+        setValidationStatus("ERROR");
+        setStatus("ERROR");
+        setErrorMsg("THE SENDER HAS NOT FINISHED UPLOADING THIS SECRET");
+      } else if (data.status === "ready" && unsupportedEnvelopeReason(data.envelope)) {
+        // Refuse before burning: this client could not decrypt what the reveal hands over
+        setValidationStatus("ERROR");
+        setStatus("ERROR");
+        setErrorMsg(unsupportedEnvelopeReason(data.envelope) ?? "");
+      } else if (data.status === "ready" && data.accessAllowed === false) {
+        setValidationStatus("ERROR");
+        setStatus("ERROR");
+        setErrorMsg(ACCESS_DENIED_MESSAGE);
       } else if (data.status === "ready") {
         setValidationStatus("READY");
         setSecretValidation(data);
+        setAttemptsRemaining(data.passphrase?.attemptsRemaining ?? null);
+        setAvailableAt(data.availableAt ?? null);
       } else {
         setValidationStatus("ERROR");
         setErrorMsg("Unable to validate secret status");
@@ -113,6 +177,22 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
     validateSecret();
   }, [validateSecret]);
 
+  // Tick the countdown while the sender's start time is still ahead
+  const msUntilAvailable = availableAt === null ? 0 : availableAt - now;
+  const isLocked = msUntilAvailable > 0;
+  useEffect(() => {
+    if (!isLocked) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isLocked]);
+
+  // Drop the decrypted file blob when leaving the view
+  useEffect(() => {
+    return () => {
+      if (secretFile) URL.revokeObjectURL(secretFile.url);
+    };
+  }, [secretFile]);
+
   const handleConfirmReveal = () => {
     // Single click mode: proceed directly to fetch
     if (settings.confirmMode === "single") {
@@ -128,33 +208,101 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
   };
 
   useEffect(() => {
-    // Check if Hash Key exists immediately
-    const hash = window.location.hash.substring(1);
-    if (!hash) {
-      setStatus("ERROR");
-      setErrorMsg("MISSING DECRYPTION KEY IN URL FRAGMENT");
+    // Check if Hash Key exists immediately; key-code and recipient links carry only the nonce
+    if (!parseLinkFragment(window.location.hash.substring(1)).key) {
+      setNeedsKeyCode(true);
     }
   }, []);
 
+  // The check symbol catches typos before anything is burned
+  const updateKeyCode = (value: string) => {
+    setKeyCode(value);
+    try {
+      parseKeyCode(value);
+      setKeyCodeError(null);
+    } catch (err) {
+      setKeyCodeError(err instanceof Error ? err.message : "Invalid key code");
+    }
+  };
+  const sealedTo = needsKeyCode ? recipientOf(secretValidation?.envelope) : null;
+  const keyCodeMissing = needsKeyCode && !sealedTo && (!keyCode || keyCodeError !== null);
+  const recipientKeyMissing = sealedTo !== null && (!recipientKey || recipientKeyError !== null);
+  // A multi-view secret only spends one view per reveal; the last one burns it
+  const viewsLeft = secretValidation?.viewsRemaining ?? 1;
+  const burnsOnReveal = viewsLeft <= 1;
+
+  // A key for the wrong key pair would only fail after the burn, so compare key IDs first
+  const adoptRecipientKey = useCallback(
+    async (record: RecipientKeyRecord | null) => {
+      setRecipientKey(record);
+      if (!record) return;
+      const kid = secretValidation?.envelope?.kdf?.kid;
+      setRecipientKeyError(
+        kid && (await recipientKeyId(record.publicKey)) !== kid
+          ? "This link was sealed to a different key for this handle"
+          : null
+      );
+    },
+    [secretValidation]
+  );
+
+  useEffect(() => {
+    if (!sealedTo) return;
+    loadRecipientKey(sealedTo)
+      .then(adoptRecipientKey)
+      .catch((err) => console.error("Key store error:", err));
+  }, [sealedTo, adoptRecipientKey]);
+
+  const importRecipientKey = async (file: File | undefined) => {
+    if (!file || !sealedTo) return;
+    try {
+      const imported = await importRecipientPrivateKey(await file.text());
+      const record = { handle: sealedTo, ...imported };
+      await saveRecipientKey(record);
+      await adoptRecipientKey(record);
+      showToast("success", `Private key for ${sealedTo} stored in this browser`);
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    }
+  };
+
   const handleBurnAndReveal = async () => {
+    if (keyCodeMissing) {
+      setStatus("IDLE");
+      showToast("warning", "Enter a valid key code first");
+      return;
+    }
+    if (recipientKeyMissing) {
+      setStatus("IDLE");
+      showToast("warning", "Import the matching private key first");
+      return;
+    }
+
+    const gate = secretValidation?.passphrase;
+    if (gate && !passphrase) {
+      setStatus("IDLE");
+      showToast("warning", "Enter the passphrase first");
+      return;
+    }
+
     setStatus("FETCHING");
-    setRetryCount(0);
 
     try {
-      // 1. Fetch from API with retry logic
-      const response = await fetchWithRetry(`${API_BASE}/secrets/${id}`, {
-        retryConfig: {
-          maxRetries: 3,
-          initialDelay: 1000,
-        },
-        onRetry: (attempt, maxRetries, delay) => {
-          setRetryCount(attempt);
-          showToast(
-            "warning",
-            `Retrying fetch... (${attempt}/${maxRetries}) - waiting ${(delay / 1000).toFixed(1)}s`,
-            2000
-          );
+      // 1. Consume the secret (GET only previews, so link scanners can't burn it).
+      // Passphrase-protected secrets are released by /unlock once the server checks the verifier.
+      // Sent exactly once: if the response were lost, a retry would find the secret already burned.
+      const verifier = gate
+        ? await derivePassphraseVerifier(passphrase, gate.salt, gate.iterations)
+        : null;
+      const response = await fetch(`${API_BASE}/secrets/${id}/${verifier ? "unlock" : "reveal"}`, {
+        method: "POST",
+        // Raw ciphertext bytes; the IV and view count come back in X-Volatile-* headers
+        headers: {
+          Accept: "application/octet-stream",
+          ...(verifier && { "Content-Type": "application/json" }),
         },
+        ...(verifier && { body: JSON.stringify({ verifier }) }),
       });
 
       if (response.status === 404) {
@@ -163,27 +311,87 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
         return;
       }
 
+      // 425: scheduled for later; 423: a dead man's switch whose owner checked in again
+      if (response.status === 425 || response.status === 423) {
+        const data = await response.json().catch(() => null);
+        const opensAt = data?.error?.details?.availableAt;
+        if (typeof opensAt === "number") {
+          setAvailableAt(opensAt);
+          setNow(Date.now());
+        }
+        setStatus("IDLE");
+        showToast(
+          "warning",
+          response.status === 423
+            ? "The sender checked in - this secret stays sealed"
+            : "This secret cannot be opened yet"
+        );
+        return;
+      }
+
+      if (response.status === 403) {
+        const data = await response.json().catch(() => null);
+        // The sender's access policy excludes this network or country; nothing was consumed
+        if (data?.error?.code === "ACCESS_POLICY_DENIED") {
+          setStatus("ERROR");
+          setErrorMsg(ACCESS_DENIED_MESSAGE);
+          return;
+        }
+        if (verifier) {
+          const remaining = data?.error?.details?.attemptsRemaining ?? 0;
+          setPassphrase("");
+          setAttemptsRemaining(remaining);
+          if (remaining <= 0) {
+            setStatus("BURNED");
+            showToast("error", "Too many wrong passphrases - the secret was destroyed");
+          } else {
+            setStatus("IDLE");
+            showToast(
+              "error",
+              `Wrong passphrase - ${remaining} attempt${remaining === 1 ? "" : "s"} remaining`
+            );
+          }
+          return;
+        }
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+
       if (!response.ok) {
         throw new Error(getApiErrorMessage(undefined, response));
       }
 
-      const json = await response.json();
+      const ciphertext = new Uint8Array(await response.arrayBuffer());
+      const iv = response.headers.get("X-Volatile-IV") ?? "";
+      const kind = response.headers.get("X-Volatile-Kind");
+      const envelope = decodeEnvelopeHeader(response.headers.get("X-Volatile-Envelope"));
+      const aad = response.headers.get("X-Volatile-AAD") ?? undefined;
 
       setStatus("DECRYPTING");
 
-      // 2. Get Key from Hash
-      const hash = window.location.hash.substring(1);
-      const key = await importKeyFromB64Url(hash);
-
-      // 3. Decrypt
-      const decrypted = await crypto.subtle.decrypt(
-        { name: "AES-GCM", iv: b64UrlToBytes(json.iv) },
-        key,
-        b64UrlToBytes(json.encrypted)
-      );
-      const plaintext = new TextDecoder().decode(decrypted);
+      // 2. Get Key (and the AAD nonce, for links that carry one) from Hash. Links without
+      // one were sealed to this recipient's public key or need the separate key code.
+      const fragment = parseLinkFragment(window.location.hash.substring(1));
+      let key: CryptoKey;
+      if (fragment.key) {
+        key = await importKeyFromB64Url(fragment.key);
+      } else if (envelope && recipientOf(envelope) && recipientKey) {
+        key = await openKeyFromRecipient(envelope, recipientKey.privateKey, recipientKey.publicKey);
+      } else {
+        key = await deriveKeyFromCode(keyCode);
+      }
 
-      setSecretText(plaintext);
+      // 3. Decrypt along the path the envelope's version selects; a payload that was
+      // sealed for another link or had its envelope swapped is rejected here. Padding and
+      // deflate-raw compression flagged in the envelope are undone on the way out.
+      const decrypted = await decryptRaw({ iv, ciphertext, envelope, aad }, key, fragment.nonce);
+      if (kind === "file") {
+        const { meta, bytes } = unpackFile(decrypted);
+        const blob = new Blob([bytes], { type: meta.type || "application/octet-stream" });
+        setSecretFile({ ...meta, url: URL.createObjectURL(blob) });
+      } else {
+        setSecretText(new TextDecoder().decode(decrypted));
+      }
+      setViewsRemaining(Number(response.headers.get("X-Volatile-Views-Remaining") ?? 0));
       setStatus("REVEALED");
       showToast("success", "Secret decrypted successfully!");
 
@@ -211,13 +419,9 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
         e instanceof Error ? e.message : "DECRYPTION FAILED. DATA CORRUPTED OR KEY INVALID.";
       setErrorMsg(errorMsg);
       showToast("error", errorMsg);
-    } finally {
-      setRetryCount(0);
     }
   };
 
-  // b64UrlToBytes imported from ../utils/crypto (DRY - no duplication)
-
   // Show loading state while validating
   if (validationStatus === "LOADING") {
     return (
@@ -314,18 +518,45 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
           </span>
         </div>
 
-        <div className="p-4 border border-term-green bg-term-green/5 min-h-[200px] whitespace-pre-wrap break-words font-mono text-lg glow-border">
-          {secretText}
-        </div>
+        {secretFile ? (
+          <div className="p-4 border border-term-green bg-term-green/5 space-y-4 font-mono glow-border">
+            <div className="flex items-center gap-3">
+              <FileText className="w-8 h-8 text-term-green shrink-0" aria-hidden="true" />
+              <div className="min-w-0 text-left">
+                <p className="text-lg break-all" data-testid="file-name">
+                  {secretFile.name}
+                </p>
+                <p className="text-xs text-term-green/70">
+                  {formatBytes(secretFile.size)} · {secretFile.type || "application/octet-stream"}
+                </p>
+              </div>
+            </div>
+            <a
+              href={secretFile.url}
+              download={secretFile.name}
+              className="flex items-center justify-center gap-2 border-2 border-term-green px-4 py-3 font-bold hover:bg-term-green hover:text-black transition-colors"
+            >
+              <Download size={18} aria-hidden="true" />
+              DOWNLOAD_FILE
+            </a>
+          </div>
+        ) : (
+          <div className="p-4 border border-term-green bg-term-green/5 min-h-[200px] whitespace-pre-wrap break-words font-mono text-lg glow-border">
+            {secretText}
+          </div>
+        )}
 
         <div className="bg-red-900/20 border-l-4 border-red-500 p-4 text-sm text-red-400">
           <p className="font-bold flex items-center gap-2">
             <AlertTriangle size={16} aria-hidden="true" />
-            SERVER STATUS: DESTROYED
+            {viewsRemaining > 0
+              ? `SERVER STATUS: ${viewsRemaining} VIEW${viewsRemaining > 1 ? "S" : ""} REMAINING`
+              : "SERVER STATUS: DESTROYED"}
           </p>
           <p className="opacity-80 mt-1">
-            The ciphertext has been deleted from the remote Volatile Vault. Reloading this page will
-            result in a 404.
+            {viewsRemaining > 0
+              ? "The ciphertext is still held in the remote Volatile Vault and will be deleted after the last view."
+              : "The ciphertext has been deleted from the remote Volatile Vault. Reloading this page will result in a 404."}
           </p>
         </div>
 
@@ -387,11 +618,36 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
                   {secretValidation.ttl ? formatTimeRemaining(secretValidation.ttl) : "Unknown"}
                 </span>
               </div>
+
+              {attemptsRemaining !== null && (
+                <div className="flex items-center gap-2">
+                  <KeyRound className="w-4 h-4 text-term-green/70" aria-hidden="true" />
+                  <span className="text-term-green/70">PASSPHRASE_ATTEMPTS:</span>
+                  <span className="text-term-green ml-auto" data-testid="attempts-remaining">
+                    {attemptsRemaining} REMAINING
+                  </span>
+                </div>
+              )}
+
+              {secretValidation.viewsRemaining !== undefined && (
+                <div className="flex items-center gap-2">
+                  <Eye className="w-4 h-4 text-term-green/70" aria-hidden="true" />
+                  <span className="text-term-green/70">VIEWS_REMAINING:</span>
+                  <span className="text-term-green ml-auto">
+                    {secretValidation.viewsRemaining} / {secretValidation.maxViews ?? 1}
+                  </span>
+                </div>
+              )}
             </div>
 
             <div className="pt-2 border-t border-term-green/30 text-xs text-term-green/60">
               <Lock className="w-3 h-3 inline mr-1" aria-hidden="true" />
-              Encrypted with AES-256-GCM. Key stored in URL fragment.
+              Encrypted with AES-256-GCM.{" "}
+              {sealedTo
+                ? "Key sealed to the recipient's public key."
+                : needsKeyCode
+                  ? "Key derived from a separately delivered code."
+                  : "Key stored in URL fragment."}
             </div>
           </div>
         </div>
@@ -404,9 +660,13 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
         <div className="flex items-start gap-3 text-left">
           <AlertTriangle className="text-red-500 w-6 h-6 shrink-0 mt-0.5" aria-hidden="true" />
           <div className="text-red-400 text-xs">
-            <strong className="block text-sm mb-1">WARNING: ONE-TIME ACCESS</strong>
-            There is no undo. Once you click reveal, the server burns the data. Do not refresh the
-            page after revealing.
+            <strong className="block text-sm mb-1">
+              {burnsOnReveal ? "WARNING: ONE-TIME ACCESS" : `WARNING: ${viewsLeft} VIEWS LEFT`}
+            </strong>
+            {burnsOnReveal
+              ? "There is no undo. Once you click reveal, the server burns the data."
+              : "Each reveal uses one view. The server burns the data after the last one."}{" "}
+            Do not refresh the page after revealing.
           </div>
         </div>
       </div>
@@ -426,8 +686,10 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
               FINAL CONFIRMATION REQUIRED
             </h3>
             <p id="confirm-desc" className="text-sm text-red-300/80">
-              This action is <strong>irreversible</strong>. The secret will be permanently destroyed
-              from the server after you view it.
+              This action is <strong>irreversible</strong>.{" "}
+              {burnsOnReveal
+                ? "The secret will be permanently destroyed from the server after you view it."
+                : `This uses one of the ${viewsLeft} remaining views.`}
             </p>
             <p className="text-xs text-red-400/60">Press Escape to cancel</p>
             <div className="flex gap-3 justify-center pt-2">
@@ -465,19 +727,162 @@ export const ReadView: React.FC<ReadViewProps> = ({ id }) => {
                 {status === "FETCHING" && "FETCHING_ENCRYPTED_DATA..."}
                 {status === "DECRYPTING" && "DECRYPTING_PAYLOAD..."}
               </p>
-              {retryCount > 0 && (
-                <p className="text-yellow-500 text-xs mt-1">&gt; RETRY_ATTEMPT: {retryCount}</p>
-              )}
             </div>
           </div>
         </div>
       )}
 
-      {status === "IDLE" && validationStatus === "READY" && (
-        <TerminalButton onClick={handleConfirmReveal} aria-label="Initiate burn and reveal secret">
-          INITIATE BURN & REVEAL
-        </TerminalButton>
+      {status === "IDLE" && validationStatus === "READY" && isLocked && availableAt !== null && (
+        <div
+          className="w-full max-w-md p-4 border border-yellow-500/50 bg-yellow-900/10 glow-border"
+          role="timer"
+          aria-live="off"
+        >
+          <div className="flex items-center gap-2 text-yellow-400 text-sm font-mono">
+            <Clock className="w-4 h-4" aria-hidden="true" />
+            <span>AVAILABLE_IN:</span>
+            <span className="ml-auto font-bold" data-testid="available-in">
+              {formatTimeRemaining(msUntilAvailable)}
+            </span>
+          </div>
+          <p className="text-xs text-yellow-500/70 mt-2 text-left">
+            {secretValidation?.deadman
+              ? `Released at ${formatTimestamp(availableAt)} unless the sender checks in before then.`
+              : `The sender scheduled this secret for ${formatTimestamp(availableAt)}. Keep this page open or come back later.`}
+          </p>
+        </div>
       )}
+
+      {status === "IDLE" && validationStatus === "READY" && !isLocked && sealedTo && (
+        <label
+          htmlFor="recipient-key-input"
+          className="w-full max-w-md text-left text-xs text-term-green/70 space-y-1"
+        >
+          <span className="flex items-center gap-2">
+            <KeyRound size={14} aria-hidden="true" />
+            SEALED_TO: {sealedTo.toUpperCase()}
+          </span>
+          {recipientKey && !recipientKeyError ? (
+            <span className="block" data-testid="recipient-key-ready">
+              &gt; Using the private key stored in this browser.
+            </span>
+          ) : (
+            <>
+              <input
+                id="recipient-key-input"
+                type="file"
+                accept=".jwk,.json,application/json"
+                onChange={(e) => importRecipientKey(e.target.files?.[0])}
+                className="w-full text-term-green text-xs file:bg-black file:border file:border-term-green/50 file:text-term-green file:px-2 file:py-1"
+                aria-label="Import the recipient private key (JWK)"
+              />
+              <span className="block text-yellow-500/80">
+                {recipientKeyError ??
+                  "This link was encrypted to a public key. Import the matching private key; it is kept in this browser and cannot be exported again."}
+              </span>
+            </>
+          )}
+        </label>
+      )}
+
+      {status === "IDLE" &&
+        validationStatus === "READY" &&
+        !isLocked &&
+        needsKeyCode &&
+        !sealedTo && (
+          <label
+            htmlFor="key-code-input"
+            className="w-full max-w-md text-left text-xs text-term-green/70 space-y-1"
+          >
+            <span className="flex items-center gap-2">
+              <KeyRound size={14} aria-hidden="true" />
+              KEY_CODE_REQUIRED
+            </span>
+            <input
+              id="key-code-input"
+              value={keyCode}
+              onChange={(e) => updateKeyCode(e.target.value)}
+              autoComplete="off"
+              spellCheck={false}
+              placeholder="XXXXX-XXXXX-XXXXX-XXXXX-XXXXX"
+              className="w-full bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-sm tracking-widest uppercase focus:outline-none focus:ring-1 focus:ring-term-green"
+              aria-label="Key code sent separately by the sender"
+              aria-invalid={keyCode !== "" && keyCodeError !== null}
+            />
+            <span className="block text-yellow-500/80">
+              {keyCode && keyCodeError
+                ? keyCodeError
+                : "This link has no key. Enter the code the sender gave you through another channel."}
+            </span>
+          </label>
+        )}
+
+      {status === "IDLE" &&
+        validationStatus === "READY" &&
+        !isLocked &&
+        secretValidation?.passphrase && (
+          <label
+            htmlFor="passphrase-input"
+            className="w-full max-w-md text-left text-xs text-term-green/70 space-y-1"
+          >
+            <span className="flex items-center gap-2">
+              <KeyRound size={14} aria-hidden="true" />
+              PASSPHRASE_REQUIRED
+            </span>
+            <input
+              id="passphrase-input"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="off"
+              className="w-full bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-sm focus:outline-none focus:ring-1 focus:ring-term-green"
+              aria-label="Passphrase shared by the sender"
+            />
+            <span className="block text-yellow-500/80">
+              Wrong entries count against the limit. At zero the secret is destroyed.
+            </span>
+          </label>
+        )}
+
+      {/* A lone Shamir share is meaningless; revealing it here would only burn it */}
+      {status === "IDLE" && validationStatus === "READY" && secretValidation?.split && (
+        <div
+          className="w-full max-w-md p-4 border border-yellow-500/50 bg-yellow-900/10 glow-border text-left"
+          role="note"
+        >
+          <p className="text-yellow-400 text-sm font-mono">
+            &gt; THIS LINK IS ONE SHARE OF A {secretValidation.split.threshold}-OF-
+            {secretValidation.split.shares} SPLIT.
+          </p>
+          <p className="text-xs text-yellow-500/70 mt-2">
+            Collect {secretValidation.split.threshold} share links and paste them into the combine
+            view. Revealing a single share here would burn it without showing anything useful.
+          </p>
+          <a
+            href="/?combine"
+            className="inline-block mt-3 text-term-green underline hover:text-white text-xs"
+          >
+            [ OPEN COMBINE VIEW ]
+          </a>
+        </div>
+      )}
+
+      {status === "IDLE" &&
+        validationStatus === "READY" &&
+        !isLocked &&
+        !secretValidation?.split && (
+          <TerminalButton
+            onClick={handleConfirmReveal}
+            disabled={
+              (!!secretValidation?.passphrase && !passphrase) ||
+              keyCodeMissing ||
+              recipientKeyMissing
+            }
+            aria-label="Initiate burn and reveal secret"
+          >
+            INITIATE BURN & REVEAL
+          </TerminalButton>
+        )}
     </div>
   );
 };
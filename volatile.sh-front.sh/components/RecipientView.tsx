@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { KeySquare, Download, Copy, AlertTriangle } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { API_BASE } from "../constants";
+import { getApiErrorMessage } from "../utils/api";
+import { generateRecipientKeyPair, importRecipientPrivateKey } from "../utils/crypto";
+import { saveRecipientKey } from "../utils/keystore";
+import { useToast } from "./Toast";
+import type { ApiRecipientResponse } from "../types";
+
+// Same rule as the API's recipient handles
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9-]{2,31}$/;
+
+/**
+ * Register a long-lived public key under a handle so senders can seal secrets to it.
+ * The key pair is generated here; the private key is offered once as a JWK backup and
+ * kept in this browser as a non-extractable import.
+ */
+export const RecipientView: React.FC = () => {
+  const { showToast } = useToast();
+  const [handle, setHandle] = useState("");
+  const [ownerToken, setOwnerToken] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [registered, setRegistered] = useState<{
+    handle: string;
+    backupUrl: string;
+    ownerToken?: string;
+  } | null>(null);
+
+  const normalized = handle.trim().toLowerCase();
+
+  // An owner token rotates the key of a handle this person registered before
+  const handleRegister = async () => {
+    if (!HANDLE_PATTERN.test(normalized)) {
+      showToast("error", "Handle must be 3-32 letters, digits or dashes");
+      return;
+    }
+
+    setIsBusy(true);
+    try {
+      const { publicKey, privateJwk } = await generateRecipientKeyPair();
+      const response = await fetch(`${API_BASE}/recipients/${normalized}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(ownerToken.trim() && { Authorization: `Bearer ${ownerToken.trim()}` }),
+        },
+        body: JSON.stringify({ publicKey }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(
+          data.error?.code === "HANDLE_TAKEN"
+            ? "This handle is taken. Enter its owner token to rotate the key."
+            : getApiErrorMessage(undefined, response)
+        );
+      }
+      const created: ApiRecipientResponse = await response.json();
+
+      // Store the non-extractable import, not the extractable key that produced the backup
+      await saveRecipientKey({
+        handle: normalized,
+        ...(await importRecipientPrivateKey(privateJwk)),
+      });
+
+      setRegistered({
+        handle: normalized,
+        backupUrl: URL.createObjectURL(new Blob([privateJwk], { type: "application/json" })),
+        ownerToken: created.ownerToken,
+      });
+      showToast("success", `Public key registered for ${normalized}`);
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (registered) {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+          <KeySquare className="w-5 h-5" aria-hidden="true" />
+          RECIPIENT_KEY_REGISTERED
+        </h2>
+        <div className="text-sm font-mono space-y-1 opacity-90">
+          <p>&gt; HANDLE: {registered.handle.toUpperCase()}</p>
+          <p>&gt; SENDERS CAN NOW TICK SEAL_TO_RECIPIENT AND ENTER THIS HANDLE.</p>
+          <p>&gt; THIS BROWSER ALREADY HOLDS THE PRIVATE KEY.</p>
+        </div>
+
+        <a
+          href={registered.backupUrl}
+          download={`${registered.handle}.jwk`}
+          className="flex items-center justify-center gap-2 border border-term-green px-4 py-2 hover:bg-term-green hover:text-black"
+        >
+          <Download size={16} aria-hidden="true" />
+          DOWNLOAD PRIVATE KEY BACKUP
+        </a>
+
+        {registered.ownerToken && (
+          <div className="p-3 border border-yellow-500/50 bg-yellow-900/10 space-y-2">
+            <div className="text-xs text-yellow-400">OWNER_TOKEN - NEEDED TO ROTATE THIS KEY</div>
+            <div className="flex items-center gap-2">
+              <code className="flex-1 text-xs break-all text-term-green select-all">
+                {registered.ownerToken}
+              </code>
+              <TerminalButton
+                variant="secondary"
+                onClick={() =>
+                  navigator.clipboard
+                    .writeText(registered.ownerToken ?? "")
+                    .then(() => showToast("success", "Owner token copied"))
+                }
+                aria-label="Copy owner token"
+              >
+                <Copy size={16} aria-hidden="true" />
+              </TerminalButton>
+            </div>
+          </div>
+        )}
+
+        <div
+          className="p-4 border border-red-500/50 bg-red-900/10 glow-border shadow-red-500/10"
+          role="alert"
+        >
+          <div className="flex items-start gap-3 text-left">
+            <AlertTriangle className="text-red-500 w-6 h-6 shrink-0 mt-0.5" aria-hidden="true" />
+            <div className="text-red-400 text-xs">
+              <strong className="block text-sm mb-1">KEEP THE BACKUP OFFLINE</strong>
+              Anyone with the backup file can open every link sealed to this handle. Import it on
+              another device from any sealed link; it is not shown again.
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-bold flex items-center gap-2 glow-text border-b-2 border-term-green pb-2">
+        <KeySquare className="w-5 h-5" aria-hidden="true" />
+        REGISTER_RECIPIENT_KEY
+      </h2>
+      <p className="text-sm opacity-85">
+        &gt; Generate a key pair in this browser and publish the public half under a handle. Secrets
+        sealed to it need no key in the link; only the holder of the private key can open them.
+      </p>
+
+      <label htmlFor="recipient-handle-input" className="block text-xs opacity-70 space-y-1">
+        <span>HANDLE</span>
+        <input
+          id="recipient-handle-input"
+          value={handle}
+          onChange={(e) => setHandle(e.target.value)}
+          autoComplete="off"
+          spellCheck={false}
+          placeholder="acme-ops"
+          className="w-full bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-sm focus:outline-none focus:ring-1 focus:ring-term-green"
+          disabled={isBusy}
+        />
+      </label>
+
+      <label htmlFor="owner-token-input" className="block text-xs opacity-70 space-y-1">
+        <span>OWNER_TOKEN (ONLY TO ROTATE AN EXISTING HANDLE)</span>
+        <input
+          id="owner-token-input"
+          type="password"
+          value={ownerToken}
+          onChange={(e) => setOwnerToken(e.target.value)}
+          autoComplete="off"
+          className="w-full bg-black border border-term-green/50 px-3 py-2 text-term-green font-mono text-sm focus:outline-none focus:ring-1 focus:ring-term-green"
+          disabled={isBusy}
+        />
+      </label>
+
+      <TerminalButton
+        onClick={handleRegister}
+        disabled={!normalized}
+        isLoading={isBusy}
+        loadingText="> GENERATING..."
+      >
+        GENERATE & REGISTER
+      </TerminalButton>
+    </div>
+  );
+};
@@ -0,0 +1,166 @@
+import React, { useState } from "react";
+import { Activity, FileCheck, Trash2 } from "lucide-react";
+import { TerminalButton } from "./TerminalButton";
+import { API_BASE } from "../constants";
+import { getApiErrorMessage } from "../utils/api";
+import { formatTimestamp } from "../utils/format";
+import { useToast } from "./Toast";
+import type { ApiStatusResponse, ApiReceiptResponse } from "../types";
+
+interface SenderToolsProps {
+  id: string;
+  deleteToken: string;
+}
+
+// What the sender can still do with a link they created: check it, revoke it, and prove it is gone
+export const SenderTools: React.FC<SenderToolsProps> = ({ id, deleteToken }) => {
+  const { showToast } = useToast();
+  const [isRevoking, setIsRevoking] = useState(false);
+  const [revoked, setRevoked] = useState(false);
+  const [isCheckingStatus, setIsCheckingStatus] = useState(false);
+  const [isFetchingReceipt, setIsFetchingReceipt] = useState(false);
+  const [secretStatus, setSecretStatus] = useState<ApiStatusResponse | null>(null);
+
+  // Burn the uploaded secret before anyone reads it (e.g. link sent to the wrong chat)
+  const handleRevoke = async () => {
+    setIsRevoking(true);
+    try {
+      const response = await fetch(`${API_BASE}/secrets/${id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${deleteToken}` },
+      });
+
+      if (response.status === 404) {
+        setRevoked(true);
+        showToast("warning", "Secret was already read or has expired");
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+
+      setRevoked(true);
+      showToast("success", "Secret revoked - the link no longer works");
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsRevoking(false);
+    }
+  };
+
+  // Ask the server whether the link has been opened yet (never returns content)
+  const handleCheckStatus = async () => {
+    setIsCheckingStatus(true);
+    try {
+      const response = await fetch(`${API_BASE}/secrets/${id}/status`, {
+        headers: { Authorization: `Bearer ${deleteToken}` },
+      });
+
+      if (!response.ok) {
+        throw new Error(getApiErrorMessage(undefined, response));
+      }
+
+      const status: ApiStatusResponse = await response.json();
+      setSecretStatus(status);
+      if (status.status === "revoked") setRevoked(true);
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsCheckingStatus(false);
+    }
+  };
+
+  // The signed deletion receipt is released once the secret is gone, and only once
+  const handleDownloadReceipt = async () => {
+    setIsFetchingReceipt(true);
+    try {
+      const response = await fetch(`${API_BASE}/secrets/${id}/receipt`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${deleteToken}` },
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(
+          data.error?.code === "RECEIPT_NOT_READY"
+            ? "The secret still exists - receipts are issued after it is destroyed"
+            : data.error?.code === "RECEIPT_CLAIMED"
+              ? "The receipt for this secret was already downloaded"
+              : getApiErrorMessage(undefined, response)
+        );
+      }
+
+      const receipt: ApiReceiptResponse = await response.json();
+      const url = URL.createObjectURL(
+        new Blob([JSON.stringify(receipt, null, 2)], { type: "application/json" })
+      );
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `receipt-${id}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+      showToast("success", `Deletion receipt saved (${receipt.receipt.event})`);
+    } catch (err) {
+      console.error(err);
+      showToast("error", getApiErrorMessage(err));
+    } finally {
+      setIsFetchingReceipt(false);
+    }
+  };
+
+  return (
+    <>
+      {secretStatus && (
+        <div className="flex items-center gap-2 p-3 border border-term-green/30 bg-term-green/5 text-xs font-mono">
+          <Activity className="w-4 h-4 text-term-green/70" aria-hidden="true" />
+          <span className="text-term-green/70">STATUS:</span>
+          <span className="text-term-green ml-auto" data-testid="secret-status">
+            {secretStatus.status.toUpperCase()}
+            {secretStatus.readAt ? ` @ ${formatTimestamp(secretStatus.readAt)}` : ""}
+          </span>
+        </div>
+      )}
+
+      <TerminalButton
+        variant="secondary"
+        onClick={handleCheckStatus}
+        isLoading={isCheckingStatus}
+        loadingText="> QUERYING..."
+        className="w-full flex items-center justify-center gap-2"
+        aria-label="Check whether the secret has been read"
+      >
+        <Activity size={16} aria-hidden="true" />
+        CHECK STATUS
+      </TerminalButton>
+
+      <TerminalButton
+        variant="danger"
+        onClick={handleRevoke}
+        isLoading={isRevoking}
+        loadingText="> REVOKING..."
+        disabled={revoked}
+        className="w-full flex items-center justify-center gap-2"
+        aria-label="Revoke secret and invalidate link"
+      >
+        <Trash2 size={16} aria-hidden="true" />
+        {revoked ? "LINK REVOKED" : "REVOKE LINK"}
+      </TerminalButton>
+
+      {(revoked || (secretStatus && secretStatus.status !== "pending")) && (
+        <TerminalButton
+          variant="secondary"
+          onClick={handleDownloadReceipt}
+          isLoading={isFetchingReceipt}
+          loadingText="> SIGNING..."
+          className="w-full flex items-center justify-center gap-2"
+          aria-label="Download the signed deletion receipt"
+        >
+          <FileCheck size={16} aria-hidden="true" />
+          DOWNLOAD DELETION RECEIPT
+        </TerminalButton>
+      )}
+    </>
+  );
+};
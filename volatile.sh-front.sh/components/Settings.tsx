@@ -12,9 +12,10 @@ import {
   AlertCircle,
   Type,
   Zap,
+  Ruler,
 } from "lucide-react";
 import { TerminalButton } from "./TerminalButton";
-import { useSettings } from "./SettingsContext";
+import { useSettings, type Padding } from "./SettingsContext";
 import { useToast } from "./Toast";
 
 interface SettingsProps {
@@ -103,6 +104,10 @@ export const Settings: React.FC<SettingsProps> = ({ onClose }) => {
     updateSetting("textSize", value);
   };
 
+  const handlePaddingChange = (value: Padding) => {
+    updateSetting("padding", value);
+  };
+
   return (
     <div
       className="fixed inset-0 bg-black/80 backdrop-blur-sm z-50 flex items-center justify-center p-4"
@@ -363,6 +368,53 @@ export const Settings: React.FC<SettingsProps> = ({ onClose }) => {
             </div>
           </section>
 
+          {/* Length Padding */}
+          <section aria-labelledby="padding-label">
+            <div className="flex items-center gap-2 mb-3">
+              <Ruler className="w-5 h-5 text-term-green" aria-hidden="true" />
+              <h3
+                id="padding-label"
+                className="text-sm font-bold text-term-green uppercase tracking-wider"
+              >
+                Length Padding
+              </h3>
+            </div>
+            <div
+              className="grid grid-cols-3 gap-2"
+              role="radiogroup"
+              aria-labelledby="padding-label"
+            >
+              {(
+                [
+                  { label: "OFF", value: "off" },
+                  { label: "POWER OF 2", value: "pow2" },
+                  { label: "4 KB BLOCKS", value: "4k" },
+                ] as const
+              ).map((option) => (
+                <button
+                  key={option.value}
+                  onClick={() => handlePaddingChange(option.value)}
+                  className={`p-2 border-2 transition-all font-mono text-xs ${
+                    settings.padding === option.value
+                      ? "border-term-green bg-term-green/20 text-term-green"
+                      : "border-term-green/30 text-term-green/60 hover:border-term-green/60"
+                  }`}
+                  role="radio"
+                  aria-checked={settings.padding === option.value}
+                >
+                  {settings.padding === option.value && (
+                    <Check className="w-3 h-3 inline mr-1" aria-hidden="true" />
+                  )}
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-term-green/60 font-mono">
+              Pads secrets before encryption so the server only sees a size bucket. Files always use
+              4 KB blocks.
+            </p>
+          </section>
+
           {/* Toggle Options */}
           <section aria-labelledby="options-label" className="space-y-3">
             <h3
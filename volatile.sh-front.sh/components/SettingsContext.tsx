@@ -9,6 +9,8 @@ import React, {
 
 export type ConfirmMode = "single" | "double";
 export type Theme = "terminal" | "high-contrast" | "dark";
+// Length-hiding padding before encryption: off, next power of two, or 4 KB blocks
+export type Padding = "off" | "pow2" | "4k";
 
 export interface Settings {
   confirmMode: ConfirmMode;
@@ -17,6 +19,7 @@ export interface Settings {
   showPreview: boolean;
   autoCopyLink: boolean;
   textSize?: "small" | "medium" | "large";
+  padding: Padding;
 }
 
 interface SettingsContextType {
@@ -34,6 +37,7 @@ const DEFAULT_SETTINGS: Settings = {
   showPreview: false,
   autoCopyLink: true,
   textSize: "medium",
+  padding: "off",
 };
 
 const STORAGE_KEY = "volatile-settings";
@@ -42,6 +46,7 @@ const STORAGE_KEY = "volatile-settings";
 const VALID_CONFIRM_MODES: ConfirmMode[] = ["single", "double"];
 const VALID_THEMES: Theme[] = ["terminal", "high-contrast", "dark"];
 const VALID_TEXT_SIZES = ["small", "medium", "large"] as const;
+const VALID_PADDINGS: Padding[] = ["off", "pow2", "4k"];
 const TTL_MIN = 5 * 60 * 1000; // 5 minutes
 const TTL_MAX = 7 * 24 * 60 * 60 * 1000; // 7 days
 
@@ -85,6 +90,11 @@ function validateSettings(parsed: unknown): Settings {
     ? (obj.textSize as Settings["textSize"])
     : DEFAULT_SETTINGS.textSize;
 
+  // Validate padding
+  const padding = VALID_PADDINGS.includes(obj.padding as Padding)
+    ? (obj.padding as Padding)
+    : DEFAULT_SETTINGS.padding;
+
   return {
     confirmMode,
     defaultTTL,
@@ -92,6 +102,7 @@ function validateSettings(parsed: unknown): Settings {
     showPreview,
     autoCopyLink,
     textSize,
+    padding,
   };
 }
 
@@ -1,3 +1,10 @@
 // Assuming the frontend is served from the same domain as the worker
 // If developing locally with a separate backend URL, change this.
 export const API_BASE = "/api";
+
+// Bounds for multi-view secrets (must match LIMITS.MIN_VIEWS / MAX_VIEWS on the worker)
+export const MIN_VIEWS = 1;
+export const MAX_VIEWS = 100;
+
+// Links per multi-recipient bundle (must match LIMITS.MAX_RECIPIENTS on the worker)
+export const MAX_RECIPIENTS = 20;
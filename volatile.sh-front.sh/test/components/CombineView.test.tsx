@@ -0,0 +1,128 @@
+/**
+ * CombineView component tests
+ */
+
+import type React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { CombineView } from "../../components/CombineView";
+import { SettingsProvider } from "../../components/SettingsContext";
+import { ToastProvider } from "../../components/Toast";
+import { splitSecret } from "../../utils/crypto";
+
+function TestWrapper({ children }: { children: React.ReactNode }) {
+  return (
+    <SettingsProvider>
+      <ToastProvider>{children}</ToastProvider>
+    </SettingsProvider>
+  );
+}
+
+// Keep the real Shamir math; only AES decryption is replaced by the share stored per ID
+const sharesById = new Map<string, Uint8Array>();
+vi.mock("../../utils/crypto", async (importOriginal) => ({
+  ...(await importOriginal<typeof import("../../utils/crypto")>()),
+  importKeyFromB64Url: async (key: string) => key,
+  decryptBytes: async (payload: { content: string }) => sharesById.get(payload.content),
+}));
+
+const mockFetch = vi.fn();
+global.fetch = mockFetch as unknown as typeof fetch;
+
+describe("CombineView", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    sharesById.clear();
+
+    splitSecret(new TextEncoder().encode("break glass"), 2, 3).forEach((share, i) => {
+      sharesById.set(`share${i + 1}id`, share);
+    });
+
+    mockFetch.mockImplementation((url: string) => {
+      const id = url.split("/")[3];
+      if (url.endsWith("/validate")) {
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ id, status: "ready", split: { threshold: 2, shares: 3 } }),
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        json: async () => ({ encrypted: id, iv: "aXYxMjM0NTY3ODkw" }),
+      });
+    });
+  });
+
+  it("burns exactly the threshold of shares and rebuilds the secret", async () => {
+    render(<CombineView />, { wrapper: TestWrapper });
+    const input = screen.getByLabelText("Share link");
+    const combine = screen.getByRole("button", { name: /burn & combine/i });
+
+    await userEvent.type(input, "http://localhost:3000/?id=share3id#k3{Enter}");
+    await waitFor(() => {
+      expect(screen.getByTestId("share-count")).toHaveTextContent("SHARES: 1 / 2 REQUIRED");
+    });
+    expect(combine).toBeDisabled();
+
+    await userEvent.type(input, "http://localhost:3000/?id=share1id#k1{Enter}");
+    await waitFor(() => expect(combine).toBeEnabled());
+    await userEvent.click(combine);
+
+    await waitFor(() => {
+      expect(screen.getByText("break glass")).toBeInTheDocument();
+    });
+    const reveals = mockFetch.mock.calls.filter(([url]) => url.endsWith("/reveal"));
+    expect(reveals.map(([url]) => url)).toEqual([
+      "/api/secrets/share3id/reveal",
+      "/api/secrets/share1id/reveal",
+    ]);
+  });
+
+  it("sends each consuming reveal once, without retrying", async () => {
+    mockFetch.mockImplementation((url: string) => {
+      if (url.endsWith("/validate")) {
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          json: async () => ({ status: "ready", split: { threshold: 2, shares: 3 } }),
+        });
+      }
+      return Promise.reject(new TypeError("Failed to fetch"));
+    });
+    render(<CombineView />, { wrapper: TestWrapper });
+    const input = screen.getByLabelText("Share link");
+
+    await userEvent.type(input, "http://localhost:3000/?id=share1id#k1{Enter}");
+    await userEvent.type(input, "http://localhost:3000/?id=share2id#k2{Enter}");
+    const combine = screen.getByRole("button", { name: /burn & combine/i });
+    await waitFor(() => expect(combine).toBeEnabled());
+    await userEvent.click(combine);
+
+    await waitFor(() => {
+      expect(screen.getByText("COMBINE FAILED")).toBeInTheDocument();
+    });
+    expect(mockFetch.mock.calls.filter(([url]) => url.endsWith("/reveal"))).toHaveLength(1);
+  });
+
+  it("refuses links that are not shares", async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ id: "plainsecret1", status: "ready" }),
+    });
+    render(<CombineView />, { wrapper: TestWrapper });
+
+    await userEvent.type(
+      screen.getByLabelText("Share link"),
+      "http://localhost:3000/?id=plainsecret1#key{Enter}"
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText(/not a share/i)).toBeInTheDocument();
+    });
+    expect(screen.getByTestId("share-count")).toHaveTextContent("SHARES: 0");
+  });
+});
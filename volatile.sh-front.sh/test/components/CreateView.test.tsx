@@ -28,7 +28,13 @@ const mockKey = { algorithm: { name: "AES-GCM" } } as unknown as CryptoKey;
 vi.mock("../../utils/crypto", () => ({
   generateKey: () => mockGenerateKey(),
   encryptMessage: () => mockEncrypt(),
+  encryptBytes: () => mockEncrypt(),
   exportKeyToB64Url: () => mockExportKey(),
+  createEnvelope: () => ({ v: 1, alg: "AES-256-GCM" }),
+  linkFragment: (key: string) => key,
+  bytesToB64Url: (bytes: Uint8Array) => Buffer.from(bytes).toString("base64url"),
+  splitSecret: (_secret: Uint8Array, _threshold: number, shares: number) =>
+    Array.from({ length: shares }, (_, i) => new Uint8Array([i + 1, 0])),
   MAX_PLAINTEXT_CHARS: 1_000_000,
 }));
 
@@ -327,4 +333,126 @@ describe("CreateView", () => {
     expect(screen.getByRole("textbox")).toBeInTheDocument();
     expect(screen.getByRole("button", { name: /generate/i })).toBeInTheDocument();
   });
+
+  it("should create one labelled link per recipient", async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 201,
+      json: async () => ({
+        id: "bundle-id",
+        expiresAt: Date.now() + 3600000,
+        maxViews: 1,
+        deleteToken: "token",
+        recipients: [
+          { id: "alice-id", label: "alice" },
+          { id: "bob-id", label: "bob" },
+        ],
+      }),
+    });
+    renderCreateView();
+
+    await userEvent.type(screen.getByRole("textbox"), "shared secret");
+    await userEvent.click(screen.getByRole("button", { name: /multiple_recipients/i }));
+    const labelInput = screen.getByLabelText("Recipient label");
+    await userEvent.type(labelInput, "alice{Enter}");
+    await userEvent.type(labelInput, "bob{Enter}");
+    expect(screen.getAllByTestId("recipient")).toHaveLength(2);
+
+    await userEvent.click(screen.getByRole("button", { name: /generate/i }));
+
+    await waitFor(() => {
+      expect(
+        screen.getByRole("heading", { name: /RECIPIENT LINKS GENERATED/i })
+      ).toBeInTheDocument();
+    });
+    expect(mockGenerateKey).toHaveBeenCalledTimes(2);
+    const [url, init] = mockFetch.mock.calls[0];
+    expect(url).toBe("/api/bundles");
+    expect(JSON.parse(init.body).recipients.map((r: { label: string }) => r.label)).toEqual([
+      "alice",
+      "bob",
+    ]);
+    expect(screen.getByLabelText("Link for alice")).toHaveValue(
+      "http://localhost:3000/?id=alice-id#key-b64url"
+    );
+    expect(screen.getByLabelText("Link for bob")).toHaveValue(
+      "http://localhost:3000/?id=bob-id#key-b64url"
+    );
+  });
+
+  it("should keep the sender tools when the create is replayed without a deleteToken", async () => {
+    // An idempotent replay: the first response was lost, the retry omits the token
+    mockFetch.mockImplementation(async (url: string) =>
+      url === "/api/secrets"
+        ? {
+            ok: true,
+            status: 201,
+            json: async () => ({ id: "file-id", expiresAt: Date.now() + 3600000, maxViews: 1 }),
+          }
+        : { ok: true, status: 200, json: async () => ({ id: "file-id", status: "pending" }) }
+    );
+    renderCreateView();
+
+    await userEvent.upload(
+      screen.getByLabelText(/attach a file/i),
+      // jsdom's File has no arrayBuffer()
+      Object.assign(new File(["hello"], "note.txt", { type: "text/plain" }), {
+        arrayBuffer: async () => new TextEncoder().encode("hello").buffer,
+      })
+    );
+    await userEvent.click(screen.getByRole("button", { name: /generate/i }));
+
+    await waitFor(() => {
+      expect(screen.getByRole("button", { name: /revoke secret/i })).toBeInTheDocument();
+    });
+    const [, createInit] = mockFetch.mock.calls[0];
+    const { deleteToken } = JSON.parse(createInit.body);
+    expect(deleteToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+
+    // Chunks, finalize and the sender tools all use the token the client generated
+    for (const [, init] of mockFetch.mock.calls.slice(1)) {
+      expect(init.headers.Authorization).toBe(`Bearer ${deleteToken}`);
+    }
+    await userEvent.click(
+      screen.getByRole("button", { name: /whether the secret has been read/i })
+    );
+    await waitFor(() => {
+      expect(screen.getByTestId("secret-status")).toHaveTextContent("PENDING");
+    });
+    expect(mockFetch).toHaveBeenLastCalledWith("/api/secrets/file-id/status", {
+      headers: { Authorization: `Bearer ${deleteToken}` },
+    });
+  });
+
+  it("should create share links for an M-of-N split", async () => {
+    mockFetch.mockResolvedValue({
+      ok: true,
+      status: 201,
+      json: async () => ({
+        id: "bundle-id",
+        expiresAt: Date.now() + 3600000,
+        maxViews: 1,
+        deleteToken: "token",
+        threshold: 2,
+        recipients: [1, 2, 3].map((n) => ({ id: `share${n}-id`, label: `Share ${n}` })),
+      }),
+    });
+    renderCreateView();
+
+    await userEvent.type(screen.getByRole("textbox"), "root password");
+    await userEvent.click(screen.getByRole("button", { name: /split_into_shares/i }));
+    await userEvent.click(screen.getByRole("checkbox", { name: /require/i }));
+    await userEvent.click(screen.getByRole("button", { name: /generate/i }));
+
+    await waitFor(() => {
+      expect(screen.getByRole("heading", { name: /SHARE LINKS GENERATED/i })).toBeInTheDocument();
+    });
+    expect(mockGenerateKey).toHaveBeenCalledTimes(3);
+    const body = JSON.parse(mockFetch.mock.calls[0][1].body);
+    expect(body.threshold).toBe(2);
+    expect(body.recipients).toHaveLength(3);
+    expect(screen.getByLabelText("Link for Share 3")).toHaveValue(
+      "http://localhost:3000/?id=share3-id#key-b64url"
+    );
+  });
 });
@@ -32,6 +32,11 @@ const mockDecrypt = vi.fn();
 vi.mock("../../utils/crypto", () => ({
   importKeyFromB64Url: () => mockImportKey(),
   b64UrlToBytes: (str: string) => new Uint8Array(Buffer.from(str, "base64")),
+  decodeEnvelopeHeader: () => undefined,
+  parseLinkFragment: (fragment: string) => ({ key: fragment.split(".")[0] }),
+  unsupportedEnvelopeReason: (envelope?: { v: number }) =>
+    envelope && envelope.v > 1 ? "Unsupported format version" : null,
+  recipientOf: () => null,
 }));
 
 // Mock window.location
@@ -122,7 +127,7 @@ describe("ReadView", () => {
     );
   });
 
-  it("should show error when hash key is missing", async () => {
+  it("should prompt for a key code when hash key is missing", async () => {
     // Mock location without hash
     Object.defineProperty(window, "location", {
       value: { ...mockLocation, hash: "" },
@@ -133,10 +138,61 @@ describe("ReadView", () => {
 
     await waitFor(
       () => {
-        expect(screen.getByText(/MISSING DECRYPTION KEY/i)).toBeInTheDocument();
+        expect(screen.getByLabelText(/key code sent separately/i)).toBeInTheDocument();
       },
       { timeout: 5000 }
     );
+    expect(screen.getByRole("button", { name: /initiate burn/i })).toBeDisabled();
+    expect(screen.getByText(/derived from a separately delivered code/i)).toBeInTheDocument();
+    expect(screen.queryByText(/url fragment/i)).not.toBeInTheDocument();
+  });
+
+  it("should not warn of one-time access while views remain", async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve({
+          status: "ready" as const,
+          ttl: 3600000,
+          maxViews: 3,
+          viewsRemaining: 3,
+        }),
+    });
+
+    renderReadView();
+
+    await waitFor(
+      () => {
+        expect(screen.getByText(/WARNING: 3 VIEWS LEFT/)).toBeInTheDocument();
+      },
+      { timeout: 5000 }
+    );
+    expect(screen.queryByText(/ONE-TIME ACCESS/)).not.toBeInTheDocument();
+  });
+
+  it("should refuse an unsupported envelope version without burning", async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () =>
+        Promise.resolve({
+          status: "ready" as const,
+          ttl: 3600000,
+          envelope: { v: 2, alg: "AES-256-GCM" },
+        }),
+    });
+
+    renderReadView();
+
+    await waitFor(
+      () => {
+        expect(screen.getByText(/unsupported format version/i)).toBeInTheDocument();
+      },
+      { timeout: 5000 }
+    );
+    expect(screen.queryByRole("button", { name: /initiate/i })).not.toBeInTheDocument();
+    expect(mockFetch).toHaveBeenCalledTimes(1);
   });
 
   it("should show confirmation dialog on confirm click", async () => {
@@ -195,9 +251,9 @@ describe("ReadView", () => {
     await waitFor(
       () => {
         expect(mockFetch).toHaveBeenCalledWith(
-          "http://localhost:3000/api/secrets/test-id",
+          "http://localhost:3000/api/secrets/test-id/reveal",
           expect.objectContaining({
-            method: "GET",
+            method: "POST",
           })
         );
       },
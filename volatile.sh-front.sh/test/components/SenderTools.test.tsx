@@ -0,0 +1,63 @@
+/**
+ * SenderTools component tests
+ */
+
+import type React from "react";
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { SenderTools } from "../../components/SenderTools";
+import { ToastProvider } from "../../components/Toast";
+
+function TestWrapper({ children }: { children: React.ReactNode }) {
+  return <ToastProvider>{children}</ToastProvider>;
+}
+
+const mockFetch = vi.fn();
+global.fetch = mockFetch as unknown as typeof fetch;
+
+describe("SenderTools", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("shows the read status and offers the receipt once the secret is gone", async () => {
+    mockFetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: async () => ({ id: "abc", status: "read", readAt: 1_700_000_000_000 }),
+    });
+    const user = userEvent.setup();
+    render(<SenderTools id="abc" deleteToken="tok" />, { wrapper: TestWrapper });
+
+    expect(screen.queryByLabelText(/deletion receipt/i)).not.toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: /whether the secret has been read/i }));
+
+    await waitFor(() => {
+      expect(screen.getByTestId("secret-status")).toHaveTextContent(/^READ @/);
+    });
+    expect(mockFetch).toHaveBeenCalledWith("/api/secrets/abc/status", {
+      headers: { Authorization: "Bearer tok" },
+    });
+    expect(screen.getByLabelText(/deletion receipt/i)).toBeInTheDocument();
+  });
+
+  it("revokes the link with the delete token", async () => {
+    mockFetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({}) });
+    const user = userEvent.setup();
+    render(<SenderTools id="abc" deleteToken="tok" />, { wrapper: TestWrapper });
+
+    await user.click(screen.getByRole("button", { name: /revoke secret/i }));
+
+    await waitFor(() => {
+      expect(screen.getByRole("button", { name: /revoke secret/i })).toHaveTextContent(
+        "LINK REVOKED"
+      );
+    });
+    expect(mockFetch).toHaveBeenCalledWith("/api/secrets/abc", {
+      method: "DELETE",
+      headers: { Authorization: "Bearer tok" },
+    });
+    expect(screen.getByRole("button", { name: /revoke secret/i })).toBeDisabled();
+  });
+});
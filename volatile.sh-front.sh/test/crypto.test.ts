@@ -130,7 +130,7 @@ describe("Crypto Utilities", () => {
 
   describe("Constants", () => {
     it("should export MAX_PLAINTEXT_CHARS constant", () => {
-      expect(MAX_PLAINTEXT_CHARS).toBe(1_000_000);
+      expect(MAX_PLAINTEXT_CHARS).toBe(10_000_000);
     });
   });
 
@@ -0,0 +1,153 @@
+/**
+ * Versioned encryption envelope, associated data, padding and compression tests (real Web Crypto)
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  generateKey,
+  encryptMessage,
+  decryptMessage,
+  encryptBytes,
+  decryptBytes,
+  createEnvelope,
+  encodeEnvelopeHeader,
+  decodeEnvelopeHeader,
+  unsupportedEnvelopeReason,
+  linkFragment,
+  parseLinkFragment,
+  bytesToB64Url,
+  b64UrlToBytes,
+  padBytes,
+  unpadBytes,
+  compressBytes,
+} from "../utils/crypto";
+
+describe("Envelopes", () => {
+  it("tags new payloads with the current version and decrypts them", async () => {
+    const key = await generateKey();
+    const sealed = await encryptMessage("tagged", key);
+    expect(sealed.envelope).toEqual({ v: 1, alg: "AES-256-GCM" });
+    expect(await decryptMessage(sealed, key)).toBe("tagged");
+  });
+
+  it("still decrypts legacy payloads that carry no envelope", async () => {
+    // Sealed the way clients did before envelopes and associated data existed
+    const key = await generateKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode("old link")
+    );
+    const legacy = { iv: bytesToB64Url(iv), content: bytesToB64Url(new Uint8Array(ciphertext)) };
+    expect(await decryptMessage(legacy, key)).toBe("old link");
+  });
+
+  it("refuses versions, ciphers and flags this client cannot undo", async () => {
+    expect(unsupportedEnvelopeReason(createEnvelope())).toBeNull();
+    expect(unsupportedEnvelopeReason({ v: 9, alg: "AES-256-GCM" })).toMatch(/version 9/);
+    expect(unsupportedEnvelopeReason({ v: 1, alg: "XChaCha20" })).toMatch(/cipher/);
+
+    const key = await generateKey();
+    const envelope = createEnvelope({ flags: ["zstd"] });
+    const sealed = await encryptMessage("from the future", key, envelope);
+    await expect(decryptMessage(sealed, key)).rejects.toThrow(/flag "zstd"/);
+  });
+
+  it("round-trips through the raw header encoding", () => {
+    const envelope = createEnvelope({ kdf: { name: "hkdf-sha256", info: "volatile.sh" } });
+    expect(decodeEnvelopeHeader(encodeEnvelopeHeader(envelope))).toEqual(envelope);
+    expect(decodeEnvelopeHeader(null)).toBeUndefined();
+  });
+});
+
+describe("Associated data", () => {
+  it("binds the payload to the nonce carried in its link", async () => {
+    const key = await generateKey();
+    const sealed = await encryptMessage("bound", key);
+    const { key: keyPart, nonce } = parseLinkFragment(linkFragment("k3y", sealed.aad));
+    expect(keyPart).toBe("k3y");
+
+    expect(await decryptMessage(sealed, key, nonce)).toBe("bound");
+    // Same key, but sealed for another link: the server swapped payloads between IDs
+    const other = await encryptMessage("other", key);
+    await expect(decryptMessage(other, key, nonce)).rejects.toThrow(/different link/);
+  });
+
+  it("fails loudly when the envelope or associated data is altered", async () => {
+    const key = await generateKey();
+    const sealed = await encryptMessage("bound", key);
+
+    await expect(
+      decryptMessage({ ...sealed, envelope: createEnvelope({ flags: ["x"] }) }, key)
+    ).rejects.toThrow(/envelope was altered/);
+    await expect(decryptMessage({ ...sealed, aad: undefined }, key, "n0nce")).rejects.toThrow(
+      /missing/
+    );
+
+    const forged = bytesToB64Url(
+      new TextEncoder().encode(JSON.stringify({ nonce: "forged", envelope: sealed.envelope }))
+    );
+    await expect(decryptMessage({ ...sealed, aad: forged }, key)).rejects.toThrow();
+  });
+});
+
+describe("Length padding", () => {
+  it("hides the exact length inside a size bucket and strips it on decrypt", async () => {
+    const key = await generateKey();
+    const short = await encryptMessage("hunter2", key, createEnvelope({ flags: ["pad-pow2"] }));
+    const longer = await encryptMessage(
+      "correct horse battery staple",
+      key,
+      createEnvelope({ flags: ["pad-pow2"] })
+    );
+
+    // 256-byte bucket + 16-byte GCM tag for both
+    expect(b64UrlToBytes(short.content)).toHaveLength(272);
+    expect(b64UrlToBytes(longer.content)).toHaveLength(272);
+    expect(await decryptMessage(short, key)).toBe("hunter2");
+  });
+
+  it("pads to whole blocks and survives payloads ending in zero bytes", () => {
+    const bytes = new Uint8Array([1, 0, 0]);
+    const padded = padBytes(bytes, "pad-4k");
+    expect(padded).toHaveLength(4096);
+    expect(Array.from(unpadBytes(padded))).toEqual([1, 0, 0]);
+    expect(padBytes(new Uint8Array(4096), "pad-4k")).toHaveLength(8192);
+    expect(() => unpadBytes(new Uint8Array(16))).toThrow(/padding/);
+  });
+});
+
+describe("Compression", () => {
+  it("deflates text that shrinks and flags it in the envelope", async () => {
+    const key = await generateKey();
+    const text = "API_KEY=abc123\n".repeat(500);
+    const sealed = await encryptMessage(text, key, createEnvelope(), { compress: true });
+
+    expect(sealed.envelope?.flags).toEqual(["deflate-raw"]);
+    expect(b64UrlToBytes(sealed.content).length).toBeLessThan(text.length / 10);
+    expect(await decryptMessage(sealed, key)).toBe(text);
+  });
+
+  it("leaves payloads alone when deflating would not make them smaller", async () => {
+    const key = await generateKey();
+    const random = crypto.getRandomValues(new Uint8Array(512));
+    const sealed = await encryptBytes(random, key, createEnvelope(), { compress: true });
+
+    expect(sealed.envelope).toEqual({ v: 1, alg: "AES-256-GCM" });
+    expect(Array.from(await decryptBytes(sealed, key))).toEqual(Array.from(random));
+  });
+
+  it("compresses before padding so the bucket reflects the deflated size", async () => {
+    const key = await generateKey();
+    const text = "x".repeat(10_000);
+    const sealed = await encryptMessage(text, key, createEnvelope({ flags: ["pad-pow2"] }), {
+      compress: true,
+    });
+
+    expect(sealed.envelope?.flags).toEqual(["deflate-raw", "pad-pow2"]);
+    expect(b64UrlToBytes(sealed.content)).toHaveLength(272);
+    expect(await decryptMessage(sealed, key)).toBe(text);
+    expect((await compressBytes(new TextEncoder().encode(text))).length).toBeLessThan(256);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * File attachment packing tests
+ */
+
+import { describe, it, expect } from "vitest";
+import { packFile, unpackFile, splitChunks, formatBytes, UPLOAD_CHUNK_CHARS } from "../utils/file";
+
+describe("File Utils", () => {
+  describe("packFile / unpackFile", () => {
+    it("round-trips metadata and bytes", () => {
+      const bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+      const packed = packFile(
+        { name: "kubeconfig.yaml", type: "application/yaml", size: bytes.length },
+        bytes
+      );
+
+      const { meta, bytes: out } = unpackFile(packed);
+      expect(meta).toEqual({ name: "kubeconfig.yaml", type: "application/yaml", size: 6 });
+      expect(Array.from(out)).toEqual(Array.from(bytes));
+    });
+
+    it("handles empty files and unicode names", () => {
+      const packed = packFile({ name: "证书.p12", type: "", size: 0 }, new Uint8Array());
+      const { meta, bytes } = unpackFile(packed);
+      expect(meta.name).toBe("证书.p12");
+      expect(bytes.length).toBe(0);
+    });
+
+    it("rejects truncated payloads", () => {
+      expect(() => unpackFile(new Uint8Array([0, 0]))).toThrow("TRUNCATED");
+      expect(() => unpackFile(new Uint8Array([0, 0, 0, 50, 123]))).toThrow("TRUNCATED");
+    });
+  });
+
+  describe("splitChunks", () => {
+    it("splits on the upload chunk size", () => {
+      const encoded = "A".repeat(UPLOAD_CHUNK_CHARS * 2 + 5);
+      const chunks = splitChunks(encoded);
+      expect(chunks.map((c) => c.length)).toEqual([UPLOAD_CHUNK_CHARS, UPLOAD_CHUNK_CHARS, 5]);
+      expect(chunks.join("")).toBe(encoded);
+    });
+  });
+
+  describe("formatBytes", () => {
+    it("picks a readable unit", () => {
+      expect(formatBytes(512)).toBe("512 B");
+      expect(formatBytes(2048)).toBe("2.0 KB");
+      expect(formatBytes(10 * 1024 * 1024)).toBe("10.0 MB");
+    });
+  });
+});
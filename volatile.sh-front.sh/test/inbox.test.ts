@@ -0,0 +1,46 @@
+/**
+ * Inbox sealing tests (real Web Crypto)
+ */
+
+import { describe, it, expect } from "vitest";
+import { createEnvelope } from "../utils/crypto";
+import { generateInboxKeyPair, exportPublicKey, sealToInbox, openSealed } from "../utils/inbox";
+
+describe("Inbox Utils", () => {
+  it("exports the public key as 87 base64url chars", async () => {
+    const { publicKey } = await generateInboxKeyPair();
+    expect(await exportPublicKey(publicKey)).toMatch(/^[A-Za-z0-9_-]{87}$/);
+  });
+
+  it("round-trips a sealed secret to the inbox owner", async () => {
+    const pair = await generateInboxKeyPair();
+    const pub = await exportPublicKey(pair.publicKey);
+
+    const sealed = await sealToInbox("db password: hunter2", pub);
+    expect(sealed.epk).toMatch(/^[A-Za-z0-9_-]{87}$/);
+    expect(sealed.epk).not.toBe(pub);
+
+    expect(await openSealed(sealed, pair.privateKey, pub)).toBe("db password: hunter2");
+  });
+
+  it("cannot be opened with another inbox key", async () => {
+    const pair = await generateInboxKeyPair();
+    const other = await generateInboxKeyPair();
+    const pub = await exportPublicKey(pair.publicKey);
+
+    const sealed = await sealToInbox("secret", pub);
+    await expect(openSealed(sealed, other.privateKey, pub)).rejects.toThrow();
+  });
+
+  it("pads the sealed secret to the envelope's scheme and strips it on open", async () => {
+    const pair = await generateInboxKeyPair();
+    const pub = await exportPublicKey(pair.publicKey);
+
+    const sealed = await sealToInbox("short", pub, createEnvelope({ flags: ["pad-pow2"] }));
+    expect(sealed.envelope?.flags).toEqual(["pad-pow2"]);
+    // 256 padded bytes + 16-byte GCM tag
+    expect(sealed.encrypted.length).toBe(Math.ceil((272 * 4) / 3));
+
+    expect(await openSealed(sealed, pair.privateKey, pub)).toBe("short");
+  });
+});
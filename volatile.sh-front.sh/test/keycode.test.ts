@@ -0,0 +1,46 @@
+/**
+ * Separate-channel key code tests (real Web Crypto)
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  generateKeyCode,
+  parseKeyCode,
+  deriveKeyFromCode,
+  encryptMessage,
+  decryptMessage,
+} from "../utils/crypto";
+
+describe("Key Codes", () => {
+  it("formats 120 random bits as five groups of five symbols", () => {
+    const code = generateKeyCode();
+    expect(code).toMatch(/^([0-9A-HJKMNP-TV-Z*~$=U]{5}-){4}[0-9A-HJKMNP-TV-Z*~$=U]{5}$/);
+    expect(parseKeyCode(code)).toHaveLength(15);
+    expect(generateKeyCode()).not.toBe(code);
+  });
+
+  it("forgives case, spacing and look-alike letters", () => {
+    const code = generateKeyCode();
+    const bytes = Array.from(parseKeyCode(code));
+    const sloppy = code.toLowerCase().replace(/-/g, " ").replace(/0/g, "o").replace(/1/g, "l");
+    expect(Array.from(parseKeyCode(sloppy))).toEqual(bytes);
+  });
+
+  it("catches a mistyped symbol with the check symbol", () => {
+    const code = generateKeyCode();
+    const typo = (code[0] === "A" ? "B" : "A") + code.slice(1);
+    expect(() => parseKeyCode(typo)).toThrow(/checksum/);
+    expect(() => parseKeyCode(code.slice(0, -2))).toThrow(/25 characters/);
+  });
+
+  it("derives the same AES key from the code on both sides", async () => {
+    const code = generateKeyCode();
+    const sealed = await encryptMessage("out-of-band", await deriveKeyFromCode(code));
+    expect(await decryptMessage(sealed, await deriveKeyFromCode(code.toLowerCase()))).toBe(
+      "out-of-band"
+    );
+    await expect(
+      decryptMessage(sealed, await deriveKeyFromCode(generateKeyCode()))
+    ).rejects.toThrow();
+  });
+});
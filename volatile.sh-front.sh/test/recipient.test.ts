@@ -0,0 +1,92 @@
+/**
+ * Send-to-public-key recipient tests (real Web Crypto)
+ */
+
+import { describe, it, expect } from "vitest";
+import {
+  generateRecipientKeyPair,
+  importRecipientPrivateKey,
+  sealKeyToRecipient,
+  openKeyFromRecipient,
+  recipientOf,
+  recipientKeyId,
+  createEnvelope,
+  encryptMessage,
+  decryptMessage,
+  linkFragment,
+  parseLinkFragment,
+} from "../utils/crypto";
+
+describe("Recipient keys", () => {
+  it("round-trips a secret sealed to a registered public key", async () => {
+    const { publicKey, privateJwk } = await generateRecipientKeyPair();
+    expect(publicKey).toMatch(/^[A-Za-z0-9_-]{87}$/);
+
+    const { key, kdf } = await sealKeyToRecipient("acme-ops", publicKey);
+    const sealed = await encryptMessage("deploy token", key, createEnvelope({ kdf }));
+    expect(recipientOf(sealed.envelope)).toBe("acme-ops");
+    expect(sealed.envelope?.kdf?.kid).toBe(await recipientKeyId(publicKey));
+
+    // The reader's browser only ever holds a non-extractable import of the backup
+    const imported = await importRecipientPrivateKey(privateJwk);
+    expect(imported.publicKey).toBe(publicKey);
+    expect(imported.privateKey.extractable).toBe(false);
+
+    const opened = await openKeyFromRecipient(
+      sealed.envelope!,
+      imported.privateKey,
+      imported.publicKey
+    );
+    expect(await decryptMessage(sealed, opened)).toBe("deploy token");
+  });
+
+  it("cannot be opened with another recipient's key", async () => {
+    const alice = await generateRecipientKeyPair();
+    const mallory = await importRecipientPrivateKey((await generateRecipientKeyPair()).privateJwk);
+
+    const { key, kdf } = await sealKeyToRecipient("alice", alice.publicKey);
+    const sealed = await encryptMessage("for alice", key, createEnvelope({ kdf }));
+    expect(sealed.envelope?.kdf?.kid).not.toBe(await recipientKeyId(mallory.publicKey));
+
+    const wrong = await openKeyFromRecipient(
+      sealed.envelope!,
+      mallory.privateKey,
+      mallory.publicKey
+    );
+    await expect(decryptMessage(sealed, wrong)).rejects.toThrow();
+  });
+
+  it("rejects a payload swapped between two links sealed to the same recipient", async () => {
+    const { publicKey, privateJwk } = await generateRecipientKeyPair();
+    const imported = await importRecipientPrivateKey(privateJwk);
+    const seal = async (text: string) => {
+      const { key, kdf } = await sealKeyToRecipient("acme-ops", publicKey);
+      return encryptMessage(text, key, createEnvelope({ kdf }));
+    };
+    const first = await seal("first");
+    const second = await seal("second");
+
+    // Recipient links carry no key, only the nonce of their own payload
+    const fragment = linkFragment("", first.aad);
+    expect(fragment).toMatch(/^\.[A-Za-z0-9_-]+$/);
+    const { key, nonce } = parseLinkFragment(fragment);
+    expect(key).toBe("");
+
+    const open = (sealed: typeof first) =>
+      openKeyFromRecipient(sealed.envelope!, imported.privateKey, imported.publicKey);
+    expect(await decryptMessage(first, await open(first), nonce)).toBe("first");
+    // The server answered the first link with the second secret, envelope and AAD included
+    await expect(decryptMessage(second, await open(second), nonce)).rejects.toThrow(
+      /different link/
+    );
+  });
+
+  it("rejects backups that are not P-256 private keys", async () => {
+    await expect(importRecipientPrivateKey("not json")).rejects.toThrow(/JWK/);
+    const { publicKey } = await generateRecipientKeyPair();
+    await expect(
+      importRecipientPrivateKey(JSON.stringify({ kty: "EC", crv: "P-256", x: publicKey }))
+    ).rejects.toThrow(/P-256 private key/);
+    expect(recipientOf(createEnvelope())).toBeNull();
+  });
+});
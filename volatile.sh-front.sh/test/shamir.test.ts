@@ -0,0 +1,41 @@
+/**
+ * Shamir secret sharing tests (real Web Crypto randomness)
+ */
+
+import { describe, it, expect } from "vitest";
+import { splitSecret, combineShares } from "../utils/crypto";
+
+const plaintext = "root:correct horse battery staple";
+const secret = new TextEncoder().encode(plaintext);
+const decode = (bytes: Uint8Array) => new TextDecoder().decode(bytes);
+
+describe("Shamir Secret Sharing", () => {
+  it("reconstructs the secret from any threshold subset", () => {
+    const shares = splitSecret(secret, 3, 5);
+    expect(shares).toHaveLength(5);
+    expect(shares.map((s) => s[0])).toEqual([1, 2, 3, 4, 5]);
+
+    for (const subset of [
+      [0, 1, 2],
+      [4, 2, 0],
+      [1, 3, 4],
+      [0, 1, 2, 3, 4],
+    ]) {
+      expect(decode(combineShares(subset.map((i) => shares[i])))).toBe(plaintext);
+    }
+  });
+
+  it("does not reveal the secret below the threshold", () => {
+    const shares = splitSecret(secret, 3, 5);
+    expect(decode(combineShares([shares[0], shares[1]]))).not.toBe(plaintext);
+  });
+
+  it("rejects invalid parameters and mismatched shares", () => {
+    expect(() => splitSecret(secret, 1, 3)).toThrow();
+    expect(() => splitSecret(secret, 4, 3)).toThrow();
+
+    const [a, b] = splitSecret(secret, 2, 2);
+    expect(() => combineShares([a, a])).toThrow(/twice/);
+    expect(() => combineShares([a, b.subarray(0, 5)])).toThrow(/same secret/);
+  });
+});
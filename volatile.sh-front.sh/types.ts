@@ -1,15 +1,118 @@
+// How a payload was sealed, stored opaquely by the API so old links keep decrypting
+// after the format changes. Payloads without one predate envelopes (version 0).
+export interface Envelope {
+  v: number;
+  alg: string; // e.g. "AES-256-GCM"
+  kdf?: { name: string; [param: string]: string | number }; // how the key was derived
+  flags?: string[]; // transforms applied to the plaintext before encryption
+}
+
 export interface EncryptedPayload {
   iv: string; // base64url
   content: string; // base64url
+  envelope?: Envelope;
+  aad?: string; // base64url AES-GCM associated data, returned by the API unchanged
+}
+
+// Sent and received as application/octet-stream; only the IV stays base64url (in a header)
+export interface RawEncryptedPayload {
+  iv: string; // base64url
+  ciphertext: Uint8Array;
+  envelope?: Envelope;
+  aad?: string; // base64url
 }
 
 export interface ApiCreateResponse {
   id: string;
   expiresAt: number;
+  maxViews: number;
+  deleteToken: string; // bearer token for DELETE and GET /api/secrets/:id/status
+  availableAt?: number; // only when created with a future notBefore
+  notifySecret?: string; // only when created with a notify webhook URL
+  chunks?: number; // only when opened as a chunked upload
 }
 
 export interface ApiReadResponse {
   encrypted: string; // base64url
   iv: string; // base64url
+  viewsRemaining?: number;
+  kind?: "text" | "file"; // "file" payloads decrypt to a packed attachment (utils/file.ts)
+  envelope?: Envelope;
+  aad?: string; // base64url
   error?: string;
 }
+
+export type SecretLifecycle = "pending" | "read" | "expired" | "revoked" | "locked";
+
+export interface ApiStatusResponse {
+  id: string;
+  status: SecretLifecycle;
+  createdAt: number;
+  expiresAt: number;
+  maxViews: number;
+  viewsRemaining: number;
+  readAt: number | null;
+  burnedAt: number | null;
+  // Only for dead man's switch secrets (created with checkinInterval)
+  checkinDeadline?: number;
+  lastCheckinAt?: number | null;
+  releasedAt?: number | null;
+}
+
+// Signed proof that a secret was destroyed; `payload` is the exact signed JSON (base64url)
+export interface ApiReceiptResponse {
+  receipt: {
+    v: number;
+    id: string;
+    event: Exclude<SecretLifecycle, "pending">;
+    at: number;
+    ciphertextSha256: string | null;
+    keyId: string;
+  };
+  payload: string;
+  signature: string;
+  alg: "Ed25519";
+}
+
+export interface ApiBundleCreateResponse {
+  id: string;
+  expiresAt: number;
+  maxViews: number;
+  deleteToken: string; // covers the bundle status and every recipient's DELETE/status
+  threshold: number | null; // M of a Shamir M-of-N split, null for plain recipient bundles
+  recipients: { id: string; label: string }[];
+}
+
+export interface ApiBundleStatusResponse {
+  id: string;
+  createdAt: number;
+  expiresAt: number;
+  threshold: number | null;
+  recipients: (Partial<ApiStatusResponse> & {
+    id: string;
+    label: string;
+    status: SecretLifecycle | "gone";
+  })[];
+}
+
+export interface ApiInboxCreateResponse {
+  id: string;
+  expiresAt: number;
+  ownerToken: string; // bearer token for POST /api/inboxes/:id/open, returned once
+}
+
+export interface ApiInboxStatusResponse {
+  id: string;
+  status: "open" | "filled";
+  createdAt: number;
+  expiresAt: number;
+  filledAt: number | null;
+}
+
+export interface ApiRecipientResponse {
+  handle: string;
+  publicKey: string; // base64url raw P-256 point
+  createdAt: number;
+  updatedAt: number;
+  ownerToken?: string; // only on first registration; bearer token for rotating the key
+}
@@ -2,6 +2,8 @@
  * API utilities with retry logic and exponential backoff
  */
 
+import { bytesToB64Url } from "./crypto";
+
 export interface RetryConfig {
   maxRetries?: number;
   initialDelay?: number;
@@ -18,6 +20,32 @@ const DEFAULT_RETRY_CONFIG: Required<RetryConfig> = {
   retryableStatuses: [408, 429, 500, 502, 503, 504],
 };
 
+/**
+ * Retry policy for POST /api/secrets. Every upload attempt sends a fresh Idempotency-Key
+ * that its retries reuse, so a retry after a lost response replays the original secret
+ * instead of creating an orphan. A 409 means the first try is still in flight.
+ */
+export const CREATE_RETRY_CONFIG: RetryConfig = {
+  maxRetries: 3,
+  initialDelay: 1000,
+  retryableStatuses: [...DEFAULT_RETRY_CONFIG.retryableStatuses, 409],
+};
+
+/**
+ * Generate an Idempotency-Key for one upload attempt
+ */
+export function newIdempotencyKey(): string {
+  return crypto.randomUUID();
+}
+
+/**
+ * Generate the deleteToken for one upload: 32 random bytes as base64url. Sent with the
+ * create request, so it survives an idempotent replay that omits it from the response.
+ */
+export function newDeleteToken(): string {
+  return bytesToB64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
 /**
  * Sleep for a specified number of milliseconds
  */
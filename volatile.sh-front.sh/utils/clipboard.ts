@@ -0,0 +1,35 @@
+/**
+ * Copy text to the clipboard. Falls back to a hidden textarea and execCommand where the
+ * async Clipboard API is unavailable (insecure contexts, older browsers).
+ * @returns false when neither worked, so the caller can ask for a manual copy
+ */
+export async function copyText(value: string): Promise<boolean> {
+  if (navigator.clipboard && window.isSecureContext) {
+    try {
+      await navigator.clipboard.writeText(value);
+      return true;
+    } catch (err) {
+      console.error("Clipboard error:", err);
+    }
+  }
+  return fallbackCopy(value);
+}
+
+function fallbackCopy(value: string): boolean {
+  try {
+    const textarea = document.createElement("textarea");
+    textarea.value = value;
+    textarea.setAttribute("readonly", "");
+    textarea.setAttribute("aria-label", "Temporary clipboard textarea");
+    textarea.style.position = "fixed";
+    textarea.style.top = "-1000px";
+    textarea.style.left = "-1000px";
+    document.body.appendChild(textarea);
+    textarea.select();
+    const ok = document.execCommand("copy");
+    document.body.removeChild(textarea);
+    return ok;
+  } catch {
+    return false;
+  }
+}
@@ -1,4 +1,4 @@
-import { EncryptedPayload } from "../types";
+import { EncryptedPayload, Envelope, RawEncryptedPayload } from "../types";
 
 const CHUNK = 0x8000;
 
@@ -32,36 +32,309 @@ export async function generateKey(): Promise<CryptoKey> {
   ]);
 }
 
+export const ENVELOPE_VERSION = 1;
+const ENVELOPE_ALG = "AES-256-GCM";
+
+// Length-hiding padding schemes, keyed by envelope flag: padded size for n bytes
+const PAD_SIZES: Record<string, (length: number) => number> = {
+  "pad-pow2": (n) => Math.max(256, 2 ** Math.ceil(Math.log2(n))),
+  "pad-4k": (n) => Math.ceil(n / 4096) * 4096,
+};
+
+// Plaintext deflated before padding and encryption (only when that made it smaller)
+const COMPRESSION_FLAG = "deflate-raw";
+
+// Refuse to inflate past this, so a crafted payload cannot exhaust the reader's memory
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+// Flags this client can undo when decrypting; anything else means a newer format
+const SUPPORTED_FLAGS = new Set<string>([...Object.keys(PAD_SIZES), COMPRESSION_FLAG]);
+
+export interface SealOptions {
+  compress?: boolean; // deflate first and flag it in the envelope if the result is smaller
+}
+
+async function pipeBytes(
+  bytes: Uint8Array,
+  stream: CompressionStream | DecompressionStream,
+  maxBytes = Infinity
+): Promise<Uint8Array> {
+  // Write without awaiting: the readable side has to drain for the write to finish
+  const writer = stream.writable.getWriter();
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks: Uint8Array[] = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > maxBytes) {
+      await reader.cancel();
+      throw new Error("Decompressed payload is too large");
+    }
+    chunks.push(value);
+  }
+
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+export function compressBytes(bytes: Uint8Array): Promise<Uint8Array> {
+  return pipeBytes(bytes, new CompressionStream(COMPRESSION_FLAG));
+}
+
+export function decompressBytes(bytes: Uint8Array): Promise<Uint8Array> {
+  return pipeBytes(bytes, new DecompressionStream(COMPRESSION_FLAG), MAX_INFLATED_BYTES);
+}
+
+/**
+ * Pad to the scheme's next size so the ciphertext only reveals a bucket, not the
+ * exact length. ISO/IEC 7816-4 style: a 0x80 marker, then zeros.
+ */
+export function padBytes(bytes: Uint8Array, flag: string): Uint8Array {
+  const padded = new Uint8Array(PAD_SIZES[flag](bytes.length + 1));
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+  return padded;
+}
+
+export function unpadBytes(padded: Uint8Array): Uint8Array {
+  let end = padded.length - 1;
+  while (end >= 0 && padded[end] === 0) end--;
+  if (end < 0 || padded[end] !== 0x80) throw new Error("Invalid padding");
+  return padded.subarray(0, end);
+}
+
+export const padFlag = (envelope?: Envelope) => envelope?.flags?.find((flag) => flag in PAD_SIZES);
+
+/**
+ * Describe a payload sealed by this client
+ */
+export function createEnvelope(options: Pick<Envelope, "kdf" | "flags"> = {}): Envelope {
+  return {
+    v: ENVELOPE_VERSION,
+    alg: ENVELOPE_ALG,
+    ...(options.kdf && { kdf: options.kdf }),
+    ...(options.flags?.length && { flags: options.flags }),
+  };
+}
+
+/**
+ * Associated data sealed into a payload: a fresh nonce, which the link also carries,
+ * and the envelope. The server returns it untouched, so a payload moved to another ID
+ * or a tampered envelope no longer matches the link it is opened from.
+ */
+export function createAad(envelope: Envelope): string {
+  const nonce = bytesToB64Url(window.crypto.getRandomValues(new Uint8Array(16)));
+  return bytesToB64Url(new TextEncoder().encode(JSON.stringify({ nonce, envelope })));
+}
+
+function readAad(aad: string): { nonce: string; envelope: Envelope } {
+  try {
+    return JSON.parse(new TextDecoder().decode(b64UrlToBytes(aad)));
+  } catch {
+    throw new Error("Payload integrity check failed: malformed associated data");
+  }
+}
+
+/**
+ * Link fragment for a payload: the key, then the AAD nonce after a dot (`#<key>.<nonce>`).
+ * Links that carry no key (key code, recipient) pass "" and keep just the nonce (`#.<nonce>`).
+ */
+export function linkFragment(keyB64Url: string, aad?: string): string {
+  return aad ? `${keyB64Url}.${readAad(aad).nonce}` : keyB64Url;
+}
+
+export function parseLinkFragment(fragment: string): { key: string; nonce?: string } {
+  const [key, nonce] = fragment.split(".");
+  return { key, ...(nonce && { nonce }) };
+}
+
 /**
  * Encrypt text with a key
  */
-export async function encryptMessage(text: string, key: CryptoKey): Promise<EncryptedPayload> {
+export async function encryptMessage(
+  text: string,
+  key: CryptoKey,
+  envelope: Envelope = createEnvelope(),
+  options: SealOptions = {}
+): Promise<EncryptedPayload> {
+  return encryptBytes(new TextEncoder().encode(text), key, envelope, options);
+}
+
+/**
+ * Encrypt raw bytes (e.g. a packed file attachment) with a key
+ */
+export async function encryptBytes(
+  bytes: Uint8Array,
+  key: CryptoKey,
+  envelope: Envelope = createEnvelope(),
+  options: SealOptions = {}
+): Promise<EncryptedPayload> {
+  const sealed = await encryptRaw(bytes, key, envelope, options);
+  return {
+    iv: sealed.iv,
+    content: bytesToB64Url(sealed.ciphertext),
+    envelope: sealed.envelope,
+    aad: sealed.aad,
+  };
+}
+
+/**
+ * Encrypt bytes without the base64url step, for application/octet-stream uploads
+ */
+export async function encryptRaw(
+  bytes: Uint8Array,
+  key: CryptoKey,
+  envelope: Envelope = createEnvelope(),
+  options: SealOptions = {}
+): Promise<RawEncryptedPayload> {
+  if (options.compress && typeof CompressionStream !== "undefined") {
+    const deflated = await compressBytes(bytes);
+    if (deflated.length < bytes.length) {
+      bytes = deflated;
+      envelope = { ...envelope, flags: [COMPRESSION_FLAG, ...(envelope.flags ?? [])] };
+    }
+  }
+
   const iv = window.crypto.getRandomValues(new Uint8Array(12));
-  const encodedText = new TextEncoder().encode(text);
+  const aad = createAad(envelope);
+  const flag = padFlag(envelope);
 
   const ciphertext = await window.crypto.subtle.encrypt(
-    { name: "AES-GCM", iv: iv },
+    { name: "AES-GCM", iv: iv, additionalData: b64UrlToBytes(aad) },
     key,
-    encodedText
+    flag ? padBytes(bytes, flag) : bytes
   );
 
   return {
     iv: bytesToB64Url(iv),
-    content: bytesToB64Url(new Uint8Array(ciphertext)),
+    ciphertext: new Uint8Array(ciphertext),
+    envelope,
+    aad,
   };
 }
 
 /**
  * Decrypt content with a key
  */
-export async function decryptMessage(payload: EncryptedPayload, key: CryptoKey): Promise<string> {
+export async function decryptMessage(
+  payload: EncryptedPayload,
+  key: CryptoKey,
+  nonce?: string
+): Promise<string> {
+  return new TextDecoder().decode(await decryptBytes(payload, key, nonce));
+}
+
+/**
+ * Decrypt content with a key, returning raw bytes
+ */
+export async function decryptBytes(
+  payload: EncryptedPayload,
+  key: CryptoKey,
+  nonce?: string
+): Promise<Uint8Array> {
+  const { content, ...rest } = payload;
+  return decryptRaw({ ...rest, ciphertext: b64UrlToBytes(content) }, key, nonce);
+}
+
+async function decryptAesGcm(payload: RawEncryptedPayload, key: CryptoKey): Promise<Uint8Array> {
   const decrypted = await window.crypto.subtle.decrypt(
-    { name: "AES-GCM", iv: b64UrlToBytes(payload.iv) },
+    {
+      name: "AES-GCM",
+      iv: b64UrlToBytes(payload.iv),
+      ...(payload.aad && { additionalData: b64UrlToBytes(payload.aad) }),
+    },
     key,
-    b64UrlToBytes(payload.content)
+    payload.ciphertext
   );
 
-  return new TextDecoder().decode(decrypted);
+  return new Uint8Array(decrypted);
+}
+
+/**
+ * Refuse a payload whose associated data does not match the link (nonce from the
+ * fragment) or the envelope the server returned next to it
+ */
+function checkAad(payload: RawEncryptedPayload, nonce?: string): void {
+  if (!payload.aad) {
+    if (nonce) throw new Error("Payload integrity check failed: associated data is missing");
+    return;
+  }
+
+  const sealed = readAad(payload.aad);
+  if (nonce && sealed.nonce !== nonce) {
+    throw new Error("Payload integrity check failed: this payload belongs to a different link");
+  }
+  if (JSON.stringify(sealed.envelope) !== JSON.stringify(payload.envelope)) {
+    throw new Error("Payload integrity check failed: envelope was altered");
+  }
+}
+
+// One decryption path per envelope version; old versions stay for links still in flight
+const DECRYPTORS: Record<
+  number,
+  (payload: RawEncryptedPayload, key: CryptoKey) => Promise<Uint8Array>
+> = {
+  // Bare {iv, content} AES-256-GCM from before envelopes
+  0: decryptAesGcm,
+  // Undo the envelope's transforms in reverse: padding, then compression
+  1: async (payload, key) => {
+    let bytes = await decryptAesGcm(payload, key);
+    if (padFlag(payload.envelope)) bytes = unpadBytes(bytes);
+    if (payload.envelope?.flags?.includes(COMPRESSION_FLAG)) bytes = await decompressBytes(bytes);
+    return bytes;
+  },
+};
+
+// Octet-stream uploads and reads carry the envelope as base64url JSON in X-Volatile-Envelope
+export function encodeEnvelopeHeader(envelope: Envelope): string {
+  return bytesToB64Url(new TextEncoder().encode(JSON.stringify(envelope)));
+}
+
+export function decodeEnvelopeHeader(header: string | null): Envelope | undefined {
+  return header ? JSON.parse(new TextDecoder().decode(b64UrlToBytes(header))) : undefined;
+}
+
+/**
+ * Why this client cannot open a payload sealed with the given envelope, or null if it can.
+ * Checked before a secret is burned so an unreadable link is not wasted.
+ */
+export function unsupportedEnvelopeReason(envelope?: Envelope): string | null {
+  if (!envelope) return null;
+  if (!(envelope.v in DECRYPTORS)) {
+    return `Unsupported format version ${envelope.v}; reload to update volatile.sh`;
+  }
+  if (envelope.alg !== ENVELOPE_ALG) return `Unsupported cipher ${envelope.alg}`;
+  const flag = envelope.flags?.find((f) => !SUPPORTED_FLAGS.has(f));
+  if (flag) return `Unsupported payload flag "${flag}"; reload to update volatile.sh`;
+  if (envelope.flags?.includes(COMPRESSION_FLAG) && typeof DecompressionStream === "undefined") {
+    return "This browser cannot decompress the secret; try a current browser";
+  }
+  return null;
+}
+
+/**
+ * Decrypt an application/octet-stream ciphertext with a key, dispatching on its envelope.
+ * Pass the nonce from the link fragment, when it has one, to verify the payload is its own.
+ */
+export async function decryptRaw(
+  payload: RawEncryptedPayload,
+  key: CryptoKey,
+  nonce?: string
+): Promise<Uint8Array> {
+  checkAad(payload, nonce);
+  const reason = unsupportedEnvelopeReason(payload.envelope);
+  if (reason) throw new Error(reason);
+  return DECRYPTORS[payload.envelope?.v ?? 0](payload, key);
 }
 
 export async function exportKeyToB64Url(key: CryptoKey): Promise<string> {
@@ -86,5 +359,389 @@ export function isValidIvLength(b64urlIv: string): boolean {
   return len >= 16 && len <= 24;
 }
 
-// Maximum plaintext size before encryption (approximately 1MB after base64 encoding)
-export const MAX_PLAINTEXT_CHARS = 1_000_000;
+// Key codes: 120 random bits as 24 Crockford base32 symbols plus one mod-37 check symbol.
+// Crockford drops I, L, O and U so a code survives being read aloud or retyped.
+const CROCKFORD = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const CROCKFORD_CHECK = CROCKFORD + "*~$=U";
+const KEY_CODE_BYTES = 15;
+const KEY_CODE_SYMBOLS = 24;
+const KEY_CODE_INFO = "volatile.sh key code v1";
+
+// Recorded in the envelope of key-code secrets so readers know to ask for the code
+export const KEY_CODE_KDF = { name: "hkdf-sha256", info: KEY_CODE_INFO };
+
+function keyCodeCheck(symbols: string): string {
+  let remainder = 0;
+  for (const symbol of symbols) remainder = (remainder * 32 + CROCKFORD.indexOf(symbol)) % 37;
+  return CROCKFORD_CHECK[remainder];
+}
+
+/**
+ * Generate a human-typable key code for separate-channel delivery,
+ * formatted as five groups of five, e.g. "7K2QX-M0D4R-..."
+ */
+export function generateKeyCode(): string {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(KEY_CODE_BYTES));
+  let symbols = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      symbols += CROCKFORD[(buffer >> bits) & 31];
+    }
+  }
+
+  const code = symbols + keyCodeCheck(symbols);
+  return Array.from({ length: code.length / 5 }, (_, i) => code.slice(i * 5, i * 5 + 5)).join("-");
+}
+
+/**
+ * Decode a key code typed by the recipient. Case, spaces, dashes and the
+ * look-alikes O/I/L are forgiven; a wrong check symbol throws before any network call.
+ */
+export function parseKeyCode(code: string): Uint8Array {
+  const normalized = code
+    .toUpperCase()
+    .replace(/[\s-]/g, "")
+    .replace(/O/g, "0")
+    .replace(/[IL]/g, "1");
+
+  if (normalized.length !== KEY_CODE_SYMBOLS + 1) {
+    throw new Error(`Key code must be ${KEY_CODE_SYMBOLS + 1} characters`);
+  }
+  const symbols = normalized.slice(0, KEY_CODE_SYMBOLS);
+  if ([...symbols].some((symbol) => !CROCKFORD.includes(symbol))) {
+    throw new Error("Key code contains invalid characters");
+  }
+  if (keyCodeCheck(symbols) !== normalized[KEY_CODE_SYMBOLS]) {
+    throw new Error("Key code checksum mismatch - check for typos");
+  }
+
+  const bytes = new Uint8Array(KEY_CODE_BYTES);
+  let buffer = 0;
+  let bits = 0;
+  let i = 0;
+  for (const symbol of symbols) {
+    buffer = ((buffer << 5) | CROCKFORD.indexOf(symbol)) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[i++] = (buffer >> bits) & 0xff;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Stretch a key code into the AES-256-GCM key for its secret (HKDF-SHA256).
+ * The code carries 120 bits of entropy, so no slow KDF is needed.
+ */
+export async function deriveKeyFromCode(code: string): Promise<CryptoKey> {
+  const material = await window.crypto.subtle.importKey("raw", parseKeyCode(code), "HKDF", false, [
+    "deriveKey",
+  ]);
+  return window.crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new Uint8Array(0),
+      info: new TextEncoder().encode(KEY_CODE_INFO),
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Sealing to a public key (ECIES): ECDH P-256 -> HKDF-SHA256 -> AES-256-GCM.
+// Shared by request-a-secret inboxes and secrets sent to a registered recipient.
+const ECDH_CURVE = { name: "ECDH", namedCurve: "P-256" } as const;
+
+export function importEcdhPublicKey(b64url: string): Promise<CryptoKey> {
+  return window.crypto.subtle.importKey("raw", b64UrlToBytes(b64url), ECDH_CURVE, false, []);
+}
+
+/**
+ * ECDH shared secret -> AES-256-GCM key. Callers put both public keys in the salt so
+ * the derived key is bound to this exact exchange.
+ */
+export async function deriveEcdhKey(
+  privateKey: CryptoKey,
+  peerPublicKey: CryptoKey,
+  salt: Uint8Array,
+  info: string,
+  usages: KeyUsage[]
+): Promise<CryptoKey> {
+  const shared = await window.crypto.subtle.deriveBits(
+    { name: "ECDH", public: peerPublicKey },
+    privateKey,
+    256
+  );
+  const material = await window.crypto.subtle.importKey("raw", shared, "HKDF", false, [
+    "deriveKey",
+  ]);
+  return window.crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info: new TextEncoder().encode(info) },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    usages
+  );
+}
+
+const RECIPIENT_INFO = "volatile.sh recipient v1";
+
+// Envelope kdf of secrets sealed to a recipient handle: {name, epk, to, kid}
+export const RECIPIENT_KDF_NAME = "ecdh-p256";
+
+/**
+ * Short ID of a recipient public key (first 8 bytes of its SHA-256), so a reader can
+ * tell before burning whether the key in this browser is the one the link was sealed to
+ */
+export async function recipientKeyId(publicKey: string): Promise<string> {
+  const digest = await window.crypto.subtle.digest("SHA-256", b64UrlToBytes(publicKey));
+  return bytesToB64Url(new Uint8Array(digest).slice(0, 8));
+}
+
+/**
+ * Generate a recipient key pair. The private key is returned once as JWK text for the
+ * recipient to back up; browsers only ever keep a non-extractable import of it.
+ */
+export async function generateRecipientKeyPair(): Promise<{
+  publicKey: string;
+  privateJwk: string;
+}> {
+  const pair = await window.crypto.subtle.generateKey(ECDH_CURVE, true, ["deriveBits"]);
+  const raw = new Uint8Array(await window.crypto.subtle.exportKey("raw", pair.publicKey));
+  const jwk = await window.crypto.subtle.exportKey("jwk", pair.privateKey);
+  return { publicKey: bytesToB64Url(raw), privateJwk: JSON.stringify(jwk) };
+}
+
+/**
+ * Import a recipient's private key from JWK text as non-extractable, along with the
+ * raw public key it belongs to (needed for the HKDF salt)
+ */
+export async function importRecipientPrivateKey(
+  jwkText: string
+): Promise<{ privateKey: CryptoKey; publicKey: string }> {
+  let jwk: JsonWebKey;
+  try {
+    jwk = JSON.parse(jwkText);
+  } catch {
+    throw new Error("Private key must be a JWK (JSON) file");
+  }
+  if (jwk?.kty !== "EC" || jwk.crv !== "P-256" || !jwk.d || !jwk.x || !jwk.y) {
+    throw new Error("Not a P-256 private key");
+  }
+
+  const privateKey = await window.crypto.subtle.importKey("jwk", jwk, ECDH_CURVE, false, [
+    "deriveBits",
+  ]);
+  const publicKey = await window.crypto.subtle.importKey(
+    "jwk",
+    { kty: "EC", crv: "P-256", x: jwk.x, y: jwk.y },
+    ECDH_CURVE,
+    true,
+    []
+  );
+  const raw = new Uint8Array(await window.crypto.subtle.exportKey("raw", publicKey));
+  return { privateKey, publicKey: bytesToB64Url(raw) };
+}
+
+function recipientSalt(epk: string, recipientPublicKey: string): Uint8Array {
+  const a = b64UrlToBytes(epk);
+  const b = b64UrlToBytes(recipientPublicKey);
+  const salt = new Uint8Array(a.length + b.length);
+  salt.set(a);
+  salt.set(b, a.length);
+  return salt;
+}
+
+/**
+ * Sender side: derive a one-off AES key for a recipient's public key. The returned kdf
+ * goes in the envelope; it carries the ephemeral public key, so the link needs no #key.
+ */
+export async function sealKeyToRecipient(
+  handle: string,
+  recipientPublicKey: string
+): Promise<{ key: CryptoKey; kdf: NonNullable<Envelope["kdf"]> }> {
+  const ephemeral = await window.crypto.subtle.generateKey(ECDH_CURVE, true, ["deriveBits"]);
+  const epk = bytesToB64Url(
+    new Uint8Array(await window.crypto.subtle.exportKey("raw", ephemeral.publicKey))
+  );
+  const key = await deriveEcdhKey(
+    ephemeral.privateKey,
+    await importEcdhPublicKey(recipientPublicKey),
+    recipientSalt(epk, recipientPublicKey),
+    RECIPIENT_INFO,
+    ["encrypt", "decrypt"]
+  );
+  return {
+    key,
+    kdf: {
+      name: RECIPIENT_KDF_NAME,
+      epk,
+      to: handle,
+      kid: await recipientKeyId(recipientPublicKey),
+    },
+  };
+}
+
+/**
+ * The handle a payload was sealed to, or null if it was not sealed to a recipient
+ */
+export function recipientOf(envelope?: Envelope): string | null {
+  return envelope?.kdf?.name === RECIPIENT_KDF_NAME ? String(envelope.kdf.to) : null;
+}
+
+/**
+ * Recipient side: recover the AES key from the envelope with the private key kept in
+ * this browser. A key pair other than the one sealed to fails at decryption.
+ */
+export async function openKeyFromRecipient(
+  envelope: Envelope,
+  privateKey: CryptoKey,
+  publicKey: string
+): Promise<CryptoKey> {
+  const epk = envelope.kdf?.epk;
+  if (typeof epk !== "string") throw new Error("Payload is not sealed to a recipient key");
+  return deriveEcdhKey(
+    privateKey,
+    await importEcdhPublicKey(epk),
+    recipientSalt(epk, publicKey),
+    RECIPIENT_INFO,
+    ["decrypt"]
+  );
+}
+
+// Upper bound on text input. What has to fit the server limit is the ciphertext after
+// compression, which CreateView checks once the secret is sealed.
+export const MAX_PLAINTEXT_CHARS = 10_000_000;
+
+// PBKDF2 work factor for passphrase verifiers (the worker accepts 100,000 - 5,000,000)
+export const PASSPHRASE_ITERATIONS = 600_000;
+
+export interface PassphraseParams {
+  salt: string; // base64url
+  iterations: number;
+  verifier: string; // base64url, 32 bytes
+}
+
+/**
+ * Derive the passphrase verifier checked by the server: PBKDF2-SHA256(passphrase, salt)
+ */
+export async function derivePassphraseVerifier(
+  passphrase: string,
+  salt: string,
+  iterations: number
+): Promise<string> {
+  const material = await window.crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await window.crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: b64UrlToBytes(salt), iterations },
+    material,
+    256
+  );
+  return bytesToB64Url(new Uint8Array(bits));
+}
+
+/**
+ * Create a fresh salt and verifier for a new passphrase-protected secret
+ */
+export async function createPassphraseVerifier(passphrase: string): Promise<PassphraseParams> {
+  const salt = bytesToB64Url(window.crypto.getRandomValues(new Uint8Array(16)));
+  const verifier = await derivePassphraseVerifier(passphrase, salt, PASSPHRASE_ITERATIONS);
+  return { salt, iterations: PASSPHRASE_ITERATIONS, verifier };
+}
+
+// Shamir's Secret Sharing over GF(2^8): AES polynomial x^8 + x^4 + x^3 + x + 1, generator 3
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = GF_EXP[i + 255] = x;
+  GF_LOG[x] = i;
+  x ^= ((x << 1) ^ (x & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+function gfMul(a: number, b: number): number {
+  return a && b ? GF_EXP[GF_LOG[a] + GF_LOG[b]] : 0;
+}
+
+function gfDiv(a: number, b: number): number {
+  return a ? GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]] : 0;
+}
+
+// getRandomValues refuses more than 64 KiB per call
+function randomBytes(length: number): Uint8Array {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 65536) {
+    window.crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  }
+  return bytes;
+}
+
+/**
+ * Split a secret into `shares` pieces of which any `threshold` reconstruct it.
+ * Each share is its x coordinate (1-255) followed by one y byte per secret byte.
+ */
+export function splitSecret(secret: Uint8Array, threshold: number, shares: number): Uint8Array[] {
+  if (!Number.isInteger(threshold) || !Number.isInteger(shares)) {
+    throw new Error("Threshold and share count must be integers");
+  }
+  if (threshold < 2 || threshold > shares || shares > 255) {
+    throw new Error("Need 2 <= threshold <= shares <= 255");
+  }
+
+  // Random polynomial per byte; the constant term is the secret byte
+  const coefficients = Array.from({ length: threshold - 1 }, () => randomBytes(secret.length));
+
+  return Array.from({ length: shares }, (_, s) => {
+    const x = s + 1;
+    const share = new Uint8Array(secret.length + 1);
+    share[0] = x;
+    for (let i = 0; i < secret.length; i++) {
+      // Horner's rule from the highest coefficient down to the secret
+      let y = 0;
+      for (let j = coefficients.length - 1; j >= 0; j--) {
+        y = gfMul(y ^ coefficients[j][i], x);
+      }
+      share[i + 1] = y ^ secret[i];
+    }
+    return share;
+  });
+}
+
+/**
+ * Reconstruct a secret from at least `threshold` shares made by splitSecret.
+ * Fewer shares do not fail; they silently yield unrelated bytes.
+ */
+export function combineShares(shares: Uint8Array[]): Uint8Array {
+  if (shares.length < 2) throw new Error("At least two shares are required");
+
+  const length = shares[0].length;
+  const xs = shares.map((share) => share[0]);
+  if (shares.some((share) => share.length !== length || share[0] === 0)) {
+    throw new Error("Shares do not belong to the same secret");
+  }
+  if (new Set(xs).size !== xs.length) throw new Error("The same share was given twice");
+
+  const secret = new Uint8Array(length - 1);
+  shares.forEach((share, i) => {
+    // Lagrange basis polynomial for share i evaluated at x = 0
+    let basis = 1;
+    xs.forEach((xj, j) => {
+      if (j !== i) basis = gfMul(basis, gfDiv(xj, xj ^ xs[i]));
+    });
+    for (let k = 1; k < length; k++) secret[k - 1] ^= gfMul(share[k], basis);
+  });
+  return secret;
+}
@@ -0,0 +1,74 @@
+/**
+ * File attachment packing and chunking
+ *
+ * The filename and MIME type travel inside the encrypted payload, so the
+ * server only ever sees opaque ciphertext chunks.
+ */
+
+// PRD target for attachments
+export const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+// Must match LIMITS.CHUNK_MAX_CHARS in the worker
+export const UPLOAD_CHUNK_CHARS = 1_000_000;
+
+export interface FileMeta {
+  name: string;
+  type: string;
+  size: number;
+}
+
+export interface UnpackedFile {
+  meta: FileMeta;
+  bytes: Uint8Array;
+}
+
+/**
+ * Pack a file as [4-byte big-endian header length][JSON metadata][file bytes]
+ */
+export function packFile(meta: FileMeta, bytes: Uint8Array): Uint8Array {
+  const header = new TextEncoder().encode(JSON.stringify(meta));
+  const packed = new Uint8Array(4 + header.length + bytes.length);
+  new DataView(packed.buffer).setUint32(0, header.length);
+  packed.set(header, 4);
+  packed.set(bytes, 4 + header.length);
+  return packed;
+}
+
+/**
+ * Inverse of packFile; throws if the header is truncated or malformed
+ */
+export function unpackFile(packed: Uint8Array): UnpackedFile {
+  if (packed.length < 4) throw new Error("FILE PAYLOAD TRUNCATED");
+
+  const view = new DataView(packed.buffer, packed.byteOffset, packed.byteLength);
+  const headerLength = view.getUint32(0);
+  if (4 + headerLength > packed.length) throw new Error("FILE PAYLOAD TRUNCATED");
+
+  const meta = JSON.parse(new TextDecoder().decode(packed.subarray(4, 4 + headerLength)));
+  if (typeof meta?.name !== "string" || typeof meta?.type !== "string") {
+    throw new Error("FILE PAYLOAD MALFORMED");
+  }
+
+  const bytes = packed.subarray(4 + headerLength);
+  return { meta: { name: meta.name, type: meta.type, size: bytes.length }, bytes };
+}
+
+/**
+ * Split base64url ciphertext into upload-sized chunks
+ */
+export function splitChunks(encoded: string, size = UPLOAD_CHUNK_CHARS): string[] {
+  const chunks: string[] = [];
+  for (let i = 0; i < encoded.length; i += size) {
+    chunks.push(encoded.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Format a byte count like "1.4 MB"
+ */
+export function formatBytes(bytes: number): string {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
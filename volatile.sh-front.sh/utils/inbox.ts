@@ -0,0 +1,103 @@
+import {
+  bytesToB64Url,
+  b64UrlToBytes,
+  createEnvelope,
+  deriveEcdhKey,
+  importEcdhPublicKey,
+  padBytes,
+  padFlag,
+  unpadBytes,
+} from "./crypto";
+import type { Envelope } from "../types";
+
+/**
+ * Request-a-secret inboxes: the requester keeps an ECDH P-256 private key in the
+ * browser and puts the public key in the link fragment. The responder seals one
+ * secret to it with an ephemeral key pair (ECIES: ECDH -> HKDF-SHA256 -> AES-GCM).
+ */
+
+export interface SealedPayload {
+  encrypted: string; // base64url
+  iv: string; // base64url
+  epk: string; // base64url, responder's ephemeral raw P-256 public key
+  envelope?: Envelope; // padding scheme, so servers with STRICT_PADDING accept the reply
+}
+
+const CURVE = { name: "ECDH", namedCurve: "P-256" } as const;
+const HKDF_INFO = "volatile.sh inbox v1";
+
+/**
+ * Generate the requester's key pair. The private key is non-extractable, so it can
+ * be kept in IndexedDB but never read back out as bytes.
+ */
+export async function generateInboxKeyPair(): Promise<CryptoKeyPair> {
+  return window.crypto.subtle.generateKey(CURVE, false, ["deriveBits"]);
+}
+
+/**
+ * Export a public key as raw base64url (65 bytes -> 87 chars) for the link fragment
+ */
+export async function exportPublicKey(key: CryptoKey): Promise<string> {
+  return bytesToB64Url(new Uint8Array(await window.crypto.subtle.exportKey("raw", key)));
+}
+
+function concat(a: Uint8Array, b: Uint8Array): Uint8Array {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * Responder side: seal text to the inbox public key taken from the link fragment,
+ * padded as the envelope's flags say
+ */
+export async function sealToInbox(
+  text: string,
+  inboxPublicKey: string,
+  envelope: Envelope = createEnvelope()
+): Promise<SealedPayload> {
+  const recipient = await importEcdhPublicKey(inboxPublicKey);
+  const ephemeral = await window.crypto.subtle.generateKey(CURVE, true, ["deriveBits"]);
+  const epk = new Uint8Array(await window.crypto.subtle.exportKey("raw", ephemeral.publicKey));
+
+  const salt = concat(epk, b64UrlToBytes(inboxPublicKey));
+  const key = await deriveEcdhKey(ephemeral.privateKey, recipient, salt, HKDF_INFO, ["encrypt"]);
+
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const bytes = new TextEncoder().encode(text);
+  const flag = padFlag(envelope);
+  const ciphertext = await window.crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    flag ? padBytes(bytes, flag) : bytes
+  );
+
+  return {
+    encrypted: bytesToB64Url(new Uint8Array(ciphertext)),
+    iv: bytesToB64Url(iv),
+    epk: bytesToB64Url(epk),
+    envelope,
+  };
+}
+
+/**
+ * Requester side: open a sealed payload with the private key kept in this browser
+ */
+export async function openSealed(
+  payload: SealedPayload,
+  privateKey: CryptoKey,
+  inboxPublicKey: string
+): Promise<string> {
+  const ephemeral = await importEcdhPublicKey(payload.epk);
+  const salt = concat(b64UrlToBytes(payload.epk), b64UrlToBytes(inboxPublicKey));
+  const key = await deriveEcdhKey(privateKey, ephemeral, salt, HKDF_INFO, ["decrypt"]);
+
+  const plaintext = await window.crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: b64UrlToBytes(payload.iv) },
+    key,
+    b64UrlToBytes(payload.encrypted)
+  );
+  const bytes = new Uint8Array(plaintext);
+  return new TextDecoder().decode(padFlag(payload.envelope) ? unpadBytes(bytes) : bytes);
+}
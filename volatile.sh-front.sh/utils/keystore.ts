@@ -0,0 +1,94 @@
+/**
+ * IndexedDB storage for inbox and recipient private keys. CryptoKey objects are
+ * structured-cloneable, so a non-extractable private key survives reloads without
+ * ever leaving the browser.
+ */
+
+export interface InboxRecord {
+  id: string;
+  privateKey: CryptoKey;
+  publicKey: string; // base64url, to rebuild the share link and for HKDF
+  ownerToken: string;
+  expiresAt: number;
+}
+
+export interface RecipientKeyRecord {
+  handle: string;
+  privateKey: CryptoKey;
+  publicKey: string; // base64url, for HKDF
+}
+
+const DB_NAME = "volatile-inboxes";
+const STORE = "inboxes";
+const RECIPIENT_STORE = "recipients"; // added in version 2
+
+function openDb(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 2);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE, { keyPath: "id" });
+      if (!db.objectStoreNames.contains(RECIPIENT_STORE)) {
+        db.createObjectStore(RECIPIENT_STORE, { keyPath: "handle" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function run<T>(
+  mode: IDBTransactionMode,
+  fn: (store: IDBObjectStore) => IDBRequest<T>,
+  storeName = STORE
+): Promise<T> {
+  const db = await openDb();
+  try {
+    return await new Promise<T>((resolve, reject) => {
+      const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export function saveInbox(record: InboxRecord): Promise<IDBValidKey> {
+  return run("readwrite", (store) => store.put(record));
+}
+
+/**
+ * Look up an inbox created in this browser (expired records are dropped)
+ */
+export async function loadInbox(id: string): Promise<InboxRecord | null> {
+  if (typeof indexedDB === "undefined") return null;
+  const record = await run<InboxRecord | undefined>("readonly", (store) => store.get(id));
+  if (!record) return null;
+  if (Date.now() >= record.expiresAt) {
+    await deleteInbox(id);
+    return null;
+  }
+  return record;
+}
+
+export function deleteInbox(id: string): Promise<undefined> {
+  return run("readwrite", (store) => store.delete(id));
+}
+
+export function saveRecipientKey(record: RecipientKeyRecord): Promise<IDBValidKey> {
+  return run("readwrite", (store) => store.put(record), RECIPIENT_STORE);
+}
+
+/**
+ * The private key imported in this browser for a recipient handle, if any
+ */
+export async function loadRecipientKey(handle: string): Promise<RecipientKeyRecord | null> {
+  if (typeof indexedDB === "undefined") return null;
+  const record = await run<RecipientKeyRecord | undefined>(
+    "readonly",
+    (store) => store.get(handle),
+    RECIPIENT_STORE
+  );
+  return record ?? null;
+}